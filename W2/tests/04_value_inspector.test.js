@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { describeType, formatValue, getChildren, parseLiteral } from "../topics/04_value_inspector.js";
+
+test("formatValue prints BigInt values with the n suffix", () => {
+  assert.equal(formatValue(10n), "10n");
+  assert.equal(formatValue(-9007199254740993n), "-9007199254740993n");
+});
+
+test("formatValue prints symbols with their description", () => {
+  assert.equal(formatValue(Symbol("id")), "Symbol(id)");
+  assert.equal(formatValue(Symbol()), "Symbol()");
+  assert.equal(formatValue(Symbol.for("app")), "Symbol(app)");
+});
+
+test("formatValue keeps -0, strings and functions apart", () => {
+  assert.equal(formatValue(-0), "-0");
+  assert.equal(formatValue(0), "0");
+  assert.equal(formatValue("42"), '"42"');
+  assert.equal(formatValue(function greet() {}), "ƒ greet()");
+  assert.equal(formatValue(() => {}), "ƒ anonymous()");
+});
+
+test("formatValue summarises containers", () => {
+  assert.equal(formatValue([1, , 3]), "Array(3)");
+  assert.equal(formatValue(new Map([["a", 1]])), "Map(1)");
+  assert.equal(formatValue(new Set()), "Set(0)");
+  assert.equal(formatValue({ a: 1 }), "{…} 1 key");
+  assert.equal(formatValue({}), "{…} 0 keys");
+  assert.equal(formatValue(new Date(0)), "1970-01-01T00:00:00.000Z");
+});
+
+test("describeType separates primitives from references", () => {
+  assert.deepEqual(describeType(null), { typeOf: "object", constructorName: "N/A", kind: "primitive", tag: "[object Null]" });
+  assert.equal(describeType(1n).constructorName, "BigInt");
+  assert.equal(describeType(Symbol("x")).kind, "primitive");
+  assert.equal(describeType(Object.create(null)).constructorName, "null prototype");
+  assert.equal(describeType([]).kind, "reference");
+});
+
+test("getChildren marks array holes and Map entries", () => {
+  assert.deepEqual(getChildren([1, , 3]), [
+    { label: "[0]", value: 1 },
+    { label: "[1]", hole: true },
+    { label: "[2]", value: 3 },
+  ]);
+  assert.deepEqual(getChildren(new Map([["key", "value"]])), [
+    { label: "[[Entry 0]]", value: { key: "key", value: "value" }, isEntry: true },
+  ]);
+});
+
+test("parseLiteral reads BigInt, Symbol and collection literals", () => {
+  assert.equal(parseLiteral("123n"), 123n);
+  assert.equal(typeof parseLiteral('Symbol("id")'), "symbol");
+  assert.deepEqual(parseLiteral("new Map([['a', 1]])"), new Map([["a", 1]]));
+  assert.deepEqual(parseLiteral("[1, , 3]"), [1, , 3]);
+});
+
+test("parseLiteral accepts as many arguments as each constructor takes", () => {
+  assert.deepEqual(parseLiteral("new Date(2024, 0, 15)"), new Date(2024, 0, 15));
+  assert.deepEqual(parseLiteral("new Date(2024, 0, 15, 9, 30, 0, 500)"), new Date(2024, 0, 15, 9, 30, 0, 500));
+  assert.throws(() => parseLiteral("new Date(2024, 0, 15, 9, 30, 0, 500, 1)"), /Expected 0-7 argument\(s\) but got 8/);
+  assert.throws(() => parseLiteral("new Set([1], 2)"), /Expected 0-1 argument\(s\) but got 2/);
+  assert.throws(() => parseLiteral("new Function('x')"), /Constructing "Function" is not supported/);
+});
+
+test("parseLiteral never executes code", () => {
+  assert.throws(() => parseLiteral("alert(1)"), SyntaxError);
+});
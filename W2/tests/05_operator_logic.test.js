@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { COERCION_TABLES, evaluateNumbers, evaluateOperator, formatObject, parseOperand } from "../topics/05_operator_logic.js";
+
+test("division and remainder by zero return a message instead of Infinity or NaN", () => {
+  const { arithmetic } = evaluateNumbers(7, 0);
+  assert.equal(arithmetic.division, "Cannot divide by zero");
+  assert.equal(arithmetic.remainder, "Undefined");
+  assert.equal(arithmetic.exponent, 1);
+});
+
+test("dividing zero by a number still works", () => {
+  const { arithmetic } = evaluateNumbers(0, 4);
+  assert.equal(arithmetic.division, 0);
+  assert.equal(arithmetic.remainder, 0);
+});
+
+test("logical operators return one of their operands", () => {
+  const { logical, comparisons } = evaluateNumbers(0, 5);
+  assert.equal(logical.and, 0);
+  assert.equal(logical.or, 5);
+  assert.equal(logical.notLeft, true);
+  assert.equal(logical.nullishLeft, 0);
+  assert.equal(comparisons.lessThan, true);
+});
+
+test("formatObject prints one key: value pair per line", () => {
+  assert.equal(formatObject({ division: "Cannot divide by zero", equal: false }), "division: Cannot divide by zero\nequal: false");
+  assert.equal(formatObject({}), "");
+});
+
+test("parseOperand converts the text to the chosen type", () => {
+  assert.equal(parseOperand("5", "string"), "5");
+  assert.equal(parseOperand("", "number"), 0);
+  assert.equal(parseOperand(" true ", "boolean"), true);
+  assert.equal(parseOperand("anything", "null"), null);
+  assert.deepEqual(parseOperand("", "array"), []);
+  assert.throws(() => parseOperand("{oops}", "object"), SyntaxError);
+  assert.throws(() => parseOperand("[1]", "object"), TypeError);
+});
+
+test("the coercion explorer explains loose equality step by step", () => {
+  const { expression, result, steps } = evaluateOperator(COERCION_TABLES.comparisons.equal, null, undefined);
+  assert.equal(expression, "null == undefined");
+  assert.equal(result, true);
+  assert.ok(steps.length > 0);
+});
+
+test("the coercion explorer reports the engine's result for division by zero", () => {
+  const { result } = evaluateOperator(COERCION_TABLES.arithmetic.division, 1, 0);
+  assert.equal(result, Infinity);
+});
+
+test("string concatenation wins over addition", () => {
+  const { expression, result } = evaluateOperator(COERCION_TABLES.arithmetic.addition, "1", 2);
+  assert.equal(expression, '"1" + 2');
+  assert.equal(result, "12");
+});
+
+test("ToPrimitive skips methods that are not functions", () => {
+  const { result, steps } = evaluateOperator(COERCION_TABLES.arithmetic.addition, parseOperand('{"valueOf": 1}', "object"), 1);
+  assert.equal(result, "[object Object]1");
+  assert.ok(steps.includes("valueOf is not a function → skip it."));
+});
+
+test("the coercion explorer reports a TypeError when no conversion method works", () => {
+  const { result } = evaluateOperator(COERCION_TABLES.arithmetic.addition, parseOperand('{"valueOf": 1, "toString": 2}', "object"), 1);
+  assert.ok(result instanceof TypeError);
+});
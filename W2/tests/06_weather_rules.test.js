@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  WEATHER_RULES,
+  describeConditions,
+  findMatchingRule,
+  generateIfElse,
+  generateLookup,
+  generateSwitch,
+  getSuggestedActivity,
+  matchesRule,
+} from "../topics/06_weather_rules.js";
+
+const conditions = (overrides = {}) => ({ temperature: 20, precipitation: "none", wind: "calm", timeOfDay: "afternoon", ...overrides });
+
+test("every combination of conditions gets a suggestion", () => {
+  for (const precipitation of ["none", "rain", "snow"]) {
+    for (const temperature of [-20, 0, 9.99, 10, 25, 40]) {
+      assert.equal(typeof getSuggestedActivity(conditions({ precipitation, temperature })), "string");
+    }
+  }
+});
+
+test("the last rule is the fallback and matches anything", () => {
+  const fallback = WEATHER_RULES[WEATHER_RULES.length - 1];
+  assert.deepEqual(fallback.when, {});
+  assert.equal(describeConditions(fallback.when), "anything else");
+});
+
+test("rule ids are unique", () => {
+  const ids = WEATHER_RULES.map((rule) => rule.id);
+  assert.equal(new Set(ids).size, ids.length);
+});
+
+test("temperature ranges include min and exclude max", () => {
+  assert.equal(findMatchingRule(conditions({ temperature: 0 })).id, "cool");
+  assert.equal(findMatchingRule(conditions({ temperature: -0.5 })).id, "freezing");
+  assert.equal(findMatchingRule(conditions({ temperature: 28 })).id, "hot");
+  assert.equal(findMatchingRule(conditions({ temperature: 27.9 })).id, "sunny");
+  assert.equal(findMatchingRule(conditions({ temperature: 17.9 })).id, "cool");
+});
+
+test("specific rules win over general ones", () => {
+  assert.equal(findMatchingRule(conditions({ precipitation: "snow", wind: "windy" })).id, "blizzard");
+  assert.equal(findMatchingRule(conditions({ precipitation: "rain", temperature: -5 })).id, "rainy");
+  assert.equal(findMatchingRule(conditions({ wind: "windy", timeOfDay: "night" })).id, "windyEvening");
+  assert.equal(findMatchingRule(conditions({ temperature: 30, timeOfDay: "evening" })).id, "mildEvening");
+});
+
+test("matchesRule checks every listed condition and ignores the rest", () => {
+  const when = { temperature: { min: 10 }, timeOfDay: ["evening", "night"] };
+  assert.equal(matchesRule(when, conditions({ timeOfDay: "night" })), true);
+  assert.equal(matchesRule(when, conditions({ timeOfDay: "morning" })), false);
+  assert.equal(matchesRule(when, conditions({ temperature: 5, timeOfDay: "night" })), false);
+  assert.equal(matchesRule({}, conditions()), true);
+});
+
+test("describeConditions reads each rule as a sentence", () => {
+  assert.equal(describeConditions({ temperature: { max: 0 } }), "below 0°C");
+  assert.equal(describeConditions({ temperature: { min: 0, max: 18 } }), "0°C to below 18°C");
+  assert.equal(
+    describeConditions({ temperature: { min: 28 }, timeOfDay: ["morning", "afternoon"] }),
+    "28°C or warmer, timeOfDay: morning or afternoon"
+  );
+});
+
+test("getSuggestedActivity returns the activity of the first matching rule", () => {
+  const rule = findMatchingRule(conditions());
+  assert.equal(getSuggestedActivity(conditions()), rule.activity);
+});
+
+test("the generated if/else, switch and lookup code mention every rule", () => {
+  for (const generate of [generateIfElse, generateSwitch, generateLookup]) {
+    const ruleIds = new Set(generate().map(([, ruleId]) => ruleId).filter(Boolean));
+    assert.deepEqual([...ruleIds].sort(), WEATHER_RULES.map((rule) => rule.id).sort(), generate.name);
+  }
+});
+
+test("the generated code is valid JavaScript", () => {
+  for (const generate of [generateIfElse, generateSwitch, generateLookup]) {
+    const code = generate().map(([line]) => line).join("\n");
+    assert.doesNotThrow(() => new Function(code), generate.name);
+  }
+});
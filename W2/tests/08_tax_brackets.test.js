@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  TRY_TAX_BRACKETS,
+  calculateTax,
+  getBracketBreakdown,
+  getEffectiveRate,
+  getMarginalRate,
+  summarizeTax,
+  validateBrackets,
+} from "../topics/08_tax_brackets.js";
+
+test("no income means no tax", () => {
+  assert.equal(calculateTax(0), 0);
+  assert.equal(getEffectiveRate(0), 0);
+  assert.equal(getMarginalRate(0), 15);
+});
+
+test("income inside the first bracket is taxed at its rate", () => {
+  assert.equal(calculateTax(100000), 15000);
+});
+
+test("each bracket only taxes its own slice of the income", () => {
+  // 158,000 × 15% + 172,000 × 20% + 170,000 × 27%
+  assert.equal(calculateTax(500000), 23700 + 34400 + 45900);
+  assert.equal(getMarginalRate(500000), 27);
+});
+
+test("a bracket's upper limit belongs to that bracket", () => {
+  assert.equal(calculateTax(158000), 23700);
+  assert.equal(getMarginalRate(158000), 20);
+});
+
+test("the top bracket has no upper limit", () => {
+  const breakdown = getBracketBreakdown(5000000);
+  assert.equal(breakdown.at(-1).to, Infinity);
+  assert.equal(breakdown.at(-1).taxable, 700000);
+  assert.equal(getMarginalRate(5000000), 40);
+});
+
+test("custom brackets replace the default tariff", () => {
+  const brackets = [{ upTo: 10000, rate: 0 }, { upTo: Infinity, rate: 10 }];
+  assert.equal(calculateTax(25000, brackets), 1500);
+  assert.equal(getMarginalRate(9999, brackets), 0);
+  assert.equal(getMarginalRate(25000, brackets), 10);
+  assert.equal(getEffectiveRate(25000, brackets), 6);
+});
+
+test("summarizeTax reports the breakdown, the total and both rates", () => {
+  const summary = summarizeTax(500000);
+  assert.equal(summary.income, 500000);
+  assert.equal(summary.tax, 104000);
+  assert.equal(summary.marginalRate, 27);
+  assert.equal(summary.effectiveRate, 20.8);
+  assert.deepEqual(summary.breakdown.map((row) => row.tax), [23700, 34400, 45900, 0, 0]);
+});
+
+test("results are rounded to kuruş", () => {
+  const brackets = [{ upTo: Infinity, rate: 15 }];
+  assert.equal(calculateTax(0.1, brackets), 0.02);
+  assert.equal(calculateTax(33.33, brackets), 5);
+});
+
+test("invalid income is rejected", () => {
+  assert.throws(() => calculateTax(-1), RangeError);
+  assert.throws(() => calculateTax(Number.NaN), RangeError);
+  assert.throws(() => calculateTax("1000"), RangeError);
+});
+
+test("invalid brackets are rejected", () => {
+  assert.throws(() => validateBrackets([]), TypeError);
+  assert.throws(() => validateBrackets([{ upTo: 100, rate: 10 }]), /no upper limit/);
+  assert.throws(() => validateBrackets([{ upTo: Infinity, rate: 120 }]), /between 0 and 100/);
+  assert.throws(() => validateBrackets([{ upTo: 200, rate: 10 }, { upTo: 100, rate: 20 }, { upTo: Infinity, rate: 30 }]), /increase/);
+  assert.equal(validateBrackets(TRY_TAX_BRACKETS), TRY_TAX_BRACKETS);
+});
@@ -0,0 +1,149 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  dedupeSongs,
+  formatDuration,
+  groupByArtist,
+  parseDuration,
+  parsePlaylist,
+  sortSongs,
+  toCsv,
+  toM3u,
+  totalSeconds,
+} from "../topics/09_playlist.js";
+
+test("parseDuration understands minutes, mm:ss and h:mm:ss", () => {
+  assert.equal(parseDuration("4"), 240);
+  assert.equal(parseDuration("4.5"), 270);
+  assert.equal(parseDuration("3:45"), 225);
+  assert.equal(parseDuration("1:02:03"), 3723);
+  assert.equal(parseDuration(" 0:07 "), 7);
+});
+
+test("parseDuration returns null for anything else", () => {
+  for (const value of ["", "   ", "3:75", "abc", "-3", "1:2", undefined, null]) {
+    assert.equal(parseDuration(value), null, String(value));
+  }
+});
+
+test("CSV without a header: title,duration and title,artist,duration", () => {
+  const { songs, errors } = parsePlaylist("Intro,1:30\nYellow,Coldplay,4:29\n\n");
+  assert.deepEqual(errors, []);
+  assert.deepEqual(songs, [
+    { title: "Intro", artist: "", seconds: 90 },
+    { title: "Yellow", artist: "Coldplay", seconds: 269 },
+  ]);
+});
+
+test("CSV with a header may list the columns in any order", () => {
+  const { songs } = parsePlaylist("Length,Band,Song\r\n3:00,Queen,Bohemian Rhapsody\r\n");
+  assert.deepEqual(songs, [{ title: "Bohemian Rhapsody", artist: "Queen", seconds: 180 }]);
+});
+
+test("quoted CSV cells may contain commas and doubled quotes", () => {
+  const { songs } = parsePlaylist('title,artist,duration\n"Hello, ""World""",Someone,2:00');
+  assert.equal(songs[0].title, 'Hello, "World"');
+});
+
+test("bad CSV rows are reported with their line number and skipped", () => {
+  const { songs, errors } = parsePlaylist('Good,3:00\n"Unclosed,3:00\n,2:00\nLate,soon');
+  assert.equal(songs.length, 1);
+  assert.deepEqual(errors, [
+    "Line 2: unclosed quote",
+    "Line 3: missing title",
+    'Line 4: "soon" is not a duration (use minutes or mm:ss)',
+  ]);
+});
+
+test("rows without a duration are reported as such", () => {
+  const { errors } = parsePlaylist("title,duration\nSong\nOther,");
+  assert.deepEqual(errors, ["Line 2: missing duration", "Line 3: missing duration"]);
+});
+
+test("the format can be forced instead of detected", () => {
+  const text = "old.mp3\n#EXTINF:120,Artist - Title\nnew.mp3";
+  assert.equal(parsePlaylist(text).songs.length, 0);
+  assert.deepEqual(parsePlaylist(text, "m3u").songs, [{ title: "Title", artist: "Artist", seconds: 120, file: "new.mp3" }]);
+  assert.deepEqual(parsePlaylist("#EXTM3U\n#EXTINF:120,A - B", "csv").songs, []);
+});
+
+test("extended M3U is detected automatically", () => {
+  const text = "#EXTM3U\n#EXTINF:269,Coldplay - Yellow\nyellow.mp3\n#EXTINF:-1,Live Stream\nstream.mp3";
+  const { songs, errors } = parsePlaylist(text);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(songs, [
+    { title: "Yellow", artist: "Coldplay", seconds: 269, file: "yellow.mp3" },
+    { title: "Live Stream", artist: "", seconds: 0, file: "stream.mp3" },
+  ]);
+});
+
+test("an M3U file without entries is an error", () => {
+  assert.deepEqual(parsePlaylist("#EXTM3U\nsong.mp3"), { songs: [], errors: ["No #EXTINF entries found."] });
+  assert.deepEqual(parsePlaylist("#EXTINF:oops\nsong.mp3", "m3u").errors[0], "Line 1: malformed #EXTINF entry");
+});
+
+test("an M3U entry only takes the path that follows it", () => {
+  const text = "#EXTM3U\n#EXTINF:60,No Path\n#EXTINF:90,Band - Song\n# a comment\n\nmusic/song.mp3";
+  assert.deepEqual(parsePlaylist(text).songs, [
+    { title: "No Path", artist: "", seconds: 60 },
+    { title: "Song", artist: "Band", seconds: 90, file: "music/song.mp3" },
+  ]);
+});
+
+test("dedupeSongs keeps the first copy and ignores case and repeated spaces", () => {
+  const songs = [
+    { title: "Fix You", artist: "Coldplay", seconds: 295 },
+    { title: "fix  you", artist: "COLDPLAY", seconds: 296 },
+    { title: "Fix You", artist: "", seconds: 200 },
+  ];
+  assert.deepEqual(
+    dedupeSongs(songs).map((song) => song.seconds),
+    [295, 200]
+  );
+});
+
+test("sortSongs sorts numbers numerically and text alphabetically without mutating", () => {
+  const songs = [
+    { title: "b", seconds: 10 },
+    { title: "a", seconds: 9 },
+    { title: "C", seconds: 100 },
+  ];
+  assert.deepEqual(sortSongs(songs, "seconds").map((song) => song.seconds), [9, 10, 100]);
+  assert.deepEqual(sortSongs(songs, "title", "desc").map((song) => song.title), ["C", "b", "a"]);
+  assert.equal(songs[0].title, "b");
+});
+
+test("groupByArtist and totalSeconds summarise the playlist", () => {
+  const songs = [
+    { title: "A", artist: "X", seconds: 60 },
+    { title: "B", artist: "", seconds: 30 },
+    { title: "C", artist: "X", seconds: 90 },
+  ];
+  assert.deepEqual(groupByArtist(songs), { X: { count: 2, seconds: 150 }, "Unknown artist": { count: 1, seconds: 30 } });
+  assert.equal(totalSeconds(songs), 180);
+  assert.equal(totalSeconds([]), 0);
+});
+
+test("formatDuration always pads minutes and seconds", () => {
+  assert.equal(formatDuration(0), "0:00:00");
+  assert.equal(formatDuration(269), "0:04:29");
+  assert.equal(formatDuration(3723), "1:02:03");
+});
+
+test("CSV and M3U exports can be parsed back", () => {
+  const songs = [
+    { title: 'Hello, "World"', artist: "Someone", seconds: 120 },
+    { title: "Solo", artist: "", seconds: 61 },
+  ];
+  assert.deepEqual(parsePlaylist(toCsv(songs)).songs, songs);
+  assert.deepEqual(parsePlaylist(toM3u(songs)).songs, [
+    { ...songs[0], file: 'Hello, "World".mp3' },
+    { ...songs[1], file: "Solo.mp3" },
+  ]);
+});
+
+test("M3U paths survive a round trip", () => {
+  const text = "#EXTM3U\n#EXTINF:120,Band - Song\nmusic/Band/01 Song.flac";
+  assert.equal(toM3u(parsePlaylist(text).songs), text);
+});
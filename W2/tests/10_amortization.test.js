@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import amortizationSchedule, { periodicPayment } from "../topics/10_amortization.js";
+import { formatCurrency } from "../topics/10_math_utils.js";
+
+const assertClose = (actual, expected, tolerance = 0.005) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected} but got ${actual}`);
+};
+
+test("without interest the payment is an equal share of the principal", () => {
+  assert.equal(periodicPayment(1200, 0, 12), 100);
+});
+
+test("monthly payment of a 30-year mortgage", () => {
+  const { payment, payments } = amortizationSchedule({ principal: 100000, rate: 6, years: 30 });
+  assert.equal(payments, 360);
+  assertClose(payment, 599.55);
+});
+
+test("the schedule pays off the whole principal", () => {
+  const schedule = amortizationSchedule({ principal: 10000, rate: 5, years: 2 });
+  const principalPaid = schedule.periods.reduce((sum, row) => sum + row.principalPaid, 0);
+
+  assertClose(principalPaid, 10000, 1e-6);
+  assert.equal(schedule.periods.at(-1).balance, 0);
+  assertClose(schedule.totalPaid, 10000 + schedule.totalInterest, 1e-9);
+});
+
+test("the yearly summary adds up the periods of each year", () => {
+  const { periods, yearly } = amortizationSchedule({ principal: 10000, rate: 5, years: 2 });
+  const firstYearInterest = periods.slice(0, 12).reduce((sum, row) => sum + row.interest, 0);
+
+  assert.deepEqual(yearly.map((row) => row.year), [1, 2]);
+  assertClose(yearly[0].interestPaid, firstYearInterest, 1e-9);
+  assert.equal(yearly[0].balance, periods[11].balance);
+});
+
+test("invalid loans are rejected", () => {
+  assert.throws(() => amortizationSchedule({ principal: 0, rate: 5, years: 2 }), RangeError);
+  assert.throws(() => amortizationSchedule({ principal: 1000, rate: 5, years: 0 }), RangeError);
+  assert.throws(() => amortizationSchedule({ principal: 1000, rate: -1, years: 2 }), RangeError);
+});
+
+test("formatCurrency defaults to US dollars", () => {
+  assert.equal(formatCurrency(1234.5), "$1,234.50");
+});
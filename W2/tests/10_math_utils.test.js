@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import message, { compoundInterest, futureValue, futureValueOfContributions, growthFactor } from "../topics/10_math_utils.js";
+
+const assertClose = (actual, expected, tolerance = 0.005) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected} but got ${actual}`);
+};
+
+test("annual compounding", () => {
+  assertClose(compoundInterest(1000, 5, 10), 1628.89);
+  assert.equal(compoundInterest(1000, 10, 1), 1100);
+});
+
+test("more compounding periods grow the balance faster", () => {
+  const annual = compoundInterest(1000, 5, 10, "annual");
+  const monthly = compoundInterest(1000, 5, 10, "monthly");
+  const daily = compoundInterest(1000, 5, 10, "daily");
+  const continuous = compoundInterest(1000, 5, 10, "continuous");
+
+  assertClose(monthly, 1647.01);
+  assert.ok(annual < monthly && monthly < daily && daily < continuous);
+  assertClose(continuous, 1000 * Math.exp(0.5));
+});
+
+test("a numeric compounding value is used as periods per year", () => {
+  assert.equal(compoundInterest(1000, 8, 3, 4), compoundInterest(1000, 8, 3, "quarterly"));
+});
+
+test("zero years or a zero rate leave the principal unchanged", () => {
+  assert.equal(compoundInterest(2500, 7, 0), 2500);
+  assert.equal(compoundInterest(2500, 0, 30, "continuous"), 2500);
+});
+
+test("negative rates shrink the balance", () => {
+  assertClose(compoundInterest(1000, -10, 2), 810);
+});
+
+test("unknown compounding frequencies are rejected", () => {
+  assert.throws(() => growthFactor(5, 1, "weekly"), RangeError);
+  assert.throws(() => growthFactor(5, 1, 0), RangeError);
+});
+
+test("contributions without interest simply add up", () => {
+  assert.equal(futureValueOfContributions(100, 0, 2), 2400);
+});
+
+test("contributions with interest", () => {
+  // 12 monthly deposits of 100 at 12% compounded monthly: 100 × (1.01^12 − 1) / 0.01
+  assertClose(futureValueOfContributions(100, 12, 1, { compounding: "monthly" }), 1268.25);
+});
+
+test("futureValue combines the principal and the contributions", () => {
+  const options = { principal: 1000, rate: 6, years: 5, compounding: "monthly", contribution: 50 };
+  assertClose(
+    futureValue(options),
+    compoundInterest(1000, 6, 5, "monthly") + futureValueOfContributions(50, 6, 5, { compounding: "monthly" }),
+    1e-9
+  );
+});
+
+test("the default export is the module message", () => {
+  assert.match(message, /evaluated once/);
+});
@@ -0,0 +1,32 @@
+// Loads a lesson page into jsdom and runs its wiring module against it, the
+// way the browser would. jsdom is a devDependency: run `npm install` in the
+// W2 folder before `npm test`.
+import { readFile } from "node:fs/promises";
+import { JSDOM } from "jsdom";
+
+let loads = 0;
+
+// Returns the page's document once the module has attached its listeners.
+// The query string gives every load a fresh module instance, so the
+// listeners always belong to the document of the current test.
+export async function openLesson(page, script) {
+  const html = await readFile(new URL(`../../topics/${page}`, import.meta.url), "utf8");
+  const { window } = new JSDOM(html, { url: new URL(`../../topics/${page}`, import.meta.url).href });
+
+  globalThis.window = window;
+  globalThis.document = window.document;
+  await import(`../../topics/${script}?load=${++loads}`);
+  return window.document;
+}
+
+export function closeLesson() {
+  globalThis.window?.close();
+  delete globalThis.window;
+  delete globalThis.document;
+}
+
+// Sets a form control and fires the event a user's edit would.
+export function setValue(element, value, type = "input") {
+  element.value = value;
+  element.dispatchEvent(new element.ownerDocument.defaultView.Event(type, { bubbles: true }));
+}
@@ -0,0 +1,173 @@
+import { afterEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { closeLesson, openLesson, setValue } from "./helpers/lesson_page.js";
+
+afterEach(closeLesson);
+
+describe("04 Data Types: value inspector", () => {
+  test("inspects a BigInt typed in the input", async () => {
+    const document = await openLesson("04_Data_Types.html", "04_data_types.js");
+    setValue(document.getElementById("valueInput"), "{ big: 10n, id: Symbol('id') }");
+    document.getElementById("inspectButton").click();
+
+    const results = document.getElementById("results");
+    assert.match(results.querySelector("h2").textContent, /Inspection Result/);
+    assert.match(results.textContent, /10n/);
+    assert.match(results.textContent, /Symbol\(id\)/);
+  });
+
+  test("asks for a value when the input is empty", async () => {
+    const document = await openLesson("04_Data_Types.html", "04_data_types.js");
+    document.getElementById("inspectButton").click();
+    assert.match(document.getElementById("results").textContent, /Please enter something/);
+  });
+
+  test("shows parse errors as text", async () => {
+    const document = await openLesson("04_Data_Types.html", "04_data_types.js");
+    setValue(document.getElementById("valueInput"), "<img src=x>");
+    document.getElementById("inspectButton").click();
+
+    const results = document.getElementById("results");
+    assert.match(results.textContent, /Unable to parse the value/);
+    assert.equal(results.querySelector("img"), null);
+  });
+});
+
+describe("05 Operators: evaluator", () => {
+  test("reports division by zero in numeric mode", async () => {
+    const document = await openLesson("05_Operators_and_Expressions.html", "05_operators.js");
+    setValue(document.getElementById("leftOperand"), "8");
+    setValue(document.getElementById("rightOperand"), "0");
+    document.getElementById("evaluate").click();
+
+    const output = document.getElementById("results").textContent;
+    assert.match(output, /division: Cannot divide by zero/);
+    assert.match(output, /remainder: Undefined/);
+  });
+
+  test("the coercion explorer keeps the operand types", async () => {
+    const document = await openLesson("05_Operators_and_Expressions.html", "05_operators.js");
+    const coercionOnly = document.querySelector(".coercion-only");
+    assert.equal(coercionOnly.hidden, true);
+
+    setValue(document.getElementById("modeSelect"), "coercion", "change");
+    assert.equal(coercionOnly.hidden, false);
+    assert.equal(document.getElementById("leftOperand").type, "text");
+
+    setValue(document.getElementById("leftOperand"), "1");
+    setValue(document.getElementById("rightOperand"), "2");
+    document.getElementById("evaluate").click();
+    assert.match(document.getElementById("results").textContent, /1 \+ "2"/);
+  });
+
+  test("disables the input of null and undefined operands", async () => {
+    const document = await openLesson("05_Operators_and_Expressions.html", "05_operators.js");
+    setValue(document.getElementById("modeSelect"), "coercion", "change");
+    setValue(document.getElementById("rightType"), "null", "change");
+    assert.equal(document.getElementById("rightOperand").disabled, true);
+  });
+});
+
+describe("06 Control Flow: outfit recommender", () => {
+  test("a preset fills in the detailed inputs", async () => {
+    const document = await openLesson("06_Control_Flow.html", "06_control_flow.js");
+    setValue(document.getElementById("weatherSelect"), "snowy", "change");
+
+    assert.equal(document.getElementById("temperature").value, "-3");
+    assert.equal(document.getElementById("precipitation").value, "snow");
+    assert.equal(document.getElementById("timeOfDay").value, "morning");
+  });
+
+  test("suggest highlights the matching rule everywhere", async () => {
+    const document = await openLesson("06_Control_Flow.html", "06_control_flow.js");
+    setValue(document.getElementById("precipitation"), "rain", "change");
+    setValue(document.getElementById("wind"), "windy", "change");
+    document.getElementById("suggest").click();
+
+    assert.match(document.getElementById("recommendation").textContent, /Matched rule: stormy/);
+    assert.equal(document.querySelector("#ruleTable tr.is-match code").textContent, "stormy");
+    assert.equal(document.querySelectorAll("#patternViews pre").length, 3);
+    assert.ok(document.querySelectorAll("#patternViews code.is-match").length >= 3);
+  });
+
+  test("asks for a temperature when it is missing", async () => {
+    const document = await openLesson("06_Control_Flow.html", "06_control_flow.js");
+    setValue(document.getElementById("temperature"), "");
+    document.getElementById("suggest").click();
+    assert.match(document.getElementById("recommendation").textContent, /Please enter a temperature/);
+  });
+});
+
+describe("08 Functions: tax calculator", () => {
+  test("renders the 2025 brackets and calculates the tax", async () => {
+    const document = await openLesson("08_Functions_and_Arrow_Functions.html", "08_functions.js");
+    assert.equal(document.querySelectorAll("#bracketRows tr").length, 5);
+
+    setValue(document.getElementById("income"), "100000");
+    document.getElementById("calculate").click();
+    assert.match(document.getElementById("result").textContent, /15\.000,00/);
+  });
+
+  test("adding and removing brackets edits the table", async () => {
+    const document = await openLesson("08_Functions_and_Arrow_Functions.html", "08_functions.js");
+    document.getElementById("addBracket").click();
+    assert.equal(document.querySelectorAll("#bracketRows tr").length, 6);
+
+    document.querySelector('#bracketRows [data-action="remove"]').click();
+    document.querySelector('#bracketRows [data-action="remove"]').click();
+    assert.equal(document.querySelectorAll("#bracketRows tr").length, 4);
+
+    document.getElementById("resetBrackets").click();
+    assert.equal(document.querySelectorAll("#bracketRows tr").length, 5);
+  });
+
+  test("invalid input shows a message instead of a result", async () => {
+    const document = await openLesson("08_Functions_and_Arrow_Functions.html", "08_functions.js");
+    setValue(document.getElementById("income"), "-5");
+    document.getElementById("calculate").click();
+    assert.match(document.getElementById("result").textContent, /valid, non-negative income/);
+
+    setValue(document.getElementById("income"), "1000");
+    setValue(document.querySelector('#bracketRows [data-field="rate"]'), "150");
+    document.getElementById("calculate").click();
+    assert.match(document.getElementById("result").textContent, /between 0 and 100/);
+  });
+});
+
+describe("09 Arrays: playlist cleaner", () => {
+  const playlist = "title,artist,duration\nYellow,Coldplay,4:29\nFix You,Coldplay,4:55\nyellow,coldplay,4:29\nBad,Someone,later";
+
+  test("processes the playlist and enables the downloads", async () => {
+    const document = await openLesson("09_Arrays_and_Iteration_Methods.html", "09_arrays.js");
+    setValue(document.getElementById("playlistInput"), playlist);
+    document.getElementById("processBtn").click();
+
+    const output = document.getElementById("output");
+    assert.match(output.textContent, /2\s+songs/);
+    assert.match(output.textContent, /1 duplicate\(s\) removed/);
+    assert.match(output.querySelector(".parse-errors").textContent, /Line 5/);
+    assert.equal(document.getElementById("downloadCsv").disabled, false);
+  });
+
+  test("clicking a column header sorts the table", async () => {
+    const document = await openLesson("09_Arrays_and_Iteration_Methods.html", "09_arrays.js");
+    setValue(document.getElementById("playlistInput"), playlist);
+    document.getElementById("processBtn").click();
+
+    const titles = () => [...document.querySelectorAll("#songTable tbody tr")].map((row) => row.cells[1].textContent);
+    document.querySelector('#songTable th[data-key="title"]').click();
+    assert.deepEqual(titles(), ["Fix You", "Yellow"]);
+    document.querySelector('#songTable th[data-key="title"]').click();
+    assert.deepEqual(titles(), ["Yellow", "Fix You"]);
+    assert.equal(document.querySelector('#songTable th[data-key="title"]').getAttribute("aria-sort"), "descending");
+  });
+
+  test("keeps duplicates when the checkbox is cleared", async () => {
+    const document = await openLesson("09_Arrays_and_Iteration_Methods.html", "09_arrays.js");
+    setValue(document.getElementById("playlistInput"), playlist);
+    document.getElementById("dedupe").checked = false;
+    document.getElementById("processBtn").click();
+    assert.match(document.getElementById("output").textContent, /3\s+songs/);
+  });
+});
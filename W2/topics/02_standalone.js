@@ -1,21 +1,293 @@
 (function () {
-  const greeting = "Hello from Node.js!";
-  const sum = (a, b) => a + b;
+  const isNode = typeof window === "undefined" && typeof process !== "undefined" && Boolean(process.versions?.node);
 
-  if (typeof window === "undefined") {
+  // -------------------------------------------------------------------------
+  // Shared, pure command functions: the same code runs in Node.js and in the
+  // browser. They only take arguments and return values.
+  // -------------------------------------------------------------------------
+
+  const toNumbers = (args) =>
+    args.map((arg) => {
+      const value = Number(arg);
+      if (arg === "" || Number.isNaN(value)) {
+        throw new TypeError(`"${arg}" is not a number`);
+      }
+      return value;
+    });
+
+  const commands = {
+    greet: {
+      usage: "greet [name]",
+      description: "Say hello from the current runtime.",
+      run: ([name], runtime) => `Hello from ${name ?? runtime.name}!`,
+    },
+    sum: {
+      usage: "sum <a> <b> [...more]",
+      description: "Add two or more numbers.",
+      run: (args) => {
+        if (args.length < 2) {
+          throw new TypeError("sum needs at least two numbers");
+        }
+        return toNumbers(args).reduce((total, value) => total + value, 0);
+      },
+    },
+    time: {
+      usage: "time",
+      description: "Show the current time as an ISO string.",
+      run: () => new Date().toISOString(),
+    },
+    info: {
+      usage: "info",
+      description: "Report what this runtime can do next to the other runtime.",
+      run: (args, runtime) => describeCapabilities(runtime),
+    },
+  };
+
+  // Splits "sum 2 3 --json" the way a shell would, honouring quotes.
+  function tokenizeCommandLine(line) {
+    const tokens = [];
+    const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(line))) {
+      tokens.push(match[1] ?? match[2] ?? match[3]);
+    }
+    return tokens;
+  }
+
+  // argv without the "node script.js" prefix: positionals plus --flag and
+  // --key=value options. A lone "--" ends option parsing.
+  function parseArgs(argv) {
+    const positionals = [];
+    const options = {};
+    let optionsEnded = false;
+
+    argv.forEach((token) => {
+      if (!optionsEnded && token === "--") {
+        optionsEnded = true;
+      } else if (!optionsEnded && token.startsWith("--")) {
+        const [key, value] = token.slice(2).split(/=(.*)/s);
+        options[key] = value ?? true;
+      } else if (!optionsEnded && token === "-h") {
+        options.help = true;
+      } else {
+        positionals.push(token);
+      }
+    });
+
+    const [command, ...args] = positionals;
+    return { command, args, options };
+  }
+
+  function runCommand(name, args, runtime) {
+    const command = commands[name];
+    if (!command) {
+      return { ok: false, command: name, error: `Unknown command "${name}". Try --help.` };
+    }
+    try {
+      return { ok: true, command: name, result: command.run(args, runtime) };
+    } catch (error) {
+      return { ok: false, command: name, error: error.message };
+    }
+  }
+
+  function helpText() {
+    const lines = Object.values(commands).map((command) => `  ${command.usage.padEnd(24)}${command.description}`);
+    return ["Usage: node 02_standalone.js <command> [args] [--json]", "", "Commands:", ...lines].join("\n");
+  }
+
+  function formatResult(outcome, asJson) {
+    if (asJson) {
+      return JSON.stringify(outcome, null, 2);
+    }
+    if (!outcome.ok) {
+      return `Error: ${outcome.error}`;
+    }
+    if (Array.isArray(outcome.result)) {
+      const width = (key) => Math.max(...outcome.result.map((row) => row[key].length)) + 2;
+      const [first, second] = [width("capability"), width("here")];
+      return outcome.result.map((row) => `${row.capability.padEnd(first)}${row.here.padEnd(second)}${row.elsewhere}`).join("\n");
+    }
+    return String(outcome.result);
+  }
+
+  // -------------------------------------------------------------------------
+  // Runtime detection
+  // -------------------------------------------------------------------------
+
+  function detectModuleSystem() {
+    if (isNode) {
+      // CommonJS wraps every file in a function that provides module/require;
+      // an ES module (a .mjs file, or a .js file in a "type": "module"
+      // package such as W2) has neither.
+      return typeof module !== "undefined" && typeof require === "function" ? "CommonJS" : "ES module";
+    }
+    return document.currentScript?.type === "module" ? "ES module" : "Classic script";
+  }
+
+  // Returns true or false, or null when this Node.js version offers no
+  // synchronous way to load fs from an ES module (no require and no
+  // process.getBuiltinModule, which arrived in Node.js 20.16).
+  function hasFileSystem() {
+    if (!isNode) {
+      return false;
+    }
+    try {
+      if (typeof require === "function") {
+        return typeof require("fs").readFileSync === "function";
+      }
+      if (typeof process.getBuiltinModule === "function") {
+        return typeof process.getBuiltinModule("node:fs")?.readFileSync === "function";
+      }
+      return null;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  function describeFileSystem(fileSystem) {
+    if (fileSystem === null) {
+      return "assumed yes (not probed: no require or process.getBuiltinModule)";
+    }
+    return fileSystem ? "yes (fs)" : "no";
+  }
+
+  function detectRuntime() {
+    if (isNode) {
+      return {
+        name: "Node.js",
+        version: process.versions.node,
+        engine: `V8 ${process.versions.v8}`,
+        platform: `${process.platform} (${process.arch})`,
+        moduleSystem: detectModuleSystem(),
+        fileSystem: hasFileSystem(),
+      };
+    }
+    return {
+      name: "the browser",
+      version: navigator.userAgent,
+      engine: "Provided by the browser",
+      platform: navigator.platform || "unknown",
+      moduleSystem: detectModuleSystem(),
+      fileSystem: false,
+    };
+  }
+
+  // Each row pairs what this runtime reports with what the other one
+  // typically reports, so both outputs can be compared side by side.
+  function describeCapabilities(runtime) {
+    const other = isNode
+      ? {
+          runtime: "Browser",
+          version: "navigator.userAgent",
+          engine: "V8, SpiderMonkey or JavaScriptCore",
+          moduleSystem: 'Classic script or <script type="module">',
+          fileSystem: "no (sandboxed; use <input type=file>)",
+          globals: "window, document, navigator",
+        }
+      : {
+          runtime: "Node.js",
+          version: "process.versions.node",
+          engine: "V8 (process.versions.v8)",
+          moduleSystem: "CommonJS (.js/.cjs) or ES module (.mjs)",
+          fileSystem: "yes (require('fs') / import 'node:fs')",
+          globals: "process, require, module, globalThis",
+        };
+
+    // require and module are not real globals in Node.js: the CommonJS
+    // wrapper passes them in, so they are checked with typeof directly.
+    const available = isNode
+      ? { process: typeof process, require: typeof require, module: typeof module, globalThis: typeof globalThis }
+      : { window: typeof window, document: typeof document, navigator: typeof navigator, globalThis: typeof globalThis };
+    const globals = Object.keys(available).filter((name) => available[name] !== "undefined");
+
+    return [
+      { capability: "Capability", here: `This runtime (${runtime.name})`, elsewhere: other.runtime },
+      { capability: "Version", here: runtime.version, elsewhere: other.version },
+      { capability: "Engine", here: runtime.engine, elsewhere: other.engine },
+      { capability: "Module system", here: runtime.moduleSystem, elsewhere: other.moduleSystem },
+      { capability: "File system access", here: describeFileSystem(runtime.fileSystem), elsewhere: other.fileSystem },
+      { capability: "Globals", here: globals.join(", "), elsewhere: other.globals },
+    ];
+  }
+
+  // -------------------------------------------------------------------------
+  // Entry points
+  // -------------------------------------------------------------------------
+
+  const runtime = detectRuntime();
+
+  if (isNode) {
     // Running in Node.js
-    console.log(greeting);
-    console.log(`Current time: ${new Date().toISOString()}`);
-    console.log(`Sum (2 + 3): ${sum(2, 3)}`);
+    const { command, args, options } = parseArgs(process.argv.slice(2));
+
+    if (options.help) {
+      console.log(helpText());
+      return;
+    }
+
+    if (!command) {
+      console.log(commands.greet.run([], runtime));
+      console.log(`Current time: ${commands.time.run()}`);
+      console.log(`Sum (2 + 3): ${commands.sum.run(["2", "3"])}`);
+      console.log("\nRun with --help to see the available commands.");
+      return;
+    }
+
+    const outcome = runCommand(command, args, runtime);
+    const text = formatResult(outcome, Boolean(options.json));
+    if (outcome.ok) {
+      console.log(text);
+    } else {
+      console.error(text);
+      process.exitCode = 1;
+    }
   } else {
     // Running in the browser
     const container = document.createElement("section");
+    container.className = "panel";
     container.innerHTML = `
       <h2>Shared Script Output</h2>
-      <p><strong>${greeting}</strong> (executed in the browser)</p>
+      <p><strong>${commands.greet.run([], runtime)}</strong> (executed in the browser)</p>
       <p>The current time is ${new Date().toLocaleString()}</p>
-      <p>Sum (2 + 3): ${sum(2, 3)}</p>
+      <p>Sum (2 + 3): ${commands.sum.run(["2", "3"])}</p>
+      <form class="standalone-form">
+        <label>
+          Command line (same syntax as <code>node 02_standalone.js …</code>)
+          <input name="commandLine" type="text" value="sum 2 3 --json" />
+        </label>
+        <button type="submit">Run</button>
+      </form>
+      <pre class="code-block code-block--wrap"><code></code></pre>
+      <table>
+        <thead><tr></tr></thead>
+        <tbody></tbody>
+      </table>
     `;
     document.body.append(container);
+
+    const form = container.querySelector("form");
+    const result = container.querySelector("pre code");
+
+    form.addEventListener("submit", (event) => {
+      event.preventDefault();
+      const { command, args, options } = parseArgs(tokenizeCommandLine(form.elements.commandLine.value));
+      if (options.help || !command) {
+        result.textContent = helpText();
+        return;
+      }
+      result.textContent = formatResult(runCommand(command, args, runtime), Boolean(options.json));
+    });
+
+    const [header, ...rows] = describeCapabilities(runtime);
+    container.querySelector("thead tr").innerHTML = `<th>${header.capability}</th><th>${header.here}</th><th>${header.elsewhere}</th>`;
+    rows.forEach((row) => {
+      const tableRow = document.createElement("tr");
+      [row.capability, row.here, row.elsewhere].forEach((text) => {
+        const cell = document.createElement("td");
+        cell.textContent = text;
+        tableRow.append(cell);
+      });
+      container.querySelector("tbody").append(tableRow);
+    });
   }
 })();
@@ -1,75 +1,323 @@
 const output = document.getElementById("scopeOutput");
 const runButton = document.getElementById("runScopeDemo");
+const backButton = document.getElementById("stepBack");
+const nextButton = document.getElementById("stepNext");
+const stepCounter = document.getElementById("stepCounter");
+const stepNote = document.getElementById("stepNote");
+const sourceListing = document.getElementById("stepperSource");
+const scopePanels = document.getElementById("scopePanels");
 
-const log = (message = "") => {
-  output.textContent += `${message}\n`;
-};
+// The scope demo written out as source lines. Each line has an id so the
+// steps below can point at it without depending on line numbers.
+const DEMO_SOURCE = [
+  ["globalVar", 'var legacy = "var inside global";'],
+  ["globalLet", 'let modern = "let inside global";'],
+  ["globalConst", 'const constant = "const inside global";'],
+  ["globalLog", "log(legacy, modern, constant);"],
+  ["blockStart", "{"],
+  ["blockVar", '  var legacy = "var hoisted to function/global scope";'],
+  ["blockLet", '  let modern = "block-scoped let";'],
+  ["blockConst", '  const constant = "block-scoped const";'],
+  ["blockLog", "  log(legacy, modern, constant);"],
+  ["blockEnd", "}"],
+  ["afterBlockLog", "log(legacy, modern);"],
+  ["reassignLet", 'modern = "updated value";'],
+  ["reassignTry", "try {"],
+  ["reassignConst", '  constant = "should fail";'],
+  ["reassignCatch", "} catch (error) {"],
+  ["reassignCatchLog", "  log(error.message);"],
+  ["reassignEnd", "}"],
+  ["call", "log(hoistingExample());"],
+  ["blank", ""],
+  ["fnStart", "function hoistingExample() {"],
+  ["fnReadVar", "  log(legacyHoisted);"],
+  ["fnTryLet", "  try {"],
+  ["fnReadLet", "    log(modernHoisted);"],
+  ["fnCatchLet", "  } catch (error) {"],
+  ["fnCatchLetLog", "    log(error.message);"],
+  ["fnEndLet", "  }"],
+  ["fnTryConst", "  try {"],
+  ["fnReadConst", "    log(constHoisted);"],
+  ["fnCatchConst", "  } catch (error) {"],
+  ["fnCatchConstLog", "    log(error.message);"],
+  ["fnEndConst", "  }"],
+  ["fnVar", '  var legacyHoisted = "var is hoisted as undefined";'],
+  ["fnLet", '  let modernHoisted = "let is not accessible before declaration";'],
+  ["fnConst", '  const constHoisted = "const is not accessible before declaration";'],
+  ["fnReturn", '  return "Hoisting demo completed.";'],
+  ["fnEnd", "}"],
+];
 
-runButton.addEventListener("click", () => {
-  output.textContent = "Running scope demo...\n\n";
+// Execution order of the demo. `enter` hoists the declarations of a new
+// scope, `declare`/`assign` initialise or update a binding, and `log`
+// resolves the {names} in its text through the scope chain. A step that
+// throws keeps the error until the next `catch` step binds it.
+const DEMO_STEPS = [
+  {
+    at: "globalVar",
+    op: "enter",
+    kind: "global",
+    declarations: [
+      ["legacy", "var"],
+      ["modern", "let"],
+      ["constant", "const"],
+      ["hoistingExample", "function"],
+    ],
+    note: "Before any code runs, declarations are hoisted: var starts as undefined, let/const sit in the TDZ, and function declarations are ready to call.",
+  },
+  { at: "globalVar", op: "declare", name: "legacy", value: "var inside global", note: "var legacy receives its value." },
+  { at: "globalLet", op: "declare", name: "modern", value: "let inside global", note: "let modern leaves the TDZ once its declaration runs." },
+  { at: "globalConst", op: "declare", name: "constant", value: "const inside global", note: "const constant is initialised and can never be reassigned." },
+  {
+    at: "globalLog",
+    op: "log",
+    text: "global: {legacy} | {modern} | {constant}",
+    note: "All three bindings are now initialised in the global scope.",
+  },
+  {
+    at: "blockStart",
+    op: "enter",
+    kind: "block",
+    declarations: [
+      ["legacy", "var"],
+      ["modern", "let"],
+      ["constant", "const"],
+    ],
+    note: "Entering the block creates a new scope. The block's let/const start in the TDZ; its var belongs to the global scope, which already has legacy.",
+  },
+  {
+    at: "blockVar",
+    op: "declare",
+    name: "legacy",
+    value: "var hoisted to function/global scope",
+    note: "var ignores the block, so this overwrites the global legacy.",
+  },
+  { at: "blockLet", op: "declare", name: "modern", value: "block-scoped let", note: "This modern only exists inside the block and shadows the global one." },
+  { at: "blockConst", op: "declare", name: "constant", value: "block-scoped const", note: "The block gets its own constant, shadowing the global one." },
+  { at: "blockLog", op: "log", text: "block: {legacy} | {modern} | {constant}", note: "Lookups start in the innermost scope and walk outwards." },
+  { at: "blockEnd", op: "exit", note: "Leaving the block discards its let/const bindings." },
+  {
+    at: "afterBlockLog",
+    op: "log",
+    text: "after block: {legacy} | {modern}",
+    note: "legacy kept the value assigned inside the block; modern is the global one again.",
+  },
+  { at: "reassignLet", op: "assign", name: "modern", value: "updated value", note: "Reassigning let is allowed." },
+  { at: "reassignConst", op: "assign", name: "constant", value: "should fail", note: "Reassigning const throws a TypeError and leaves the value untouched." },
+  { at: "reassignCatch", op: "catch", note: "The TypeError jumps to the catch block, which gets its own scope with the error." },
+  { at: "reassignCatchLog", op: "log", text: "{error.message}", note: "The program keeps running because the error was caught." },
+  { at: "reassignEnd", op: "exit", note: "Leaving the catch block discards error." },
+  { at: "call", op: "call", note: "Function declarations are hoisted, so calling it before its line is fine." },
+  {
+    at: "fnStart",
+    op: "enter",
+    kind: "function",
+    name: "hoistingExample",
+    declarations: [
+      ["legacyHoisted", "var"],
+      ["modernHoisted", "let"],
+      ["constHoisted", "const"],
+    ],
+    note: "Calling the function creates a function scope and hoists its declarations.",
+  },
+  { at: "fnReadVar", op: "log", text: "var before declaration: {legacyHoisted}", note: "A hoisted var can be read early, but it is still undefined." },
+  { at: "fnReadLet", op: "log", text: "{modernHoisted}", note: "Reading a let in the TDZ throws a ReferenceError." },
+  { at: "fnCatchLet", op: "catch", note: "The ReferenceError is caught, so the function keeps running." },
+  { at: "fnCatchLetLog", op: "log", text: "{error.message}", note: "The message names the binding that was still in the TDZ." },
+  { at: "fnEndLet", op: "exit", note: "Leaving the catch block discards error." },
+  { at: "fnReadConst", op: "log", text: "{constHoisted}", note: "const behaves the same way as let in the TDZ." },
+  { at: "fnCatchConst", op: "catch", note: "The second ReferenceError is caught the same way." },
+  { at: "fnCatchConstLog", op: "log", text: "{error.message}", note: "Same message, different binding." },
+  { at: "fnEndConst", op: "exit", note: "Leaving the catch block discards error." },
+  { at: "fnVar", op: "declare", name: "legacyHoisted", value: "var is hoisted as undefined", note: "The var finally receives its value." },
+  { at: "fnLet", op: "declare", name: "modernHoisted", value: "let is not accessible before declaration", note: "The let leaves the TDZ." },
+  { at: "fnConst", op: "declare", name: "constHoisted", value: "const is not accessible before declaration", note: "The const leaves the TDZ." },
+  {
+    at: "fnReturn",
+    op: "exit",
+    text: "Hoisting demo completed.",
+    note: "Returning discards the function scope; the caller logs the returned string.",
+  },
+];
 
-  log("Global scope start");
+const SCOPE_TITLES = { global: "Global", function: "Function", block: "Block" };
 
-  var legacy = "var inside global";
-  let modern = "let inside global";
-  const constant = "const inside global";
+let currentStep = -1;
 
-  log(`global legacy var: ${legacy}`);
-  log(`global modern let: ${modern}`);
-  log(`global constant: ${constant}`);
+runButton.addEventListener("click", () => showStep(0));
+backButton.addEventListener("click", () => showStep(currentStep - 1));
+nextButton.addEventListener("click", () => showStep(currentStep + 1));
 
-  {
-    log("\nEntering block scope");
-    var legacy = "var hoisted to function/global scope";
-    let modern = "block-scoped let";
-    const constant = "block-scoped const";
-
-    log(`block legacy var: ${legacy}`);
-    log(`block modern let: ${modern}`);
-    log(`block constant: ${constant}`);
-  }
+document.addEventListener("keydown", (event) => {
+  if (currentStep < 0 || event.target.closest("input, textarea, select")) return;
+  if (event.key === "ArrowRight") showStep(currentStep + 1);
+  if (event.key === "ArrowLeft") showStep(currentStep - 1);
+});
 
-  log("\nBack to global scope");
-  log(`legacy var after block: ${legacy}`);
+renderSource(null);
+updateControls();
 
-  try {
-    log(`modern let after block: ${modern}`);
-  } catch (error) {
-    log(`modern let after block: ReferenceError (${error.message})`);
-  }
+function showStep(index) {
+  currentStep = Math.min(Math.max(index, 0), DEMO_STEPS.length - 1);
 
-  log("Reassigning let is allowed.");
-  modern = "updated value";
-  log(`modern let after reassignment: ${modern}`);
+  // Replaying from the start keeps Back trivial: state is a pure function of
+  // how many steps have run.
+  const state = { scopes: [], log: [], thrown: null };
+  DEMO_STEPS.slice(0, currentStep + 1).forEach((step) => applyStep(state, step));
 
-  log("Attempting to reassign const...");
-  try {
-    constant = "should fail";
-  } catch (error) {
-    log(`const reassignment: TypeError (${error.message})`);
-  }
+  const step = DEMO_STEPS[currentStep];
+  renderSource(step.at);
+  renderScopes(state.scopes);
+  output.textContent = state.log.join("\n");
+  stepNote.textContent = step.note;
+  updateControls();
+}
 
-  log("\nHoisting example:");
-  log(hoistingExample());
-});
+function updateControls() {
+  backButton.disabled = currentStep <= 0;
+  nextButton.disabled = currentStep < 0 || currentStep >= DEMO_STEPS.length - 1;
+  stepCounter.textContent = currentStep < 0 ? "Press Start to begin." : `Step ${currentStep + 1} of ${DEMO_STEPS.length}`;
+}
 
-function hoistingExample() {
-  log("Accessing var before declaration: " + legacyHoisted);
-  try {
-    log("Accessing let before declaration: " + modernHoisted);
-  } catch (error) {
-    log(`let before declaration throws: ${error.message}`);
+function applyStep(state, step) {
+  switch (step.op) {
+    case "enter": {
+      const scope = { kind: step.kind, name: step.name, bindings: new Map() };
+      state.scopes.push(scope);
+      step.declarations.forEach(([name, kind]) => hoist(state.scopes, scope, name, kind));
+      break;
+    }
+    case "catch": {
+      const scope = { kind: "block", bindings: new Map([["error", { kind: "catch", status: "initialized", value: state.thrown }]]) };
+      state.scopes.push(scope);
+      state.thrown = null;
+      break;
+    }
+    case "call":
+      break;
+    case "exit":
+      state.scopes.pop();
+      if (step.text) state.log.push(step.text);
+      break;
+    case "declare": {
+      const binding = resolve(state.scopes, step.name);
+      binding.status = "initialized";
+      binding.value = step.value;
+      break;
+    }
+    case "assign": {
+      const binding = resolve(state.scopes, step.name);
+      if (binding.status === "tdz") {
+        state.thrown = new ReferenceError(`Cannot access '${step.name}' before initialization`);
+      } else if (binding.kind === "const") {
+        state.thrown = new TypeError("Assignment to constant variable.");
+      } else {
+        binding.value = step.value;
+        binding.status = "initialized";
+      }
+      break;
+    }
+    case "log":
+      try {
+        state.log.push(formatLog(state.scopes, step.text));
+      } catch (error) {
+        state.thrown = error;
+      }
+      break;
+    default:
+      throw new Error(`Unknown step "${step.op}"`);
   }
+}
 
-  try {
-    log("Accessing const before declaration: " + constHoisted);
-  } catch (error) {
-    log(`const before declaration throws: ${error.message}`);
+function hoist(scopes, scope, name, kind) {
+  if (kind === "var") {
+    const target = [...scopes].reverse().find((candidate) => candidate.kind !== "block");
+    if (!target.bindings.has(name)) {
+      target.bindings.set(name, { kind, status: "undefined", value: undefined });
+    }
+    return;
   }
+  if (kind === "function") {
+    scope.bindings.set(name, { kind, status: "initialized", value: `ƒ ${name}()` });
+    return;
+  }
+  scope.bindings.set(name, { kind, status: "tdz", value: undefined });
+}
+
+function resolve(scopes, name) {
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    if (scopes[i].bindings.has(name)) {
+      return scopes[i].bindings.get(name);
+    }
+  }
+  return null;
+}
+
+// Throws the ReferenceError the engine would when a name is missing or in the TDZ.
+function formatLog(scopes, text) {
+  return text.replace(/\{(\w+)(?:\.(\w+))?\}/g, (_, name, property) => {
+    const binding = resolve(scopes, name);
+    if (!binding) {
+      throw new ReferenceError(`${name} is not defined`);
+    }
+    if (binding.status === "tdz") {
+      throw new ReferenceError(`Cannot access '${name}' before initialization`);
+    }
+    return String(property ? binding.value[property] : binding.value);
+  });
+}
+
+function renderSource(activeId) {
+  sourceListing.innerHTML = "";
+  DEMO_SOURCE.forEach(([id, code]) => {
+    const line = document.createElement("li");
+    line.textContent = code || " ";
+    if (id === activeId) {
+      line.className = "is-current";
+      line.setAttribute("aria-current", "step");
+    }
+    sourceListing.append(line);
+  });
+  sourceListing.querySelector(".is-current")?.scrollIntoView?.({ block: "nearest" });
+}
+
+function renderScopes(scopes) {
+  scopePanels.innerHTML = "";
+
+  ["global", "function", "block"].forEach((kind) => {
+    const panel = document.createElement("section");
+    panel.className = `scope-panel scope-panel--${kind}`;
+    const matching = scopes.filter((scope) => scope.kind === kind);
+    const heading = document.createElement("h3");
+    const fnName = matching.length && matching[matching.length - 1].name;
+    heading.textContent = `${SCOPE_TITLES[kind]} scope${fnName ? `: ${fnName}()` : ""}`;
+    panel.append(heading);
+
+    if (!matching.length) {
+      const empty = document.createElement("p");
+      empty.textContent = kind === "global" ? "Not created yet." : `No active ${kind} scope.`;
+      panel.append(empty);
+    }
 
-  var legacyHoisted = "var is hoisted as undefined";
-  let modernHoisted = "let is not accessible before declaration";
-  const constHoisted = "const is not accessible before declaration";
+    matching.forEach((scope) => {
+      const list = document.createElement("ul");
+      scope.bindings.forEach((binding, name) => {
+        const item = document.createElement("li");
+        item.className = `binding binding--${binding.status}`;
+        const label = document.createElement("code");
+        label.textContent = `${binding.kind} ${name}`;
+        const state = document.createElement("span");
+        if (binding.status === "initialized") {
+          state.textContent = binding.kind === "function" || binding.kind === "catch" ? String(binding.value) : JSON.stringify(binding.value);
+        } else {
+          state.textContent = binding.status === "tdz" ? "TDZ" : "undefined";
+        }
+        item.append(label, " ", state);
+        list.append(item);
+      });
+      panel.append(list);
+    });
 
-  return "Hoisting demo completed.";
+    scopePanels.append(panel);
+  });
 }
@@ -1,3 +1,5 @@
+import { describeType, formatValue, getChildren, parseLiteral } from "./04_value_inspector.js";
+
 const input = document.getElementById("valueInput");
 const mode = document.getElementById("modeSelect");
 const results = document.getElementById("results");
@@ -21,45 +23,121 @@ button.addEventListener("click", () => {
         value = raw;
         break;
       default:
-        // eslint-disable-next-line no-eval
-        value = eval(`(${raw})`);
+        // Parse literals only: nothing the student types is ever executed.
+        value = parseLiteral(raw);
     }
   } catch (error) {
-    results.innerHTML = `<p>Unable to parse the value: <code>${error.message}</code></p>`;
+    results.innerHTML = "";
+    const message = document.createElement("p");
+    const code = document.createElement("code");
+    code.textContent = error.message;
+    message.append("Unable to parse the value: ", code);
+    results.append(message);
     return;
   }
 
-  const typeOf = typeof value;
-  const isArray = Array.isArray(value);
-  const isNull = value === null;
-  const constructorName = value && value.constructor ? value.constructor.name : "N/A";
-
   results.innerHTML = `
     <h2>Inspection Result</h2>
-    <p><strong>Value:</strong> <code>${formatValue(value)}</code></p>
-    <p><strong>typeof:</strong> <code>${typeOf}</code></p>
-    <p><strong>Array?</strong> ${isArray}</p>
-    <p><strong>Null?</strong> ${isNull}</p>
-    <p><strong>Constructor:</strong> <code>${constructorName}</code></p>
+    <p>Expand a row to see the type information of every nested value.</p>
   `;
+  results.append(buildTypeTree(value));
 });
 
-function formatValue(value) {
-  if (typeof value === "string") {
-    return JSON.stringify(value);
-  }
-  if (typeof value === "bigint") {
-    return value.toString() + "n";
-  }
-  if (typeof value === "symbol") {
-    return value.toString();
+// ---------------------------------------------------------------------------
+// Type tree
+// ---------------------------------------------------------------------------
+
+function buildTypeTree(rootValue) {
+  const seen = new WeakSet();
+  const tree = document.createElement("ul");
+  tree.className = "type-tree";
+  tree.append(buildTreeNode("value", rootValue, seen, true));
+  return tree;
+}
+
+function buildTreeNode(label, value, seen, open = false) {
+  const item = document.createElement("li");
+  const info = describeType(value);
+  const summaryLine = buildSummaryLine(label, value, info);
+  const isContainer = info.kind === "reference" && typeof value !== "function";
+
+  if (!isContainer) {
+    item.append(summaryLine);
+    return item;
   }
-  if (typeof value === "function") {
-    return value.toString();
+
+  if (seen.has(value)) {
+    summaryLine.append(" ", makeBadge("[Circular]", "circular"));
+    item.append(summaryLine);
+    return item;
   }
-  try {
-    return JSON.stringify(value, null, 2);
-  } catch (error) {
-    return String(value);
+
+  const children = getChildren(value);
+  if (!children.length) {
+    item.append(summaryLine);
+    return item;
   }
+
+  seen.add(value);
+  const details = document.createElement("details");
+  details.open = open;
+  const summary = document.createElement("summary");
+  summary.append(summaryLine);
+  const list = document.createElement("ul");
+
+  children.forEach((child) => {
+    if (child.hole) {
+      const holeItem = document.createElement("li");
+      holeItem.append(makeLabel(child.label), " ", makeBadge("<empty slot>", "hole"));
+      list.append(holeItem);
+    } else if (child.isEntry) {
+      const entryItem = document.createElement("li");
+      const entryDetails = document.createElement("details");
+      const entrySummary = document.createElement("summary");
+      entrySummary.append(makeLabel(child.label));
+      const entryList = document.createElement("ul");
+      entryList.append(buildTreeNode("key", child.value.key, seen), buildTreeNode("value", child.value.value, seen));
+      entryDetails.append(entrySummary, entryList);
+      entryItem.append(entryDetails);
+      list.append(entryItem);
+    } else {
+      list.append(buildTreeNode(child.label, child.value, seen));
+    }
+  });
+
+  seen.delete(value);
+  details.append(summary, list);
+  item.append(details);
+  return item;
+}
+
+function buildSummaryLine(label, value, info) {
+  const line = document.createElement("span");
+  const preview = document.createElement("code");
+  preview.textContent = formatValue(value);
+
+  line.append(
+    makeLabel(label),
+    " ",
+    preview,
+    " ",
+    makeBadge(`typeof ${info.typeOf}`, "typeof"),
+    makeBadge(info.constructorName, "constructor"),
+    makeBadge(info.kind, info.kind)
+  );
+  line.title = info.tag;
+  return line;
+}
+
+function makeLabel(text) {
+  const label = document.createElement("strong");
+  label.textContent = `${text}:`;
+  return label;
+}
+
+function makeBadge(text, variant) {
+  const badge = document.createElement("span");
+  badge.className = `type-badge type-badge--${variant}`;
+  badge.textContent = text;
+  return badge;
 }
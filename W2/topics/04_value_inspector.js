@@ -0,0 +1,427 @@
+// The safe literal parser and the type information behind the tree in
+// 04_data_types.js. Values are built from tokens, never with eval, so a typed
+// literal cannot run code.
+
+// ---------------------------------------------------------------------------
+// Safe literal parser
+// ---------------------------------------------------------------------------
+// Understands the literal syntax of JavaScript (numbers, BigInt, strings,
+// template strings without ${}, booleans, null, undefined, NaN, Infinity,
+// regular expressions, arrays, objects) plus a few constructor calls:
+// Symbol("x"), Symbol.for("x"), BigInt(1), new Date(...), new Map([...]),
+// new Set([...]) and new RegExp(...). Anything else is a SyntaxError.
+
+const PUNCTUATORS = "[]{}(),:.";
+const KEYWORD_VALUES = {
+  true: true,
+  false: false,
+  null: null,
+  undefined: undefined,
+  NaN: NaN,
+  Infinity: Infinity,
+};
+
+// Most arguments each supported constructor takes:
+// new Date(year, monthIndex, day, hours, minutes, seconds, ms), new RegExp(pattern, flags)
+const CONSTRUCTOR_ARGUMENTS = {
+  Date: 7,
+  Map: 1,
+  Set: 1,
+  RegExp: 2,
+};
+
+export function parseLiteral(source) {
+  const tokens = tokenize(source);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  const fail = (message, token = peek()) => {
+    throw new SyntaxError(`${message} at position ${token.start}`);
+  };
+
+  const expect = (type, text) => {
+    const token = next();
+    if (token.type !== type || (text !== undefined && token.value !== text)) {
+      fail(`Expected "${text ?? type}" but found "${token.raw || "end of input"}"`, token);
+    }
+    return token;
+  };
+
+  const isPunctuator = (text) => peek().type === "punctuator" && peek().value === text;
+
+  function parseValue() {
+    const token = peek();
+
+    switch (token.type) {
+      case "number":
+      case "bigint":
+      case "string":
+      case "regexp":
+        next();
+        return token.value;
+      case "sign": {
+        next();
+        const operand = parseValue();
+        if (typeof operand !== "number" && typeof operand !== "bigint") {
+          fail(`Unary "${token.value}" only applies to numbers`, token);
+        }
+        if (token.value === "+" && typeof operand === "bigint") {
+          fail("Unary \"+\" cannot convert a BigInt", token);
+        }
+        return token.value === "-" ? -operand : operand;
+      }
+      case "identifier":
+        return parseIdentifier();
+      case "punctuator":
+        if (token.value === "[") return parseArray();
+        if (token.value === "{") return parseObject();
+        if (token.value === "(") {
+          next();
+          const inner = parseValue();
+          expect("punctuator", ")");
+          return inner;
+        }
+        break;
+      default:
+        break;
+    }
+
+    return fail(`Unexpected "${token.raw || "end of input"}"`);
+  }
+
+  function parseIdentifier() {
+    const token = next();
+    const name = token.value;
+
+    if (Object.prototype.hasOwnProperty.call(KEYWORD_VALUES, name)) {
+      return KEYWORD_VALUES[name];
+    }
+
+    if (name === "Symbol") {
+      if (isPunctuator(".")) {
+        next();
+        expect("identifier", "for");
+        const [key] = parseArguments(1, 1);
+        return Symbol.for(String(key));
+      }
+      const args = parseArguments(0, 1);
+      return args.length ? Symbol(String(args[0])) : Symbol();
+    }
+
+    if (name === "BigInt") {
+      const [argument] = parseArguments(1, 1);
+      return BigInt(argument);
+    }
+
+    if (name === "new") {
+      return parseConstruction();
+    }
+
+    return fail(`"${name}" is not a literal (variables and function calls are not evaluated)`, token);
+  }
+
+  function parseConstruction() {
+    const token = expect("identifier");
+    const maxArguments = CONSTRUCTOR_ARGUMENTS[token.value] ?? Infinity;
+    const args = isPunctuator("(") ? parseArguments(0, maxArguments) : [];
+
+    switch (token.value) {
+      case "Date": {
+        const date = new Date(...args);
+        if (Number.isNaN(date.getTime())) {
+          fail("Invalid Date", token);
+        }
+        return date;
+      }
+      case "Map":
+        return new Map(args[0] ?? []);
+      case "Set":
+        return new Set(args[0] ?? []);
+      case "RegExp":
+        return new RegExp(...args);
+      default:
+        return fail(`Constructing "${token.value}" is not supported`, token);
+    }
+  }
+
+  function parseArguments(min, max) {
+    expect("punctuator", "(");
+    const args = [];
+    while (!isPunctuator(")")) {
+      args.push(parseValue());
+      if (!isPunctuator(")")) {
+        expect("punctuator", ",");
+      }
+    }
+    const closing = expect("punctuator", ")");
+    if (args.length < min || args.length > max) {
+      fail(`Expected ${min === max ? min : `${min}-${max}`} argument(s) but got ${args.length}`, closing);
+    }
+    return args;
+  }
+
+  function parseArray() {
+    expect("punctuator", "[");
+    const array = [];
+    while (!isPunctuator("]")) {
+      if (isPunctuator(",")) {
+        // Elision such as [1, , 3] leaves a hole in the array.
+        next();
+        array.length += 1;
+        continue;
+      }
+      array.push(parseValue());
+      if (!isPunctuator("]")) {
+        expect("punctuator", ",");
+      }
+    }
+    expect("punctuator", "]");
+    return array;
+  }
+
+  function parseObject() {
+    expect("punctuator", "{");
+    const object = {};
+    while (!isPunctuator("}")) {
+      const keyToken = next();
+      if (!["identifier", "string", "number"].includes(keyToken.type)) {
+        fail(`Invalid property name "${keyToken.raw || "end of input"}"`, keyToken);
+      }
+      expect("punctuator", ":");
+      // defineProperty keeps keys such as "__proto__" as plain data.
+      Object.defineProperty(object, String(keyToken.value), {
+        value: parseValue(),
+        enumerable: true,
+        writable: true,
+        configurable: true,
+      });
+      if (!isPunctuator("}")) {
+        expect("punctuator", ",");
+      }
+    }
+    expect("punctuator", "}");
+    return object;
+  }
+
+  const value = parseValue();
+  if (peek().type !== "end") {
+    fail(`Unexpected "${peek().raw}" after the value`);
+  }
+  return value;
+}
+
+function tokenize(source) {
+  const tokens = [];
+  let index = 0;
+
+  const push = (type, value, start) => {
+    tokens.push({ type, value, start, raw: source.slice(start, index) });
+  };
+
+  // A "/" starts a regular expression unless it follows a complete value.
+  const regexAllowed = () => {
+    const last = tokens[tokens.length - 1];
+    return !last || (last.type === "punctuator" && !")]}".includes(last.value)) || last.type === "sign";
+  };
+
+  while (index < source.length) {
+    const start = index;
+    const char = source[index];
+
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+
+    if (PUNCTUATORS.includes(char) && !(char === "." && /\d/.test(source[index + 1] ?? ""))) {
+      index++;
+      push("punctuator", char, start);
+      continue;
+    }
+
+    if (char === "+" || char === "-") {
+      index++;
+      push("sign", char, start);
+      continue;
+    }
+
+    if (char === '"' || char === "'" || char === "`") {
+      index = readString(source, index, (message) => {
+        throw new SyntaxError(`${message} at position ${start}`);
+      });
+      push("string", decodeString(source.slice(start, index), start), start);
+      continue;
+    }
+
+    if (/[\d.]/.test(char)) {
+      const match = /^(?:0[xX][\da-fA-F_]+|0[oO][0-7_]+|0[bB][01_]+|(?:\d[\d_]*)?\.?[\d_]*(?:[eE][+-]?\d[\d_]*)?)(n?)/.exec(
+        source.slice(index)
+      );
+      const [text, bigintSuffix] = match;
+      index += text.length;
+      const digits = text.replace(/_/g, "").replace(/n$/, "");
+
+      if (bigintSuffix) {
+        if (/[.eE]/.test(digits) && !/^0[xX]/.test(digits)) {
+          throw new SyntaxError(`BigInt literals must be integers at position ${start}`);
+        }
+        push("bigint", BigInt(digits), start);
+      } else {
+        const number = Number(digits);
+        if (Number.isNaN(number)) {
+          throw new SyntaxError(`Invalid number "${text}" at position ${start}`);
+        }
+        push("number", number, start);
+      }
+      continue;
+    }
+
+    if (/[A-Za-z_$]/.test(char)) {
+      const [name] = /^[\w$]+/.exec(source.slice(index));
+      index += name.length;
+      push("identifier", name, start);
+      continue;
+    }
+
+    if (char === "/" && regexAllowed()) {
+      const match = /^\/((?:\\.|\[(?:\\.|[^\]\\\n])*\]|[^/\\\n[])+)\/([a-z]*)/.exec(source.slice(index));
+      if (!match) {
+        throw new SyntaxError(`Unterminated regular expression at position ${start}`);
+      }
+      index += match[0].length;
+      try {
+        push("regexp", new RegExp(match[1], match[2]), start);
+      } catch (error) {
+        throw new SyntaxError(`${error.message} at position ${start}`);
+      }
+      continue;
+    }
+
+    throw new SyntaxError(`Unexpected character "${char}" at position ${start}`);
+  }
+
+  tokens.push({ type: "end", value: null, start: source.length, raw: "" });
+  return tokens;
+}
+
+function readString(source, index, fail) {
+  const quote = source[index];
+  index++;
+  while (index < source.length) {
+    const char = source[index];
+    if (char === "\\") {
+      index += 2;
+      continue;
+    }
+    if (quote === "`" && char === "$" && source[index + 1] === "{") {
+      fail("Template literals with ${} expressions are not evaluated");
+    }
+    if (char === "\n" && quote !== "`") {
+      fail("Unterminated string");
+    }
+    if (char === quote) {
+      return index + 1;
+    }
+    index++;
+  }
+  return fail("Unterminated string");
+}
+
+function decodeString(literal, start) {
+  const body = literal.slice(1, -1);
+  const simpleEscapes = { n: "\n", t: "\t", r: "\r", b: "\b", f: "\f", v: "\v", 0: "\0" };
+
+  return body.replace(/\\(u\{[\da-fA-F]+\}|u[\da-fA-F]{4}|x[\da-fA-F]{2}|\r?\n|[\s\S])/g, (_, escape) => {
+    if (escape === "u" || escape === "x") {
+      throw new SyntaxError(`Invalid escape "\\${escape}" at position ${start}`);
+    }
+    if (escape.length > 1 && (escape[0] === "u" || escape[0] === "x")) {
+      return String.fromCodePoint(parseInt(escape.replace(/^[ux]\{?|\}$/g, ""), 16));
+    }
+    if (escape === "\n" || escape === "\r\n") {
+      return "";
+    }
+    return simpleEscapes[escape] ?? escape;
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Type information
+// ---------------------------------------------------------------------------
+
+export function describeType(value) {
+  const typeOf = typeof value;
+  const isPrimitive = value === null || (typeOf !== "object" && typeOf !== "function");
+  let constructorName = "N/A";
+  if (value !== null && value !== undefined) {
+    const proto = Object.getPrototypeOf(value);
+    constructorName = proto && proto.constructor ? proto.constructor.name : "null prototype";
+  }
+
+  return {
+    typeOf,
+    constructorName,
+    kind: isPrimitive ? "primitive" : "reference",
+    tag: Object.prototype.toString.call(value),
+  };
+}
+
+export function getChildren(value) {
+  if (value instanceof Map) {
+    return Array.from(value, ([key, entryValue], index) => ({
+      label: `[[Entry ${index}]]`,
+      value: { key, value: entryValue },
+      isEntry: true,
+    }));
+  }
+  if (value instanceof Set) {
+    return Array.from(value, (item, index) => ({ label: `[[Value ${index}]]`, value: item }));
+  }
+  if (Array.isArray(value)) {
+    return Array.from(value.keys(), (index) =>
+      index in value ? { label: `[${index}]`, value: value[index] } : { label: `[${index}]`, hole: true }
+    );
+  }
+  if (value instanceof Date || value instanceof RegExp) {
+    return [];
+  }
+  return Object.keys(value).map((key) => ({ label: key, value: value[key] }));
+}
+
+// One-line preview used for every node of the tree.
+export function formatValue(value) {
+  if (typeof value === "string") {
+    return JSON.stringify(value);
+  }
+  if (typeof value === "bigint") {
+    return value.toString() + "n";
+  }
+  if (typeof value === "symbol") {
+    return value.toString();
+  }
+  if (typeof value === "function") {
+    return `ƒ ${value.name || "anonymous"}()`;
+  }
+  if (typeof value === "number" && Object.is(value, -0)) {
+    return "-0";
+  }
+  if (value === null || typeof value !== "object") {
+    return String(value);
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value instanceof RegExp) {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return `Array(${value.length})`;
+  }
+  if (value instanceof Map || value instanceof Set) {
+    return `${value.constructor.name}(${value.size})`;
+  }
+  const keyCount = Object.keys(value).length;
+  return `{…} ${keyCount} ${keyCount === 1 ? "key" : "keys"}`;
+}
@@ -0,0 +1,394 @@
+// The numeric results and the coercion explorer's explanations behind
+// 05_operators.js. Every function returns plain data (values, expressions and
+// step lists); the page decides how to show them.
+
+// Every operator of the numeric mode applied to two numbers. Division and
+// remainder by zero are reported as messages instead of Infinity and NaN.
+export function evaluateNumbers(left, right) {
+  const arithmetic = {
+    addition: left + right,
+    subtraction: left - right,
+    multiplication: left * right,
+    division: right !== 0 ? left / right : "Cannot divide by zero",
+    remainder: right !== 0 ? left % right : "Undefined",
+    exponent: left ** right,
+  };
+
+  const comparisons = {
+    equal: left == right,
+    strictEqual: left === right,
+    notEqual: left != right,
+    greaterThan: left > right,
+    lessThan: left < right,
+  };
+
+  const logical = {
+    and: left && right,
+    or: left || right,
+    notLeft: !left,
+    nullishLeft: left ?? "default",
+    nullishRight: right ?? "default",
+  };
+
+  return { arithmetic, comparisons, logical };
+}
+
+export function formatObject(obj) {
+  return Object.entries(obj)
+    .map(([key, value]) => `${key}: ${value}`)
+    .join("\n");
+}
+
+// ---------------------------------------------------------------------------
+// Coercion explorer
+// ---------------------------------------------------------------------------
+// Each result is explained with the same steps the ECMAScript specification
+// uses (ToPrimitive, ToNumber, ToString, ToBoolean, IsLooselyEqual and
+// IsStrictlyEqual).
+
+// Turns the text typed for an operand into a value of the chosen type.
+export function parseOperand(raw, type) {
+  switch (type) {
+    case "string":
+      return raw;
+    case "number":
+      return Number(raw);
+    case "boolean":
+      return raw.trim() === "true";
+    case "null":
+      return null;
+    case "undefined":
+      return undefined;
+    case "array":
+    case "object": {
+      const fallback = type === "array" ? "[]" : "{}";
+      let parsed;
+      try {
+        parsed = JSON.parse(raw.trim() || fallback);
+      } catch (error) {
+        throw new SyntaxError(`Use JSON syntax for ${type}s, e.g. ${type === "array" ? "[1, 2]" : '{"a": 1}'}`);
+      }
+      if (Array.isArray(parsed) !== (type === "array") || typeof parsed !== "object" || parsed === null) {
+        throw new TypeError(`"${raw}" is not ${type === "array" ? "an array" : "a plain object"}`);
+      }
+      return parsed;
+    }
+    default:
+      throw new TypeError(`Unknown operand type "${type}"`);
+  }
+}
+
+export const COERCION_TABLES = {
+  arithmetic: {
+    addition: { symbol: "+", apply: (a, b) => a + b, explain: explainAddition },
+    subtraction: { symbol: "-", apply: (a, b) => a - b, explain: explainNumericOperator },
+    multiplication: { symbol: "*", apply: (a, b) => a * b, explain: explainNumericOperator },
+    division: { symbol: "/", apply: (a, b) => a / b, explain: explainNumericOperator },
+    remainder: { symbol: "%", apply: (a, b) => a % b, explain: explainNumericOperator },
+    exponent: { symbol: "**", apply: (a, b) => a ** b, explain: explainNumericOperator },
+  },
+  comparisons: {
+    equal: { symbol: "==", apply: (a, b) => a == b, explain: (a, b, steps) => isLooselyEqual(a, b, steps) },
+    strictEqual: { symbol: "===", apply: (a, b) => a === b, explain: (a, b, steps) => isStrictlyEqual(a, b, steps) },
+    notEqual: {
+      symbol: "!=",
+      apply: (a, b) => a != b,
+      explain: (a, b, steps) => {
+        steps.push("a != b is defined as !(a == b).");
+        const equal = isLooselyEqual(a, b, steps);
+        steps.push(`Negate ${equal} → ${!equal}.`);
+        return !equal;
+      },
+    },
+    greaterThan: { symbol: ">", apply: (a, b) => a > b, explain: (a, b, steps) => explainRelational(b, a, steps, true) },
+    lessThan: { symbol: "<", apply: (a, b) => a < b, explain: (a, b, steps) => explainRelational(a, b, steps, false) },
+  },
+  logical: {
+    and: {
+      symbol: "&&",
+      apply: (a, b) => a && b,
+      explain: (a, b, steps) => {
+        const truthy = toBoolean(a, steps);
+        steps.push(truthy ? "Left is truthy → && returns the right operand." : "Left is falsy → && short-circuits and returns the left operand.");
+        return truthy ? b : a;
+      },
+    },
+    or: {
+      symbol: "||",
+      apply: (a, b) => a || b,
+      explain: (a, b, steps) => {
+        const truthy = toBoolean(a, steps);
+        steps.push(truthy ? "Left is truthy → || short-circuits and returns the left operand." : "Left is falsy → || returns the right operand.");
+        return truthy ? a : b;
+      },
+    },
+    notLeft: {
+      symbol: "!",
+      unary: true,
+      apply: (a) => !a,
+      explain: (a, b, steps) => {
+        const truthy = toBoolean(a, steps);
+        steps.push(`! flips ${truthy} → ${!truthy}.`);
+        return !truthy;
+      },
+    },
+    nullishLeft: { symbol: "??", side: "left", apply: (a) => a ?? "default", explain: (a, b, steps) => explainNullish(a, steps) },
+    nullishRight: { symbol: "??", side: "right", apply: (a, b) => b ?? "default", explain: (a, b, steps) => explainNullish(b, steps) },
+  },
+};
+
+export function evaluateOperator(operator, left, right) {
+  const steps = [];
+  let expression;
+  if (operator.unary) {
+    expression = `${operator.symbol}${describeValue(left)}`;
+  } else if (operator.side) {
+    expression = `${describeValue(operator.side === "left" ? left : right)} ?? "default"`;
+  } else {
+    expression = `${describeValue(left)} ${operator.symbol} ${describeValue(right)}`;
+  }
+
+  // explain() repeats the conversions step by step, so it can throw too
+  let result;
+  let explained;
+  try {
+    result = operator.apply(left, right);
+    explained = operator.explain(left, right, steps, operator);
+  } catch (error) {
+    return { expression, result: error, steps: [`Throws ${error.name}: ${error.message}`] };
+  }
+
+  if (!Object.is(explained, result) && !(Number.isNaN(explained) && Number.isNaN(result))) {
+    steps.push(`(The engine returned ${describeValue(result)}.)`);
+  }
+  return { expression, result, steps };
+}
+
+// --- Abstract operations ---------------------------------------------------
+
+function specType(value) {
+  if (value === null) return "Null";
+  if (value === undefined) return "Undefined";
+  if (isObject(value)) return "Object";
+  return typeof value === "bigint" ? "BigInt" : capitalize(typeof value);
+}
+
+function toPrimitive(value, hint, steps) {
+  if (!isObject(value)) {
+    return value;
+  }
+
+  const order = hint === "string" ? ["toString", "valueOf"] : ["valueOf", "toString"];
+  steps.push(`ToPrimitive(${describeValue(value)}, hint "${hint}") tries ${order[0]}() then ${order[1]}().`);
+
+  for (const method of order) {
+    // Like the spec's IsCallable check: { "valueOf": 1 } falls through to toString()
+    if (typeof value[method] !== "function") {
+      steps.push(`${method} is not a function → skip it.`);
+      continue;
+    }
+    const candidate = value[method]();
+    if (!isObject(candidate)) {
+      steps.push(`${method}() returns ${describeValue(candidate)}, a primitive → use it.`);
+      return candidate;
+    }
+    steps.push(`${method}() returns an object → not usable, try the next method.`);
+  }
+  throw new TypeError("Cannot convert object to primitive value");
+}
+
+function toNumber(value, steps) {
+  if (isObject(value)) {
+    const primitive = toPrimitive(value, "number", steps);
+    return toNumber(primitive, steps);
+  }
+
+  const number = Number(value);
+  let reason;
+  switch (specType(value)) {
+    case "Number":
+      return value;
+    case "Undefined":
+      reason = "undefined becomes NaN";
+      break;
+    case "Null":
+      reason = "null becomes 0";
+      break;
+    case "Boolean":
+      reason = `${value} becomes ${number}`;
+      break;
+    case "String":
+      reason = value.trim() === "" ? "an empty/whitespace string becomes 0" : `the string is parsed as a numeric literal → ${describeValue(number)}`;
+      break;
+    default:
+      reason = `→ ${describeValue(number)}`;
+  }
+  steps.push(`ToNumber(${describeValue(value)}): ${reason}.`);
+  return number;
+}
+
+function toStringValue(value, steps) {
+  if (isObject(value)) {
+    return toStringValue(toPrimitive(value, "string", steps), steps);
+  }
+  const text = String(value);
+  if (typeof value !== "string") {
+    steps.push(`ToString(${describeValue(value)}) → ${describeValue(text)}.`);
+  }
+  return text;
+}
+
+function toBoolean(value, steps) {
+  const truthy = Boolean(value);
+  const reason = truthy
+    ? isObject(value)
+      ? "every object (even [] and {}) is truthy"
+      : "it is not one of the falsy values"
+    : "it is one of the falsy values: false, 0, -0, 0n, \"\", null, undefined, NaN";
+  steps.push(`ToBoolean(${describeValue(value)}) → ${truthy} because ${reason}.`);
+  return truthy;
+}
+
+function isStrictlyEqual(x, y, steps) {
+  const typeX = specType(x);
+  const typeY = specType(y);
+  if (typeX !== typeY) {
+    steps.push(`Types differ (${typeX} vs ${typeY}) → false, no coercion happens.`);
+    return false;
+  }
+  if (typeX === "Number") {
+    if (Number.isNaN(x) || Number.isNaN(y)) {
+      steps.push("NaN is never equal to anything, including itself → false.");
+      return false;
+    }
+    steps.push(`Both are Numbers; compare values (+0 and -0 count as equal) → ${x === y}.`);
+    return x === y;
+  }
+  if (typeX === "Object") {
+    steps.push(`Both are objects; equal only if they are the same reference → ${x === y}.`);
+    return x === y;
+  }
+  steps.push(`Both are ${typeX}; compare values → ${x === y}.`);
+  return x === y;
+}
+
+function isLooselyEqual(x, y, steps) {
+  const typeX = specType(x);
+  const typeY = specType(y);
+  steps.push(`IsLooselyEqual(${describeValue(x)}, ${describeValue(y)}): ${typeX} == ${typeY}.`);
+
+  if (typeX === typeY) {
+    steps.push("Same type → use IsStrictlyEqual.");
+    return isStrictlyEqual(x, y, steps);
+  }
+  if ((typeX === "Null" && typeY === "Undefined") || (typeX === "Undefined" && typeY === "Null")) {
+    steps.push("null and undefined are loosely equal to each other (and nothing else) → true.");
+    return true;
+  }
+  if (typeX === "Number" && typeY === "String") {
+    steps.push("Number == String → convert the string with ToNumber.");
+    return isLooselyEqual(x, toNumber(y, steps), steps);
+  }
+  if (typeX === "String" && typeY === "Number") {
+    steps.push("String == Number → convert the string with ToNumber.");
+    return isLooselyEqual(toNumber(x, steps), y, steps);
+  }
+  if (typeX === "Boolean") {
+    steps.push("Left is a Boolean → convert it with ToNumber first.");
+    return isLooselyEqual(toNumber(x, steps), y, steps);
+  }
+  if (typeY === "Boolean") {
+    steps.push("Right is a Boolean → convert it with ToNumber first.");
+    return isLooselyEqual(x, toNumber(y, steps), steps);
+  }
+  if (["String", "Number", "BigInt", "Symbol"].includes(typeX) && typeY === "Object") {
+    steps.push("Primitive == Object → convert the object with ToPrimitive.");
+    return isLooselyEqual(x, toPrimitive(y, "default", steps), steps);
+  }
+  if (typeX === "Object" && ["String", "Number", "BigInt", "Symbol"].includes(typeY)) {
+    steps.push("Object == Primitive → convert the object with ToPrimitive.");
+    return isLooselyEqual(toPrimitive(x, "default", steps), y, steps);
+  }
+  steps.push("No rule applies (e.g. null/undefined against anything else) → false.");
+  return false;
+}
+
+function explainAddition(a, b, steps) {
+  const left = toPrimitive(a, "default", steps);
+  const right = toPrimitive(b, "default", steps);
+  if (typeof left === "string" || typeof right === "string") {
+    steps.push("At least one side is a string → + concatenates after ToString.");
+    const text = toStringValue(left, steps) + toStringValue(right, steps);
+    steps.push(`Concatenate → ${describeValue(text)}.`);
+    return text;
+  }
+  steps.push("Neither side is a string → + adds numbers after ToNumber.");
+  const sum = toNumber(left, steps) + toNumber(right, steps);
+  steps.push(`Add → ${describeValue(sum)}.`);
+  return sum;
+}
+
+function explainNumericOperator(a, b, steps, operator) {
+  steps.push("-, *, /, % and ** always convert both sides with ToNumber (no string concatenation).");
+  const left = toNumber(a, steps);
+  const right = toNumber(b, steps);
+  const result = operator.apply(left, right);
+  steps.push(`${describeValue(left)} ${operator.symbol} ${describeValue(right)} → ${describeValue(result)}.`);
+  return result;
+}
+
+// a > b is evaluated as b < a, so `swapped` only changes the wording.
+function explainRelational(x, y, steps, swapped) {
+  if (swapped) {
+    steps.push("a > b is evaluated as b < a.");
+  }
+  const px = toPrimitive(x, "number", steps);
+  const py = toPrimitive(y, "number", steps);
+  if (typeof px === "string" && typeof py === "string") {
+    const less = px < py;
+    steps.push(`Both are strings → compare UTF-16 code units: ${describeValue(px)} < ${describeValue(py)} is ${less}.`);
+    return less;
+  }
+  const nx = toNumber(px, steps);
+  const ny = toNumber(py, steps);
+  if (Number.isNaN(nx) || Number.isNaN(ny)) {
+    steps.push("A NaN is involved → the comparison is undefined, which becomes false.");
+    return false;
+  }
+  steps.push(`Compare numbers: ${describeValue(nx)} < ${describeValue(ny)} is ${nx < ny}.`);
+  return nx < ny;
+}
+
+function explainNullish(value, steps) {
+  if (value === null || value === undefined) {
+    steps.push(`${describeValue(value)} is nullish → ?? returns "default".`);
+    return "default";
+  }
+  steps.push(`${describeValue(value)} is not null or undefined → ?? keeps it (falsy values like 0 and "" are kept too).`);
+  return value;
+}
+
+// --- Formatting helpers ----------------------------------------------------
+
+function isObject(value) {
+  return (typeof value === "object" && value !== null) || typeof value === "function";
+}
+
+function capitalize(text) {
+  return text[0].toUpperCase() + text.slice(1);
+}
+
+export function typeLabel(value) {
+  if (value instanceof Error) return "error";
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+export function describeValue(value) {
+  if (value instanceof Error) return `${value.name}: ${value.message}`;
+  if (typeof value === "string") return JSON.stringify(value);
+  if (Object.is(value, -0)) return "-0";
+  if (isObject(value)) return JSON.stringify(value);
+  return String(value);
+}
@@ -1,36 +1,37 @@
+import {
+  COERCION_TABLES,
+  describeValue,
+  evaluateNumbers,
+  evaluateOperator,
+  formatObject,
+  parseOperand,
+  typeLabel,
+} from "./05_operator_logic.js";
+import { escapeHtml } from "./escape_html.js";
+
 const leftInput = document.getElementById("leftOperand");
 const rightInput = document.getElementById("rightOperand");
+const leftType = document.getElementById("leftType");
+const rightType = document.getElementById("rightType");
+const modeSelect = document.getElementById("modeSelect");
 const evaluateButton = document.getElementById("evaluate");
 const results = document.getElementById("results");
 
+modeSelect.addEventListener("change", syncMode);
+leftType.addEventListener("change", syncMode);
+rightType.addEventListener("change", syncMode);
+syncMode();
+
 evaluateButton.addEventListener("click", () => {
+  if (modeSelect.value === "coercion") {
+    renderCoercionExplorer();
+    return;
+  }
+
   const left = Number(leftInput.value);
   const right = Number(rightInput.value);
 
-  const arithmetic = {
-    addition: left + right,
-    subtraction: left - right,
-    multiplication: left * right,
-    division: right !== 0 ? left / right : "Cannot divide by zero",
-    remainder: right !== 0 ? left % right : "Undefined",
-    exponent: left ** right,
-  };
-
-  const comparisons = {
-    equal: left == right,
-    strictEqual: left === right,
-    notEqual: left != right,
-    greaterThan: left > right,
-    lessThan: left < right,
-  };
-
-  const logical = {
-    and: left && right,
-    or: left || right,
-    notLeft: !left,
-    nullishLeft: left ?? "default",
-    nullishRight: right ?? "default",
-  };
+  const { arithmetic, comparisons, logical } = evaluateNumbers(left, right);
 
   results.innerHTML = `
     <h2>Results</h2>
@@ -44,8 +45,70 @@ evaluateButton.addEventListener("click", () => {
   `;
 });
 
-function formatObject(obj) {
-  return Object.entries(obj)
-    .map(([key, value]) => `${key}: ${value}`)
-    .join("\n");
+// ---------------------------------------------------------------------------
+// Coercion explorer
+// ---------------------------------------------------------------------------
+// Keeps the operand types the student picked and lists the steps from
+// evaluateOperator() under every result.
+
+function syncMode() {
+  const explorer = modeSelect.value === "coercion";
+
+  document.querySelectorAll(".coercion-only").forEach((element) => {
+    element.hidden = !explorer;
+  });
+
+  [
+    [leftInput, leftType],
+    [rightInput, rightType],
+  ].forEach(([field, typeSelect]) => {
+    field.type = explorer ? "text" : "number";
+    field.disabled = explorer && ["null", "undefined"].includes(typeSelect.value);
+  });
+}
+
+function renderCoercionExplorer() {
+  let left;
+  let right;
+  try {
+    left = parseOperand(leftInput.value, leftType.value);
+    right = parseOperand(rightInput.value, rightType.value);
+  } catch (error) {
+    results.innerHTML = `<p>Unable to read the operands: <code>${escapeHtml(error.message)}</code></p>`;
+    return;
+  }
+
+  const sections = Object.entries(COERCION_TABLES).map(([tableName, operators]) => {
+    const rows = Object.entries(operators).map(([name, operator]) => {
+      const { expression, result, steps } = evaluateOperator(operator, left, right);
+      return `
+        <tr>
+          <td><code>${name}</code></td>
+          <td><code>${escapeHtml(expression)}</code></td>
+          <td><code>${escapeHtml(describeValue(result))}</code> <small>(${typeLabel(result)})</small></td>
+          <td>
+            <details>
+              <summary>${steps.length} steps</summary>
+              <ol class="coercion-steps">${steps.map((step) => `<li>${escapeHtml(step)}</li>`).join("")}</ol>
+            </details>
+          </td>
+        </tr>`;
+    });
+
+    return `
+      <h3>${tableName[0].toUpperCase()}${tableName.slice(1)}</h3>
+      <table>
+        <thead><tr><th>Operator</th><th>Expression</th><th>Result</th><th>How JavaScript got there</th></tr></thead>
+        <tbody>${rows.join("")}</tbody>
+      </table>`;
+  });
+
+  results.innerHTML = `
+    <h2>Coercion Explorer</h2>
+    <p>
+      Left: <code>${escapeHtml(describeValue(left))}</code> (${typeLabel(left)}) ·
+      Right: <code>${escapeHtml(describeValue(right))}</code> (${typeLabel(right)})
+    </p>
+    ${sections.join("")}
+  `;
 }
@@ -1,41 +1,116 @@
-const weatherSelect = document.getElementById("weatherSelect");
+import {
+  WEATHER_RULES,
+  describeConditions,
+  findMatchingRule,
+  generateIfElse,
+  generateLookup,
+  generateSwitch,
+  getSuggestedActivity,
+} from "./06_weather_rules.js";
+
+const presetSelect = document.getElementById("weatherSelect");
+const temperatureInput = document.getElementById("temperature");
+const precipitationSelect = document.getElementById("precipitation");
+const windSelect = document.getElementById("wind");
+const timeSelect = document.getElementById("timeOfDay");
 const button = document.getElementById("suggest");
 const recommendation = document.getElementById("recommendation");
+const ruleTable = document.getElementById("ruleTable");
+const patternViews = document.getElementById("patternViews");
+
+// The old single-condition dropdown now fills in the detailed inputs.
+const WEATHER_PRESETS = {
+  sunny: { temperature: 24, precipitation: "none", wind: "calm", timeOfDay: "afternoon" },
+  rainy: { temperature: 14, precipitation: "rain", wind: "calm", timeOfDay: "afternoon" },
+  windy: { temperature: 12, precipitation: "none", wind: "windy", timeOfDay: "afternoon" },
+  snowy: { temperature: -3, precipitation: "snow", wind: "calm", timeOfDay: "morning" },
+};
+
+presetSelect.addEventListener("change", () => {
+  const preset = WEATHER_PRESETS[presetSelect.value];
+  if (!preset) return;
+
+  temperatureInput.value = preset.temperature;
+  precipitationSelect.value = preset.precipitation;
+  windSelect.value = preset.wind;
+  timeSelect.value = preset.timeOfDay;
+});
 
 button.addEventListener("click", () => {
-  const weather = weatherSelect.value;
-
-  let outfit;
-  if (weather === "sunny") {
-    outfit = "Wear sunglasses and light layers.";
-  } else if (weather === "rainy") {
-    outfit = "Grab a waterproof jacket and boots.";
-  } else if (weather === "windy") {
-    outfit = "Layer up with a windbreaker.";
-  } else {
-    outfit = "Bundle up with a warm coat and gloves.";
+  const conditions = {
+    temperature: Number(temperatureInput.value),
+    precipitation: precipitationSelect.value,
+    wind: windSelect.value,
+    timeOfDay: timeSelect.value,
+  };
+
+  if (temperatureInput.value.trim() === "" || Number.isNaN(conditions.temperature)) {
+    recommendation.innerHTML = "<p>Please enter a temperature in °C.</p>";
+    return;
   }
 
-  const activity = getSuggestedActivity(weather);
+  const rule = findMatchingRule(conditions);
+  const activity = getSuggestedActivity(conditions);
 
   recommendation.innerHTML = `
     <h2>Recommendation</h2>
-    <p>${outfit}</p>
+    <p>${rule.outfit}</p>
     <p><strong>Activity:</strong> ${activity}</p>
+    <p><small>Matched rule: <code>${rule.id}</code> (${describeConditions(rule.when)})</small></p>
   `;
+
+  renderRuleTable(rule.id);
+  renderPatternViews(rule.id);
 });
 
-function getSuggestedActivity(condition) {
-  switch (condition) {
-    case "sunny":
-      return "Go for a walk or have a picnic.";
-    case "rainy":
-      return "Enjoy a book indoors";
-    case "windy":
-      return "Fly a kite if you have one.";
-    case "snowy":
-      return "Build a snowman or stay cozy inside.";
-    default:
-      return "Make a warm drink and relax.";
-  }
+renderRuleTable(null);
+renderPatternViews(null);
+
+function renderRuleTable(activeId) {
+  const rows = WEATHER_RULES.map(
+    (rule, index) => `
+      <tr class="${rule.id === activeId ? "is-match" : ""}">
+        <td>${index + 1}</td>
+        <td><code>${rule.id}</code></td>
+        <td>${describeConditions(rule.when)}</td>
+        <td>${rule.outfit}</td>
+        <td>${rule.activity}</td>
+      </tr>`
+  );
+
+  ruleTable.innerHTML = `
+    <table>
+      <thead><tr><th>#</th><th>Rule</th><th>When</th><th>Outfit</th><th>Activity</th></tr></thead>
+      <tbody>${rows.join("")}</tbody>
+    </table>
+  `;
+}
+
+function renderPatternViews(activeId) {
+  const views = [
+    ["if / else if / else", generateIfElse()],
+    ["switch", generateSwitch()],
+    ["Object lookup", generateLookup()],
+  ];
+
+  patternViews.innerHTML = "";
+  views.forEach(([title, lines]) => {
+    const column = document.createElement("div");
+    const heading = document.createElement("h3");
+    heading.textContent = title;
+    const pre = document.createElement("pre");
+    pre.className = "code-block";
+
+    lines.forEach(([code, ruleId]) => {
+      const line = document.createElement("code");
+      line.textContent = code || " ";
+      if (activeId && ruleId === activeId) {
+        line.className = "is-match";
+      }
+      pre.append(line);
+    });
+
+    column.append(heading, pre);
+    patternViews.append(column);
+  });
 }
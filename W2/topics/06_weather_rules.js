@@ -0,0 +1,192 @@
+// The weather rules behind 06_control_flow.js and the code generators that
+// rewrite them as if/else, switch and an object lookup.
+
+// Every recommendation comes from this table. Rules are checked from top to
+// bottom and the first match wins, so specific rules go before general ones.
+// A missing condition means "any value"; temperature ranges include `min`
+// and exclude `max`.
+export const WEATHER_RULES = [
+  {
+    id: "blizzard",
+    when: { precipitation: ["snow"], wind: ["windy"] },
+    outfit: "Insulated parka, goggles, scarf and snow boots.",
+    activity: "Stay cozy inside with a hot drink.",
+  },
+  {
+    id: "snowy",
+    when: { precipitation: ["snow"] },
+    outfit: "Warm coat, gloves, hat and waterproof boots.",
+    activity: "Build a snowman or stay cozy inside.",
+  },
+  {
+    id: "stormy",
+    when: { precipitation: ["rain"], wind: ["windy"] },
+    outfit: "Hooded waterproof jacket; an umbrella won't survive the wind.",
+    activity: "Enjoy a book indoors.",
+  },
+  {
+    id: "rainy",
+    when: { precipitation: ["rain"] },
+    outfit: "Grab a waterproof jacket and boots.",
+    activity: "Enjoy a book indoors.",
+  },
+  {
+    id: "freezing",
+    when: { temperature: { max: 0 } },
+    outfit: "Bundle up with a warm coat and gloves.",
+    activity: "Make a warm drink and relax.",
+  },
+  {
+    id: "windyDay",
+    when: { wind: ["windy"], timeOfDay: ["morning", "afternoon"] },
+    outfit: "Layer up with a windbreaker.",
+    activity: "Fly a kite if you have one.",
+  },
+  {
+    id: "windyEvening",
+    when: { wind: ["windy"] },
+    outfit: "Layer up with a windbreaker and a warm hat.",
+    activity: "Take a brisk walk around the block.",
+  },
+  {
+    id: "hot",
+    when: { temperature: { min: 28 }, timeOfDay: ["morning", "afternoon"] },
+    outfit: "Light, breathable clothes, a hat and sunscreen.",
+    activity: "Find some shade or go for a swim.",
+  },
+  {
+    id: "sunny",
+    when: { temperature: { min: 18 }, timeOfDay: ["morning", "afternoon"] },
+    outfit: "Wear sunglasses and light layers.",
+    activity: "Go for a walk or have a picnic.",
+  },
+  {
+    id: "mildEvening",
+    when: { temperature: { min: 10 }, timeOfDay: ["evening", "night"] },
+    outfit: "Bring a light jacket for the evening chill.",
+    activity: "Stargaze or take an evening stroll.",
+  },
+  {
+    id: "cool",
+    when: { temperature: { min: 0, max: 18 } },
+    outfit: "A sweater under a light jacket.",
+    activity: "Visit a museum or a café.",
+  },
+  {
+    id: "fallback",
+    when: {},
+    outfit: "Dress in comfortable layers.",
+    activity: "Make a warm drink and relax.",
+  },
+];
+
+export function findMatchingRule(conditions) {
+  return WEATHER_RULES.find((rule) => matchesRule(rule.when, conditions));
+}
+
+export function getSuggestedActivity(conditions) {
+  return findMatchingRule(conditions).activity;
+}
+
+export function matchesRule(when, conditions) {
+  return Object.entries(when).every(([field, expected]) => {
+    if (field === "temperature") {
+      const { min = -Infinity, max = Infinity } = expected;
+      return conditions.temperature >= min && conditions.temperature < max;
+    }
+    return expected.includes(conditions[field]);
+  });
+}
+
+export function describeConditions(when) {
+  const parts = Object.entries(when).map(([field, expected]) => {
+    if (field === "temperature") {
+      if (expected.min === undefined) return `below ${expected.max}°C`;
+      if (expected.max === undefined) return `${expected.min}°C or warmer`;
+      return `${expected.min}°C to below ${expected.max}°C`;
+    }
+    return `${field}: ${expected.join(" or ")}`;
+  });
+  return parts.length ? parts.join(", ") : "anything else";
+}
+
+// ---------------------------------------------------------------------------
+// Code generators: the same table written as if/else, switch and a lookup.
+// Each generator returns [code, ruleId] pairs so the matched rule can be
+// highlighted in all three versions.
+// ---------------------------------------------------------------------------
+
+function conditionToCode(when) {
+  const parts = Object.entries(when).flatMap(([field, expected]) => {
+    if (field === "temperature") {
+      const range = [];
+      if (expected.min !== undefined) range.push(`temperature >= ${expected.min}`);
+      if (expected.max !== undefined) range.push(`temperature < ${expected.max}`);
+      return range;
+    }
+    if (expected.length === 1) {
+      return [`${field} === "${expected[0]}"`];
+    }
+    return [`[${expected.map((value) => `"${value}"`).join(", ")}].includes(${field})`];
+  });
+  return parts.join(" && ");
+}
+
+function resultToCode(rule) {
+  return `{ outfit: "${rule.outfit}", activity: "${rule.activity}" }`;
+}
+
+export function generateIfElse() {
+  const lines = [["function recommend({ temperature, precipitation, wind, timeOfDay }) {"]];
+  const fallback = WEATHER_RULES[WEATHER_RULES.length - 1];
+
+  WEATHER_RULES.slice(0, -1).forEach((rule, index) => {
+    const keyword = index === 0 ? "  if" : "  } else if";
+    lines.push([`${keyword} (${conditionToCode(rule.when)}) {`, rule.id]);
+    lines.push([`    return ${resultToCode(rule)};`, rule.id]);
+  });
+  lines.push(["  } else {", fallback.id], [`    return ${resultToCode(fallback)};`, fallback.id], ["  }"], ["}"]);
+  return lines;
+}
+
+export function generateSwitch() {
+  const lines = [
+    ["// switch compares one value with ===, so ranges use switch (true)"],
+    ["function recommend({ temperature, precipitation, wind, timeOfDay }) {"],
+    ["  switch (true) {"],
+  ];
+
+  WEATHER_RULES.forEach((rule) => {
+    if (!Object.keys(rule.when).length) {
+      lines.push(["    default:", rule.id]);
+    } else {
+      lines.push([`    case ${conditionToCode(rule.when)}:`, rule.id]);
+    }
+    lines.push([`      return ${resultToCode(rule)};`, rule.id]);
+  });
+  lines.push(["  }"], ["}"]);
+  return lines;
+}
+
+export function generateLookup() {
+  const lines = [
+    ["// String keys keep insertion order, so the first passing test wins"],
+    ["const RECOMMENDATIONS = {"],
+  ];
+
+  WEATHER_RULES.forEach((rule) => {
+    const test = conditionToCode(rule.when) || "true";
+    lines.push([`  ${rule.id}: {`, rule.id]);
+    lines.push([`    test: ({ temperature, precipitation, wind, timeOfDay }) => ${test},`, rule.id]);
+    lines.push([`    result: ${resultToCode(rule)},`, rule.id]);
+    lines.push(["  },", rule.id]);
+  });
+  lines.push(
+    ["};"],
+    [""],
+    ["function recommend(conditions) {"],
+    ["  return Object.values(RECOMMENDATIONS).find((entry) => entry.test(conditions)).result;"],
+    ["}"]
+  );
+  return lines;
+}
@@ -1,15 +1,26 @@
 const generateButton = document.getElementById("generate");
 const planList = document.getElementById("planList");
 const codeOutput = document.getElementById("codeOutput");
+const focusTable = document.getElementById("focusTable");
+const addTipForm = document.getElementById("addTipForm");
+const newTipInput = document.getElementById("newTip");
+const exportButton = document.getElementById("exportPlan");
+const importInput = document.getElementById("importPlan");
+const resetButton = document.getElementById("resetPlan");
+const plannerStatus = document.getElementById("plannerStatus");
 
-const studyTips = [
+const STORAGE_KEY = "w2-study-planner";
+const PLAN_VERSION = 1;
+const WEEK_DAYS = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
+
+const defaultTips = [
   "Review lecture notes",
   "Practice array methods",
   "Build a mini project",
   "Read MDN documentation",
 ];
 
-const dailyFocus = new Map([
+const defaultFocus = new Map([
   ["Monday", "Variables"],
   ["Tuesday", "Functions"],
   ["Wednesday", "DOM Manipulation"],
@@ -17,41 +28,222 @@ const dailyFocus = new Map([
   ["Friday", "Project Practice"],
 ]);
 
+let plan = loadPlan();
+renderPlan();
+
 generateButton.addEventListener("click", () => {
-  planList.innerHTML = "";
   codeOutput.textContent = "";
 
+  const studyTips = plan.tips.map((tip) => tip.text);
+  const dailyFocus = new Map(plan.focus.filter((entry) => entry.topic).map((entry) => [entry.day, entry.topic]));
+
   for (let i = 0; i < studyTips.length; i++) {
-    const listItem = document.createElement("li");
-    listItem.textContent = `${i + 1}. ${studyTips[i]}`;
-    planList.append(listItem);
+    logCode(`for loop ${i + 1}. ${studyTips[i]}`);
   }
 
-  for (const tip of studyTips) {
-    logCode(`for...of tip: ${tip}`);
+  for (const tip of plan.tips) {
+    logCode(`for...of tip: ${tip.text} ${tip.done ? "(done)" : "(to do)"}`);
   }
 
   for (const [day, focus] of dailyFocus) {
     logCode(`Map entry: ${day} => ${focus}`);
   }
 
+  // while: find the first unfinished tip, stopping as soon as one is found.
   let idx = 0;
-  while (idx < studyTips.length) {
-    logCode(`while loop index ${idx}`);
+  while (idx < plan.tips.length && plan.tips[idx].done) {
+    logCode(`while loop index ${idx}: already done, keep looking`);
     idx++;
   }
+  logCode(idx < plan.tips.length ? `while loop stopped at index ${idx}: "${plan.tips[idx].text}"` : "while loop: every tip is done!");
 
-  let countdown = 3;
+  // do...while always runs once, even when nothing is left.
+  let remaining = plan.tips.filter((tip) => !tip.done).length;
   do {
-    logCode(`do...while countdown: ${countdown}`);
-    countdown--;
-  } while (countdown > 0);
+    logCode(`do...while countdown: ${remaining} tip(s) left`);
+    remaining--;
+  } while (remaining > 0);
 
   studyTips.forEach((tip, index) => {
     logCode(`forEach ${index}: ${tip}`);
   });
 });
 
+addTipForm.addEventListener("submit", (event) => {
+  event.preventDefault();
+  const text = newTipInput.value.trim();
+  if (!text) return;
+
+  plan.tips.push({ id: createId(), text, done: false });
+  newTipInput.value = "";
+  savePlan();
+  renderPlan();
+});
+
+planList.addEventListener("click", (event) => {
+  const action = event.target.dataset.action;
+  if (!action) return;
+
+  const index = Number(event.target.closest("li").dataset.index);
+  if (action === "remove") {
+    plan.tips.splice(index, 1);
+  } else {
+    const target = action === "up" ? index - 1 : index + 1;
+    if (target < 0 || target >= plan.tips.length) return;
+    [plan.tips[index], plan.tips[target]] = [plan.tips[target], plan.tips[index]];
+  }
+  savePlan();
+  renderPlan();
+});
+
+planList.addEventListener("change", (event) => {
+  const index = Number(event.target.closest("li").dataset.index);
+  const tip = plan.tips[index];
+  if (event.target.type === "checkbox") {
+    tip.done = event.target.checked;
+  } else {
+    tip.text = event.target.value.trim() || tip.text;
+  }
+  savePlan();
+  renderPlan();
+});
+
+focusTable.addEventListener("change", (event) => {
+  const entry = plan.focus.find((item) => item.day === event.target.closest("tr").dataset.day);
+  if (event.target.type === "checkbox") {
+    entry.done = event.target.checked;
+  } else {
+    entry.topic = event.target.value.trim();
+  }
+  savePlan();
+});
+
+exportButton.addEventListener("click", () => {
+  const blob = new Blob([JSON.stringify(plan, null, 2)], { type: "application/json" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = "study-plan.json";
+  link.click();
+  URL.revokeObjectURL(link.href);
+  showStatus("Plan exported as study-plan.json.");
+});
+
+importInput.addEventListener("change", async () => {
+  const [file] = importInput.files;
+  if (!file) return;
+
+  try {
+    plan = normalizePlan(JSON.parse(await file.text()));
+    savePlan();
+    renderPlan();
+    showStatus(`Imported ${plan.tips.length} tips from ${file.name}.`);
+  } catch (error) {
+    showStatus(`Import failed: ${error.message}`);
+  } finally {
+    importInput.value = "";
+  }
+});
+
+resetButton.addEventListener("click", () => {
+  plan = createDefaultPlan();
+  savePlan();
+  renderPlan();
+  showStatus("Plan reset to the default tips.");
+});
+
+function createDefaultPlan() {
+  return {
+    version: PLAN_VERSION,
+    tips: defaultTips.map((text) => ({ id: createId(), text, done: false })),
+    focus: WEEK_DAYS.map((day) => ({ day, topic: defaultFocus.get(day) ?? "", done: false })),
+  };
+}
+
+// Accepts anything that looks like a saved or exported plan and fills in
+// missing days, so older or hand-edited files still load.
+function normalizePlan(data) {
+  if (!data || typeof data !== "object" || !Array.isArray(data.tips)) {
+    throw new Error("expected an object with a \"tips\" array");
+  }
+  if (data.version > PLAN_VERSION) {
+    throw new Error(`plan version ${data.version} is newer than this page supports`);
+  }
+
+  const tips = data.tips.map((tip) => {
+    const text = typeof tip === "string" ? tip : tip?.text;
+    if (typeof text !== "string" || !text.trim()) {
+      throw new Error("every tip needs some text");
+    }
+    return { id: tip.id ?? createId(), text: text.trim(), done: Boolean(tip.done) };
+  });
+
+  const savedFocus = Array.isArray(data.focus) ? data.focus : [];
+  const focus = WEEK_DAYS.map((day) => {
+    const saved = savedFocus.find((entry) => entry?.day === day);
+    return { day, topic: typeof saved?.topic === "string" ? saved.topic : "", done: Boolean(saved?.done) };
+  });
+
+  return { version: PLAN_VERSION, tips, focus };
+}
+
+function loadPlan() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return saved ? normalizePlan(JSON.parse(saved)) : createDefaultPlan();
+  } catch (error) {
+    return createDefaultPlan();
+  }
+}
+
+function savePlan() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(plan));
+  } catch (error) {
+    showStatus(`Could not save the plan: ${error.message}`);
+  }
+}
+
+function renderPlan() {
+  planList.innerHTML = "";
+
+  for (let i = 0; i < plan.tips.length; i++) {
+    const tip = plan.tips[i];
+    const listItem = document.createElement("li");
+    listItem.dataset.index = i;
+    listItem.className = tip.done ? "plan-item is-done" : "plan-item";
+    listItem.innerHTML = `
+      <input type="checkbox" aria-label="Mark as done" ${tip.done ? "checked" : ""} />
+      <input type="text" aria-label="Tip ${i + 1}" />
+      <button type="button" data-action="up" aria-label="Move up" ${i === 0 ? "disabled" : ""}>↑</button>
+      <button type="button" data-action="down" aria-label="Move down" ${i === plan.tips.length - 1 ? "disabled" : ""}>↓</button>
+      <button type="button" data-action="remove" aria-label="Remove">✕</button>
+    `;
+    listItem.querySelector('input[type="text"]').value = tip.text;
+    planList.append(listItem);
+  }
+
+  focusTable.innerHTML = "";
+  for (const entry of plan.focus) {
+    const row = document.createElement("tr");
+    row.dataset.day = entry.day;
+    row.innerHTML = `
+      <th scope="row">${entry.day}</th>
+      <td><input type="text" aria-label="${entry.day} focus" placeholder="Rest day" /></td>
+      <td><input type="checkbox" aria-label="${entry.day} done" ${entry.done ? "checked" : ""} /></td>
+    `;
+    row.querySelector('input[type="text"]').value = entry.topic;
+    focusTable.append(row);
+  }
+}
+
+function createId() {
+  return globalThis.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+function showStatus(message) {
+  plannerStatus.textContent = message;
+}
+
 function logCode(message) {
   codeOutput.textContent += message + "\n";
 }
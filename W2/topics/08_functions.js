@@ -1,32 +1,97 @@
+import { TRY_TAX_BRACKETS, formatCurrency, summarizeTax, validateBrackets } from "./08_tax_brackets.js";
+
 const incomeInput = document.getElementById("income");
-const rateInput = document.getElementById("rate");
+const bracketRows = document.getElementById("bracketRows");
+const addBracketButton = document.getElementById("addBracket");
+const resetBracketsButton = document.getElementById("resetBrackets");
 const result = document.getElementById("result");
 const calculateButton = document.getElementById("calculate");
 
-function calculateTax(income, rate) {
-  return income * (rate / 100);
-}
+const formatPercent = (value) => `${value.toLocaleString("tr-TR", { maximumFractionDigits: 2 })}%`;
 
-const formatCurrency = function (value) {
-  return new Intl.NumberFormat("tr-TR", { style: "currency", currency: "TRY" }).format(value);
-};
+const formatLimit = (value) => (value === Infinity ? "and above" : formatCurrency(value));
 
-const buildResultMessage = (income, rate, tax) => `
+const buildResultMessage = ({ income, tax, marginalRate, effectiveRate, breakdown }) => `
   <h2>Summary</h2>
   <p>Income: <strong>${formatCurrency(income)}</strong></p>
-  <p>Tax rate: <strong>${rate}%</strong></p>
   <p>Tax due: <strong>${formatCurrency(tax)}</strong></p>
+  <p>
+    Marginal rate: <strong>${formatPercent(marginalRate)}</strong> (applied to the next lira you earn) ·
+    Effective rate: <strong>${formatPercent(effectiveRate)}</strong> (share of the whole income)
+  </p>
+  <table>
+    <thead>
+      <tr><th>Bracket</th><th>Rate</th><th>Taxable in bracket</th><th>Tax</th></tr>
+    </thead>
+    <tbody>
+      ${breakdown
+        .map(
+          (row) => `
+        <tr${row.taxable === 0 ? ' class="is-muted"' : ""}>
+          <td>${formatCurrency(row.from)} – ${formatLimit(row.to)}</td>
+          <td>${formatPercent(row.rate)}</td>
+          <td>${formatCurrency(row.taxable)}</td>
+          <td>${formatCurrency(row.tax)}</td>
+        </tr>`
+        )
+        .join("")}
+    </tbody>
+  </table>
 `;
 
+function renderBrackets(brackets) {
+  bracketRows.innerHTML = "";
+  brackets.forEach(({ upTo, rate }, index) => {
+    const isLast = index === brackets.length - 1;
+    const row = document.createElement("tr");
+    row.innerHTML = `
+      <td>${isLast ? "No limit" : '<input type="number" min="0" aria-label="Upper limit" data-field="upTo" />'}</td>
+      <td><input type="number" min="0" max="100" step="0.1" aria-label="Rate" data-field="rate" /></td>
+      <td>${isLast ? "" : '<button type="button" data-action="remove">Remove</button>'}</td>
+    `;
+    if (!isLast) row.querySelector('[data-field="upTo"]').value = upTo;
+    row.querySelector('[data-field="rate"]').value = rate;
+    bracketRows.append(row);
+  });
+}
+
+function readBrackets() {
+  const rows = Array.from(bracketRows.querySelectorAll("tr"));
+  return rows.map((row, index) => ({
+    upTo: index === rows.length - 1 ? Infinity : Number(row.querySelector('[data-field="upTo"]').value),
+    rate: Number(row.querySelector('[data-field="rate"]').value),
+  }));
+}
+
+addBracketButton.addEventListener("click", () => {
+  const brackets = readBrackets();
+  const previousLimit = brackets.length > 1 ? brackets[brackets.length - 2].upTo : 0;
+  const lastRate = brackets[brackets.length - 1].rate;
+  brackets.splice(brackets.length - 1, 0, { upTo: previousLimit * 2 || 10000, rate: lastRate });
+  renderBrackets(brackets);
+});
+
+bracketRows.addEventListener("click", (event) => {
+  if (event.target.dataset.action !== "remove") return;
+  event.target.closest("tr").remove();
+});
+
+resetBracketsButton.addEventListener("click", () => renderBrackets(TRY_TAX_BRACKETS));
+
 calculateButton.addEventListener("click", () => {
   const income = Number(incomeInput.value);
-  const rate = Number(rateInput.value);
 
-  if (Number.isNaN(income) || Number.isNaN(rate)) {
-    result.innerHTML = "<p>Please provide valid numbers.</p>";
+  if (Number.isNaN(income) || income < 0) {
+    result.innerHTML = "<p>Please provide a valid, non-negative income.</p>";
     return;
   }
 
-  const tax = calculateTax(income, rate);
-  result.innerHTML = buildResultMessage(income, rate, tax);
+  try {
+    const brackets = validateBrackets(readBrackets());
+    result.innerHTML = buildResultMessage(summarizeTax(income, brackets));
+  } catch (error) {
+    result.innerHTML = `<p>${error.message}</p>`;
+  }
 });
+
+renderBrackets(TRY_TAX_BRACKETS);
@@ -0,0 +1,88 @@
+// Progressive tax brackets as pure functions: no DOM access, so the same
+// module runs in the browser (08_functions.js) and in Node.js tests.
+
+// 2025 Turkish income tax tariff (GVK Art. 103, non-wage income).
+// Each bracket taxes the slice of income up to `upTo` at `rate` percent;
+// the last bracket must be open-ended (`upTo: Infinity`).
+export const TRY_TAX_BRACKETS = Object.freeze([
+  Object.freeze({ upTo: 158000, rate: 15 }),
+  Object.freeze({ upTo: 330000, rate: 20 }),
+  Object.freeze({ upTo: 800000, rate: 27 }),
+  Object.freeze({ upTo: 4300000, rate: 35 }),
+  Object.freeze({ upTo: Infinity, rate: 40 }),
+]);
+
+const roundToKurus = (value) => Math.round(value * 100) / 100;
+
+export function validateBrackets(brackets) {
+  if (!Array.isArray(brackets) || brackets.length === 0) {
+    throw new TypeError("Provide at least one tax bracket.");
+  }
+
+  brackets.forEach(({ upTo, rate }, index) => {
+    if (typeof rate !== "number" || Number.isNaN(rate) || rate < 0 || rate > 100) {
+      throw new RangeError(`Bracket ${index + 1}: the rate must be between 0 and 100.`);
+    }
+    if (typeof upTo !== "number" || Number.isNaN(upTo) || upTo <= 0) {
+      throw new RangeError(`Bracket ${index + 1}: the upper limit must be a positive number.`);
+    }
+    if (index > 0 && upTo <= brackets[index - 1].upTo) {
+      throw new RangeError(`Bracket ${index + 1}: upper limits must increase from one bracket to the next.`);
+    }
+  });
+
+  if (brackets[brackets.length - 1].upTo !== Infinity) {
+    throw new RangeError("The last bracket must have no upper limit.");
+  }
+  return brackets;
+}
+
+function assertIncome(income) {
+  if (typeof income !== "number" || !Number.isFinite(income) || income < 0) {
+    throw new RangeError("Income must be a non-negative number.");
+  }
+}
+
+export function getBracketBreakdown(income, brackets = TRY_TAX_BRACKETS) {
+  assertIncome(income);
+  validateBrackets(brackets);
+
+  return brackets.map(({ upTo, rate }, index) => {
+    const from = index === 0 ? 0 : brackets[index - 1].upTo;
+    const taxable = Math.max(0, Math.min(income, upTo) - from);
+    return { from, to: upTo, rate, taxable, tax: roundToKurus(taxable * (rate / 100)) };
+  });
+}
+
+export function calculateTax(income, brackets = TRY_TAX_BRACKETS) {
+  const total = getBracketBreakdown(income, brackets).reduce((sum, row) => sum + row.tax, 0);
+  return roundToKurus(total);
+}
+
+// The rate applied to the next lira earned.
+export function getMarginalRate(income, brackets = TRY_TAX_BRACKETS) {
+  assertIncome(income);
+  validateBrackets(brackets);
+  return brackets.find(({ upTo }) => income < upTo).rate;
+}
+
+// The share of the whole income that goes to tax, in percent.
+export function getEffectiveRate(income, brackets = TRY_TAX_BRACKETS) {
+  const tax = calculateTax(income, brackets);
+  return income === 0 ? 0 : (tax / income) * 100;
+}
+
+export function summarizeTax(income, brackets = TRY_TAX_BRACKETS) {
+  const breakdown = getBracketBreakdown(income, brackets);
+  return {
+    income,
+    breakdown,
+    tax: calculateTax(income, brackets),
+    marginalRate: getMarginalRate(income, brackets),
+    effectiveRate: getEffectiveRate(income, brackets),
+  };
+}
+
+export const formatCurrency = function (value) {
+  return new Intl.NumberFormat("tr-TR", { style: "currency", currency: "TRY" }).format(value);
+};
@@ -1,28 +1,122 @@
+import { dedupeSongs, formatDuration, groupByArtist, parsePlaylist, sortSongs, toCsv, toM3u, totalSeconds } from "./09_playlist.js";
+import { escapeHtml } from "./escape_html.js";
+
 const textarea = document.getElementById("playlistInput");
+const formatSelect = document.getElementById("formatSelect");
+const dedupeCheckbox = document.getElementById("dedupe");
 const output = document.getElementById("output");
 const processBtn = document.getElementById("processBtn");
+const downloadCsvBtn = document.getElementById("downloadCsv");
+const downloadM3uBtn = document.getElementById("downloadM3u");
+
+const LONG_SONG_SECONDS = 5 * 60;
+const COLUMNS = [
+  { key: "position", label: "#" },
+  { key: "title", label: "Title" },
+  { key: "artist", label: "Artist" },
+  { key: "seconds", label: "Duration" },
+];
+
+let cleanedSongs = [];
+let sortState = { key: "position", direction: "asc" };
 
 processBtn.addEventListener("click", () => {
-  const lines = textarea.value.split("\n").filter(Boolean);
-
-  const songs = lines.map((line) => {
-    const [title, minutes] = line.split(",");
-    return {
-      title: title.trim(),
-      minutes: Number(minutes ?? 0),
-    };
-  });
-
-  const longSongs = songs.filter((song) => song.minutes >= 5);
-  const totalDuration = songs.reduce((sum, song) => sum + song.minutes, 0);
-  const titles = songs.map((song, index) => `${index + 1}. ${song.title}`);
-
-  const summary = {
-    totalSongs: songs.length,
-    totalDurationMinutes: totalDuration,
-    hasLongSongs: longSongs.length > 0,
-    playlistTitles: titles,
-  };
-
-  output.textContent = JSON.stringify(summary, null, 2);
+  const { songs, errors } = parsePlaylist(textarea.value, formatSelect.value);
+  const unique = dedupeCheckbox.checked ? dedupeSongs(songs) : songs;
+
+  cleanedSongs = unique.map((song, index) => ({ ...song, position: index + 1 }));
+  sortState = { key: "position", direction: "asc" };
+  renderResults(songs.length - unique.length, errors);
+});
+
+output.addEventListener("click", (event) => {
+  const header = event.target.closest("th[data-key]");
+  if (!header) return;
+
+  const { key } = header.dataset;
+  const direction = sortState.key === key && sortState.direction === "asc" ? "desc" : "asc";
+  sortState = { key, direction };
+  renderTable();
+});
+
+downloadCsvBtn.addEventListener("click", () => {
+  downloadFile("playlist.csv", toCsv(cleanedSongs), "text/csv");
 });
+
+downloadM3uBtn.addEventListener("click", () => {
+  downloadFile("playlist.m3u", toM3u(cleanedSongs), "audio/x-mpegurl");
+});
+
+// ---------------------------------------------------------------------------
+// Rendering and export
+// ---------------------------------------------------------------------------
+
+function renderResults(duplicatesRemoved, errors) {
+  const longSongs = cleanedSongs.filter((song) => song.seconds >= LONG_SONG_SECONDS);
+  const groups = Object.entries(groupByArtist(cleanedSongs)).sort(([, a], [, b]) => b.seconds - a.seconds);
+
+  output.innerHTML = `
+    <p>
+      <strong>${cleanedSongs.length}</strong> songs ·
+      total <strong>${formatDuration(totalSeconds(cleanedSongs))}</strong> ·
+      ${longSongs.length} long song(s) (5+ min) ·
+      ${duplicatesRemoved} duplicate(s) removed
+    </p>
+    ${errors.length ? `<ul class="parse-errors">${errors.map((error) => `<li>${escapeHtml(error)}</li>`).join("")}</ul>` : ""}
+    <div id="songTable"></div>
+    <h3>By Artist</h3>
+    <table>
+      <thead><tr><th>Artist</th><th>Songs</th><th>Duration</th></tr></thead>
+      <tbody>
+        ${groups
+          .map(([artist, group]) => `<tr><td>${escapeHtml(artist)}</td><td>${group.count}</td><td>${formatDuration(group.seconds)}</td></tr>`)
+          .join("")}
+      </tbody>
+    </table>
+  `;
+
+  downloadCsvBtn.disabled = !cleanedSongs.length;
+  downloadM3uBtn.disabled = !cleanedSongs.length;
+  renderTable();
+}
+
+function renderTable() {
+  const sorted = sortSongs(cleanedSongs, sortState.key, sortState.direction);
+  const arrow = sortState.direction === "asc" ? " ▲" : " ▼";
+
+  document.getElementById("songTable").innerHTML = `
+    <table class="sortable">
+      <thead>
+        <tr>
+          ${COLUMNS.map(
+            ({ key, label }) =>
+              `<th data-key="${key}" aria-sort="${sortState.key === key ? `${sortState.direction}ending` : "none"}">${label}${
+                sortState.key === key ? arrow : ""
+              }</th>`
+          ).join("")}
+        </tr>
+      </thead>
+      <tbody>
+        ${sorted
+          .map(
+            (song) => `
+          <tr>
+            <td>${song.position}</td>
+            <td>${escapeHtml(song.title)}</td>
+            <td>${escapeHtml(song.artist)}</td>
+            <td>${formatDuration(song.seconds)}</td>
+          </tr>`
+          )
+          .join("")}
+      </tbody>
+    </table>
+  `;
+}
+
+function downloadFile(name, content, type) {
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(new Blob([content], { type }));
+  link.download = name;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
@@ -0,0 +1,242 @@
+// Parsing, array operations and export formats behind 09_arrays.js. A song is
+// a plain { title, artist, seconds } object; songs read from M3U also keep
+// their file path.
+
+// ---------------------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------------------
+
+export function parsePlaylist(text, format = "auto") {
+  const firstLine = text.trimStart().split("\n", 1)[0];
+  const isM3u = format === "m3u" || (format === "auto" && /^#EXT(M3U|INF)/i.test(firstLine));
+  return isM3u ? parseM3u(text) : parseCsv(text);
+}
+
+// Splits one CSV line into cells. Quoted cells may contain commas and
+// doubled quotes ("Hello, ""World""").
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new SyntaxError("unclosed quote");
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+function parseCsv(text) {
+  const rows = text
+    .split(/\r?\n/)
+    .map((line, index) => ({ line, lineNumber: index + 1 }))
+    .filter(({ line }) => line.trim());
+
+  const errors = [];
+  let columns = null;
+
+  const songs = rows
+    .map(({ line, lineNumber }, rowIndex) => {
+      let cells;
+      try {
+        cells = splitCsvLine(line);
+      } catch (error) {
+        errors.push(`Line ${lineNumber}: ${error.message}`);
+        return null;
+      }
+
+      if (rowIndex === 0 && cells.some((cell) => /^(title|name|song)$/i.test(cell))) {
+        columns = cells.map((cell) => cell.toLowerCase());
+        return null;
+      }
+
+      const record = columns ? readHeaderRow(columns, cells) : readPlainRow(cells);
+      const seconds = parseDuration(record.duration);
+      if (!record.title) {
+        errors.push(`Line ${lineNumber}: missing title`);
+        return null;
+      }
+      if (!record.duration) {
+        errors.push(`Line ${lineNumber}: missing duration`);
+        return null;
+      }
+      if (seconds === null) {
+        errors.push(`Line ${lineNumber}: "${record.duration}" is not a duration (use minutes or mm:ss)`);
+        return null;
+      }
+      return { title: record.title, artist: record.artist ?? "", seconds };
+    })
+    .filter(Boolean);
+
+  return { songs, errors };
+}
+
+function readHeaderRow(columns, cells) {
+  const pick = (...names) => {
+    const index = columns.findIndex((column) => names.includes(column));
+    return index === -1 ? undefined : cells[index];
+  };
+  return {
+    title: pick("title", "name", "song"),
+    artist: pick("artist", "band"),
+    duration: pick("duration", "length", "time", "minutes"),
+  };
+}
+
+// Without a header: "title,duration" or "title,artist,duration".
+function readPlainRow(cells) {
+  if (cells.length >= 3) {
+    const [title, artist, duration] = cells;
+    return { title, artist, duration };
+  }
+  const [title, duration] = cells;
+  return { title, duration };
+}
+
+// Extended M3U: "#EXTINF:<seconds>,<artist> - <title>" followed by the file.
+function parseM3u(text) {
+  const lines = text.split(/\r?\n/).map((line) => line.trim());
+  const errors = [];
+  const songs = [];
+
+  lines.forEach((line, index) => {
+    if (!line.toUpperCase().startsWith("#EXTINF:")) {
+      return;
+    }
+    const match = /^#EXTINF:\s*(-?\d+(?:\.\d+)?)[^,]*,(.*)$/i.exec(line);
+    if (!match) {
+      errors.push(`Line ${index + 1}: malformed #EXTINF entry`);
+      return;
+    }
+
+    const [, rawSeconds, label] = match;
+    const [artist, ...titleParts] = label.includes(" - ") ? label.split(" - ") : ["", label];
+    const file = findEntryFile(lines, index + 1);
+    songs.push({
+      title: titleParts.join(" - ").trim() || file || "Untitled",
+      artist: artist.trim(),
+      // -1 means "unknown length" in M3U.
+      seconds: Math.max(0, Math.round(Number(rawSeconds))),
+      ...(file && { file }),
+    });
+  });
+
+  if (!songs.length) {
+    errors.push("No #EXTINF entries found.");
+  }
+  return { songs, errors };
+}
+
+// The path of an entry is the first line after its #EXTINF that is neither
+// blank nor a comment. Reaching the next #EXTINF first means it has none.
+function findEntryFile(lines, start) {
+  for (const line of lines.slice(start)) {
+    if (/^#EXTINF:/i.test(line)) return undefined;
+    if (line && !line.startsWith("#")) return line;
+  }
+  return undefined;
+}
+
+// Accepts "4" or "4.5" (minutes), "3:45" (mm:ss) and "1:02:03" (h:mm:ss).
+// Returns whole seconds, or null when the text is not a duration.
+export function parseDuration(value) {
+  const text = String(value ?? "").trim();
+  if (!text) return null;
+
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(Number(text) * 60);
+  }
+  if (!/^\d+(:[0-5]\d){1,2}$/.test(text)) {
+    return null;
+  }
+  return text.split(":").reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+// ---------------------------------------------------------------------------
+// Array operations
+// ---------------------------------------------------------------------------
+
+export function dedupeSongs(songs) {
+  const seen = new Set();
+  return songs.filter((song) => {
+    const key = `${song.artist}|${song.title}`.toLowerCase().replace(/\s+/g, " ");
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+export function sortSongs(songs, key, direction = "asc") {
+  const factor = direction === "asc" ? 1 : -1;
+  return [...songs].sort((a, b) => {
+    const result = typeof a[key] === "number" ? a[key] - b[key] : String(a[key]).localeCompare(String(b[key]));
+    return result * factor;
+  });
+}
+
+export function groupByArtist(songs) {
+  return songs.reduce((groups, song) => {
+    const artist = song.artist || "Unknown artist";
+    groups[artist] ??= { count: 0, seconds: 0 };
+    groups[artist].count += 1;
+    groups[artist].seconds += song.seconds;
+    return groups;
+  }, {});
+}
+
+export function totalSeconds(songs) {
+  return songs.reduce((sum, song) => sum + song.seconds, 0);
+}
+
+export function formatDuration(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = seconds % 60;
+  return [hours, minutes, rest].map((part, index) => (index === 0 ? part : String(part).padStart(2, "0"))).join(":");
+}
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+// Songs imported from M3U keep their path; songs from CSV get one from
+// their title.
+
+function toCsvCell(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(songs) {
+  const rows = songs.map((song) => [song.title, song.artist, formatDuration(song.seconds)].map(toCsvCell).join(","));
+  return ["title,artist,duration", ...rows].join("\n");
+}
+
+export function toM3u(songs) {
+  const entries = songs.map((song) => {
+    const label = song.artist ? `${song.artist} - ${song.title}` : song.title;
+    return `#EXTINF:${song.seconds},${label}\n${song.file ?? `${song.title}.mp3`}`;
+  });
+  return ["#EXTM3U", ...entries].join("\n");
+}
@@ -0,0 +1,44 @@
+// Loaded on demand by 10_module_main.js with import(); nothing here runs
+// until a student asks for an amortization schedule.
+import { growthFactor } from "./10_math_utils.js";
+
+// Fixed payment that pays off `principal` in `payments` instalments.
+export function periodicPayment(principal, ratePerPeriod, payments) {
+  if (ratePerPeriod === 0) {
+    return principal / payments;
+  }
+  return (principal * ratePerPeriod) / (1 - Math.pow(1 + ratePerPeriod, -payments));
+}
+
+export function amortizationSchedule({ principal, rate, years, paymentsPerYear = 12, compounding = "monthly" }) {
+  if (!(principal > 0) || !(years > 0) || rate < 0) {
+    throw new RangeError("Principal and years must be positive and the rate cannot be negative.");
+  }
+
+  const payments = Math.round(years * paymentsPerYear);
+  const ratePerPeriod = growthFactor(rate, 1 / paymentsPerYear, compounding) - 1;
+  const payment = periodicPayment(principal, ratePerPeriod, payments);
+
+  let balance = principal;
+  const periods = Array.from({ length: payments }, (_, index) => {
+    const interest = balance * ratePerPeriod;
+    // The final payment absorbs any rounding left in the balance.
+    const principalPaid = index === payments - 1 ? balance : payment - interest;
+    balance -= principalPaid;
+    return { period: index + 1, interest, principalPaid, balance: Math.max(balance, 0) };
+  });
+
+  const yearly = periods.reduce((rows, row) => {
+    const year = Math.ceil(row.period / paymentsPerYear);
+    const current = rows[year - 1] ?? (rows[year - 1] = { year, principalPaid: 0, interestPaid: 0, balance: 0 });
+    current.principalPaid += row.principalPaid;
+    current.interestPaid += row.interest;
+    current.balance = row.balance;
+    return rows;
+  }, []);
+
+  const totalInterest = periods.reduce((sum, row) => sum + row.interest, 0);
+  return { payment, payments, totalInterest, totalPaid: principal + totalInterest, periods, yearly };
+}
+
+export default amortizationSchedule;
@@ -1,10 +1,55 @@
-export function compoundInterest(principal, rate, years) {
-  const factor = Math.pow(1 + rate / 100, years);
-  return principal * factor;
+// Compounding periods per year. Continuous compounding is the limit as the
+// number of periods grows without bound, so it is modelled as Infinity.
+export const COMPOUNDING = Object.freeze({
+  annual: 1,
+  quarterly: 4,
+  monthly: 12,
+  daily: 365,
+  continuous: Infinity,
+});
+
+function periodsPerYear(compounding) {
+  const periods = typeof compounding === "number" ? compounding : COMPOUNDING[compounding];
+  if (!(periods > 0)) {
+    throw new RangeError(`Unknown compounding frequency: ${compounding}`);
+  }
+  return periods;
+}
+
+// Growth factor of `rate` percent per year over `years` years.
+export function growthFactor(rate, years, compounding = "annual") {
+  const periods = periodsPerYear(compounding);
+  const annualRate = rate / 100;
+  if (periods === Infinity) {
+    return Math.exp(annualRate * years);
+  }
+  return Math.pow(1 + annualRate / periods, periods * years);
+}
+
+export function compoundInterest(principal, rate, years, compounding = "annual") {
+  return principal * growthFactor(rate, years, compounding);
+}
+
+// Future value of a regular deposit made at the end of each contribution
+// period (12 per year by default), growing at the same compounded rate.
+export function futureValueOfContributions(contribution, rate, years, { compounding = "annual", contributionsPerYear = 12 } = {}) {
+  const payments = Math.round(years * contributionsPerYear);
+  const ratePerPayment = growthFactor(rate, 1 / contributionsPerYear, compounding) - 1;
+  if (ratePerPayment === 0) {
+    return contribution * payments;
+  }
+  return contribution * ((Math.pow(1 + ratePerPayment, payments) - 1) / ratePerPayment);
+}
+
+export function futureValue({ principal, rate, years, compounding = "annual", contribution = 0, contributionsPerYear = 12 }) {
+  return (
+    compoundInterest(principal, rate, years, compounding) +
+    futureValueOfContributions(contribution, rate, years, { compounding, contributionsPerYear })
+  );
 }
 
-export const formatCurrency = (value) =>
-  new Intl.NumberFormat("en-US", { style: "currency", currency: "USD" }).format(value);
+export const formatCurrency = (value, { locale = "en-US", currency = "USD" } = {}) =>
+  new Intl.NumberFormat(locale, { style: "currency", currency }).format(value);
 
 const defaultExportMessage = "Remember: modules are evaluated once and cached.";
 export default defaultExportMessage;
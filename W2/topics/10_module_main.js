@@ -1,22 +1,89 @@
-import defaultMessage, { compoundInterest, formatCurrency } from "./10_math_utils.js";
+import defaultMessage, { compoundInterest, formatCurrency, futureValue } from "./10_math_utils.js";
 
 const form = document.getElementById("mathForm");
 const output = document.getElementById("output");
 
-form.addEventListener("submit", (event) => {
+// Each option value is "<locale>|<currency>".
+const readMoneyFormat = () => {
+  const [locale, currency] = form.currency.value.split("|");
+  return { locale, currency };
+};
+
+form.addEventListener("submit", async (event) => {
   event.preventDefault();
   const principal = Number(form.principal.value);
   const rate = Number(form.rate.value);
   const years = Number(form.years.value);
+  const compounding = form.compounding.value;
+  const contribution = Number(form.contribution.value);
+  const money = readMoneyFormat();
+  const format = (value) => formatCurrency(value, money);
+
+  if ([principal, rate, years, contribution].some(Number.isNaN) || years <= 0) {
+    output.innerHTML = "<p>Please fill in every field with a valid number.</p>";
+    return;
+  }
 
-  const future = compoundInterest(principal, rate, years);
+  const lumpSum = compoundInterest(principal, rate, years, compounding);
+  const future = futureValue({ principal, rate, years, compounding, contribution });
+  const deposited = principal + contribution * 12 * years;
 
   output.innerHTML = `
     <h2>Result</h2>
-    <p>Principal: ${formatCurrency(principal)}</p>
-    <p>Rate: ${rate}%</p>
+    <p>Principal: ${format(principal)}</p>
+    <p>Rate: ${rate}% (${compounding} compounding)</p>
     <p>Years: ${years}</p>
-    <p><strong>Future value:</strong> ${formatCurrency(future)}</p>
+    <p>Principal alone grows to: ${format(lumpSum)}</p>
+    <p>Monthly contribution: ${format(contribution)} (total deposited: ${format(deposited)})</p>
+    <p><strong>Future value:</strong> ${format(future)}</p>
     <p><em>${defaultMessage}</em></p>
   `;
+
+  if (!form.schedule.checked) {
+    return;
+  }
+
+  const loading = document.createElement("p");
+  loading.textContent = "Loading 10_amortization.js…";
+  output.append(loading);
+
+  try {
+    // Dynamic import: the browser only downloads this module the first time a
+    // schedule is requested, and reuses the cached module afterwards.
+    const { amortizationSchedule } = await import("./10_amortization.js");
+    const schedule = amortizationSchedule({ principal, rate, years, compounding });
+    loading.replaceWith(renderSchedule(schedule, format));
+  } catch (error) {
+    loading.textContent = `Could not build the schedule: ${error.message}`;
+  }
 });
+
+function renderSchedule(schedule, format) {
+  const section = document.createElement("div");
+  section.innerHTML = `
+    <h3>Loan Amortization Schedule</h3>
+    <p>
+      Borrowing the principal at this rate costs <strong>${format(schedule.payment)}</strong> per month
+      over ${schedule.payments} payments: ${format(schedule.totalInterest)} interest, ${format(schedule.totalPaid)} in total.
+    </p>
+    <table>
+      <thead>
+        <tr><th>Year</th><th>Principal paid</th><th>Interest paid</th><th>Remaining balance</th></tr>
+      </thead>
+      <tbody>
+        ${schedule.yearly
+          .map(
+            (row) => `
+          <tr>
+            <td>${row.year}</td>
+            <td>${format(row.principalPaid)}</td>
+            <td>${format(row.interestPaid)}</td>
+            <td>${format(row.balance)}</td>
+          </tr>`
+          )
+          .join("")}
+      </tbody>
+    </table>
+  `;
+  return section;
+}
@@ -0,0 +1,306 @@
+// Mirrors console output into a collapsible panel on the page, for machines
+// where the developer tools are hard to reach. Include it in <head> without
+// `defer` so it is installed before any lesson script logs something:
+//   <script src="console_panel.js"></script>
+// With data-panel="off" it only records entries (playground.js uses this
+// inside its sandbox and forwards them with consolePanel.subscribe).
+(function () {
+  if (window.consolePanel) {
+    return;
+  }
+
+  const showPanel = document.currentScript?.dataset.panel !== "off";
+
+  const LEVELS = ["log", "info", "warn", "error", "debug"];
+  const MAX_ENTRIES = 500;
+  const original = {};
+  const entries = [];
+  let groupDepth = 0;
+  let panel = null;
+  let list = null;
+  let countBadge = null;
+  const hiddenLevels = new Set();
+  const listeners = [];
+
+  // -------------------------------------------------------------------------
+  // Formatting
+  // -------------------------------------------------------------------------
+
+  function inspect(value, depth = 0, seen = new WeakSet()) {
+    if (typeof value === "string") return depth === 0 ? value : JSON.stringify(value);
+    if (typeof value === "bigint") return `${value}n`;
+    if (typeof value === "symbol") return value.toString();
+    if (typeof value === "function") return `ƒ ${value.name || "anonymous"}()`;
+    if (Object.is(value, -0)) return "-0";
+    if (value === null || typeof value !== "object") return String(value);
+    if (value instanceof Error) return value.stack || `${value.name}: ${value.message}`;
+    if (value instanceof Date) return value.toISOString();
+    if (value instanceof RegExp) return value.toString();
+    if (typeof Node !== "undefined" && value instanceof Node) {
+      return value.nodeType === 1 ? `<${value.tagName.toLowerCase()}${value.id ? `#${value.id}` : ""}>` : value.nodeName;
+    }
+    if (seen.has(value)) return "[Circular]";
+    if (depth > 3) return Array.isArray(value) ? "[…]" : "{…}";
+
+    seen.add(value);
+    let text;
+    if (Array.isArray(value)) {
+      text = `[${value.map((item) => inspect(item, depth + 1, seen)).join(", ")}]`;
+    } else if (value instanceof Map) {
+      const items = Array.from(value, ([key, item]) => `${inspect(key, depth + 1, seen)} => ${inspect(item, depth + 1, seen)}`);
+      text = `Map(${value.size}) {${items.join(", ")}}`;
+    } else if (value instanceof Set) {
+      text = `Set(${value.size}) {${Array.from(value, (item) => inspect(item, depth + 1, seen)).join(", ")}}`;
+    } else {
+      const name = value.constructor && value.constructor !== Object ? `${value.constructor.name} ` : "";
+      const items = Object.keys(value).map((key) => `${key}: ${inspect(value[key], depth + 1, seen)}`);
+      text = `${name}{${items.join(", ")}}`;
+    }
+    seen.delete(value);
+    return text;
+  }
+
+  // Applies %s, %d, %i, %f, %o, %O and %c (styles are dropped) like the
+  // browser console does, then appends the remaining arguments.
+  function formatArgs(args) {
+    if (typeof args[0] !== "string" || !/%[sdifoOc%]/.test(args[0])) {
+      return args.map((arg) => inspect(arg)).join(" ");
+    }
+
+    const rest = args.slice(1);
+    const head = args[0].replace(/%([sdifoOc%])/g, (match, specifier) => {
+      if (specifier === "%") return "%";
+      if (!rest.length) return match;
+      const value = rest.shift();
+      switch (specifier) {
+        case "s":
+          return typeof value === "string" ? value : inspect(value, 1);
+        case "d":
+        case "i":
+          return String(parseInt(value, 10));
+        case "f":
+          return String(parseFloat(value));
+        case "c":
+          return "";
+        default:
+          return inspect(value, 1);
+      }
+    });
+    return [head, ...rest.map((arg) => inspect(arg))].join(" ");
+  }
+
+  // -------------------------------------------------------------------------
+  // Panel
+  // -------------------------------------------------------------------------
+
+  function createPanel() {
+    panel = document.createElement("aside");
+    panel.className = "console-panel";
+    panel.setAttribute("aria-label", "Console output");
+    panel.innerHTML = `
+      <details>
+        <summary>Console <span class="console-panel__count">0</span></summary>
+        <div class="console-panel__toolbar">
+          ${LEVELS.map(
+            (level) => `
+            <label class="console-panel__filter">
+              <input type="checkbox" value="${level}" checked /> ${level}
+            </label>`
+          ).join("")}
+          <button type="button" class="console-panel__clear">Clear</button>
+        </div>
+        <ol class="console-panel__list" aria-live="polite"></ol>
+      </details>
+    `;
+
+    list = panel.querySelector(".console-panel__list");
+    countBadge = panel.querySelector(".console-panel__count");
+
+    panel.querySelector(".console-panel__clear").addEventListener("click", clear);
+    panel.querySelector(".console-panel__toolbar").addEventListener("change", (event) => {
+      const { value, checked } = event.target;
+      if (checked) {
+        hiddenLevels.delete(value);
+      } else {
+        hiddenLevels.add(value);
+      }
+      list.querySelectorAll(`[data-level="${value}"]`).forEach((item) => {
+        item.hidden = !checked;
+      });
+    });
+
+    document.body.append(panel);
+    entries.forEach(renderEntry);
+    updateCount();
+  }
+
+  function renderEntry(entry) {
+    const item = createEntryElement(entry);
+    item.hidden = hiddenLevels.has(entry.level);
+    list.append(item);
+    list.scrollTop = list.scrollHeight;
+  }
+
+  function createEntryElement(entry) {
+    const item = document.createElement("li");
+    item.className = `console-panel__entry console-panel__entry--${entry.level}`;
+    item.dataset.level = entry.level;
+    item.style.paddingLeft = `${entry.depth * 1.1 + 0.5}rem`;
+
+    const time = document.createElement("time");
+    time.dateTime = entry.time.toISOString();
+    time.textContent = entry.time.toLocaleTimeString([], { hour12: false }) + `.${String(entry.time.getMilliseconds()).padStart(3, "0")}`;
+    item.append(time, " ");
+
+    if (entry.table) {
+      item.append(renderTable(entry.table));
+    } else {
+      const text = document.createElement(entry.group ? "strong" : "span");
+      text.textContent = entry.group ? `▾ ${entry.text}` : entry.text;
+      item.append(text);
+    }
+    return item;
+  }
+
+  function renderTable({ columns, rows }) {
+    const table = document.createElement("table");
+    const headerRow = table.createTHead().insertRow();
+    ["(index)", ...columns].forEach((column) => {
+      const cell = document.createElement("th");
+      cell.textContent = column;
+      headerRow.append(cell);
+    });
+    const body = table.createTBody();
+    rows.forEach(([index, values]) => {
+      const row = body.insertRow();
+      row.insertCell().textContent = index;
+      columns.forEach((column) => {
+        row.insertCell().textContent = values[column] ?? "";
+      });
+    });
+    return table;
+  }
+
+  function updateCount() {
+    if (countBadge) {
+      countBadge.textContent = String(entries.length);
+    }
+  }
+
+  function addEntry(level, text, extra = {}) {
+    const entry = { level, text, time: new Date(), depth: groupDepth, ...extra };
+    entries.push(entry);
+    if (entries.length > MAX_ENTRIES) {
+      entries.shift();
+      list?.firstElementChild?.remove();
+    }
+    if (list) {
+      renderEntry(entry);
+    }
+    updateCount();
+    listeners.forEach((listener) => listener(entry));
+  }
+
+  function clear() {
+    entries.length = 0;
+    groupDepth = 0;
+    if (list) {
+      list.innerHTML = "";
+    }
+    updateCount();
+    listeners.forEach((listener) => listener(null));
+  }
+
+  // Calls listener(entry) for every new entry and listener(null) on clear.
+  function subscribe(listener) {
+    listeners.push(listener);
+  }
+
+  // console.table(data, columns): rows are the entries of an array or
+  // object; primitive rows go into a "Value" column. Cells are formatted
+  // right away so later mutations don't change what was logged.
+  function tableData(data, columnFilter) {
+    const rows = Object.entries(data ?? {});
+    const columns = new Set();
+    const normalized = rows.map(([index, row]) => {
+      if (row === null || typeof row !== "object") {
+        columns.add("Value");
+        row = { Value: row };
+      }
+      const cells = {};
+      Object.keys(row).forEach((key) => {
+        columns.add(key);
+        cells[key] = inspect(row[key], 1);
+      });
+      return [index, cells];
+    });
+    const picked = Array.isArray(columnFilter) ? columnFilter.map(String) : Array.from(columns);
+    return { columns: picked, rows: normalized };
+  }
+
+  // -------------------------------------------------------------------------
+  // Console patching
+  // -------------------------------------------------------------------------
+
+  LEVELS.forEach((level) => {
+    original[level] = console[level];
+    console[level] = function (...args) {
+      addEntry(level, formatArgs(args));
+      return original[level].apply(console, args);
+    };
+  });
+
+  ["group", "groupCollapsed", "groupEnd", "table", "clear"].forEach((method) => {
+    original[method] = console[method];
+  });
+
+  console.group = function (...args) {
+    addEntry("log", args.length ? formatArgs(args) : "console.group", { group: true });
+    groupDepth += 1;
+    return original.group.apply(console, args);
+  };
+
+  console.groupCollapsed = function (...args) {
+    addEntry("log", args.length ? formatArgs(args) : "console.groupCollapsed", { group: true });
+    groupDepth += 1;
+    return original.groupCollapsed.apply(console, args);
+  };
+
+  console.groupEnd = function () {
+    groupDepth = Math.max(0, groupDepth - 1);
+    return original.groupEnd.apply(console);
+  };
+
+  console.table = function (data, columns) {
+    if (data !== null && typeof data === "object") {
+      addEntry("log", "", { table: tableData(data, columns) });
+    } else {
+      addEntry("log", formatArgs([data]));
+    }
+    return original.table.apply(console, arguments);
+  };
+
+  console.clear = function () {
+    clear();
+    return original.clear.apply(console);
+  };
+
+  window.addEventListener("error", (event) => {
+    // Inline and data: URL scripts (as in the playground sandbox) have no
+    // useful file name to show.
+    const location = /^(?:https?|file):/.test(event.filename) ? ` (${event.filename.split("/").pop()}:${event.lineno})` : "";
+    addEntry("error", `Uncaught ${event.error ? inspect(event.error) : event.message}${location}`);
+  });
+
+  window.addEventListener("unhandledrejection", (event) => {
+    addEntry("error", `Unhandled promise rejection: ${inspect(event.reason)}`);
+  });
+
+  if (showPanel && document.body) {
+    createPanel();
+  } else if (showPanel) {
+    document.addEventListener("DOMContentLoaded", createPanel);
+  }
+
+  window.consolePanel = { clear, entries, inspect, formatArgs, subscribe, createEntryElement };
+})();
@@ -0,0 +1,5 @@
+// Shared by the lessons that build result tables with innerHTML
+// (05_operators.js and 09_arrays.js): user input must not become markup.
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
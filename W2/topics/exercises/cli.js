@@ -0,0 +1,98 @@
+// Runs the hidden exercise tests from Node.js, for instructors:
+//   node cli.js                                  list every topic and task
+//   node cli.js --solutions                      check the reference solutions
+//   node cli.js 09_arrays sum-minutes answer.js  grade one file
+//   node cli.js 09_arrays submissions/           grade the <task id>.js files in a folder
+// Add --json for machine-readable output. The exit code is 1 when a
+// submission fails or is missing.
+import { existsSync, readFileSync, statSync } from "node:fs";
+import path from "node:path";
+import { Worker } from "node:worker_threads";
+import { TOPICS } from "./tasks.js";
+import { timedOutResult } from "./runner.js";
+
+const TIMEOUT = 2000;
+
+// Same worker.js as the browser uses, started as a worker thread so an
+// endless loop in a submission can be terminated.
+function gradeInWorker({ topic, taskId, source }) {
+  return new Promise((resolve) => {
+    const worker = new Worker(new URL("./worker.js", import.meta.url), { workerData: { topic, taskId, source } });
+    const finish = (result) => {
+      clearTimeout(timer);
+      worker.terminate();
+      resolve(result);
+    };
+    const timer = setTimeout(() => finish(timedOutResult(TIMEOUT)), TIMEOUT);
+    worker.once("message", finish);
+    worker.once("error", (error) => finish({ passed: false, results: [], logs: [], error: error.message }));
+  });
+}
+
+function listTasks() {
+  return Object.entries(TOPICS)
+    .map(([topic, { title, tasks }]) => [`${topic} (${title})`, ...tasks.map((task) => `  ${task.id.padEnd(18)}${task.title}`)].join("\n"))
+    .join("\n\n");
+}
+
+async function collectJobs(names, options) {
+  const [topic, taskOrFolder, file] = names;
+
+  if (options.solutions) {
+    const { SOLUTIONS } = await import("./solutions.js");
+    return Object.entries(TOPICS).flatMap(([topicId, { tasks }]) =>
+      tasks.map((task) => ({ topic: topicId, taskId: task.id, source: SOLUTIONS[`${topicId}/${task.id}`] ?? null }))
+    );
+  }
+  if (!TOPICS[topic]) {
+    throw new Error(`Unknown topic "${topic}". Run without arguments to list the topics.`);
+  }
+  if (file) {
+    return [{ topic, taskId: taskOrFolder, source: readFileSync(file, "utf8") }];
+  }
+  if (taskOrFolder && existsSync(taskOrFolder) && statSync(taskOrFolder).isDirectory()) {
+    return TOPICS[topic].tasks.map((task) => {
+      const submission = path.join(taskOrFolder, `${task.id}.js`);
+      return { topic, taskId: task.id, source: existsSync(submission) ? readFileSync(submission, "utf8") : null };
+    });
+  }
+  throw new Error("Usage: node cli.js <topic> <task id> <file.js> | node cli.js <topic> <folder> | node cli.js --solutions");
+}
+
+function formatOutcome({ topic, taskId, result }) {
+  const passedTests = result.results.filter((test) => test.passed).length;
+  const summary = result.error ?? `${passedTests}/${result.results.length} tests`;
+  const lines = [`${result.passed ? "✔" : "✘"} ${`${topic}/${taskId}`.padEnd(40)}${summary}`];
+  result.results.filter((test) => !test.passed).forEach((test) => lines.push(`    ✘ ${test.name}: ${test.message}`));
+  return lines.join("\n");
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const options = { json: args.includes("--json"), solutions: args.includes("--solutions") };
+  const names = args.filter((arg) => !arg.startsWith("--"));
+
+  if (!names.length && !options.solutions) {
+    console.log(listTasks());
+    return;
+  }
+
+  const outcomes = [];
+  for (const job of await collectJobs(names, options)) {
+    const result =
+      job.source === null
+        ? { passed: false, results: [], logs: [], error: "No submission found." }
+        : await gradeInWorker(job);
+    outcomes.push({ topic: job.topic, taskId: job.taskId, result });
+  }
+
+  console.log(options.json ? JSON.stringify(outcomes, null, 2) : outcomes.map(formatOutcome).join("\n"));
+  if (!outcomes.every((outcome) => outcome.result.passed)) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exitCode = 1;
+});
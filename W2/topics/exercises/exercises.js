@@ -0,0 +1,172 @@
+// Renders the exercises of a topic into <section class="exercises"
+// data-topic="09_arrays">. Submissions are graded by worker.js, and drafts
+// plus results are kept in localStorage.
+import { TOPICS } from "./tasks.js";
+import { timedOutResult } from "./runner.js";
+
+const STORAGE_KEY = "w2-exercise-progress";
+const PROGRESS_VERSION = 1;
+const TIMEOUT = 2000;
+
+// Progress shape: { version, tasks: { "<topic>/<task id>": { code, passed, checkedAt } } }
+function loadProgress() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (saved?.version === PROGRESS_VERSION && saved.tasks && typeof saved.tasks === "object") {
+      return saved;
+    }
+  } catch (error) {
+    console.warn("Could not read the saved exercise progress.", error);
+  }
+  return { version: PROGRESS_VERSION, tasks: {} };
+}
+
+// Reads the stored progress again before writing, so two open lesson tabs
+// don't overwrite each other's tasks.
+function updateProgress(key, changes) {
+  const progress = loadProgress();
+  progress.tasks[key] = { ...progress.tasks[key], ...changes };
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(progress));
+  } catch (error) {
+    console.warn("Could not save the exercise progress.", error);
+  }
+}
+
+const readTaskProgress = (key) => loadProgress().tasks[key];
+
+// A fresh worker per submission: nothing leaks between attempts, and an
+// endless loop only costs the worker, which is terminated after TIMEOUT ms.
+function gradeInWorker(topic, taskId, source) {
+  return new Promise((resolve) => {
+    const worker = new Worker(new URL("./worker.js", import.meta.url), { type: "module" });
+    const finish = (result) => {
+      clearTimeout(timer);
+      worker.terminate();
+      resolve(result);
+    };
+    const timer = setTimeout(() => finish(timedOutResult(TIMEOUT)), TIMEOUT);
+    worker.addEventListener("message", (event) => finish(event.data));
+    worker.addEventListener("error", (event) => {
+      event.preventDefault();
+      finish({ passed: false, results: [], logs: [], error: event.message || "The grader could not start." });
+    });
+    worker.postMessage({ topic, taskId, source });
+  });
+}
+
+function renderFeedback(feedback, result) {
+  feedback.innerHTML = "";
+
+  const summary = document.createElement("p");
+  const passedTests = result.results.filter((test) => test.passed).length;
+  summary.className = result.passed ? "exercise__verdict is-passed" : "exercise__verdict is-failed";
+  summary.textContent = result.error ?? (result.passed ? `All ${passedTests} tests passed.` : `${passedTests} of ${result.results.length} tests passed.`);
+  feedback.append(summary);
+
+  if (result.results.length) {
+    const list = document.createElement("ul");
+    list.className = "exercise__results";
+    result.results.forEach((test) => {
+      const item = document.createElement("li");
+      item.className = test.passed ? "is-passed" : "is-failed";
+      item.textContent = `${test.passed ? "✔" : "✘"} ${test.name}${test.message ? ` — ${test.message}` : ""}`;
+      list.append(item);
+    });
+    feedback.append(list);
+  }
+
+  if (result.logs.length) {
+    const logs = document.createElement("pre");
+    logs.className = "code-block code-block--wrap";
+    logs.textContent = result.logs.join("\n");
+    feedback.append(logs);
+  }
+}
+
+function renderTask(section, topic, task, updateSummary) {
+  const key = `${topic}/${task.id}`;
+  const article = document.createElement("article");
+  article.className = "exercise";
+  article.innerHTML = `
+    <h3><span class="exercise__status"></span></h3>
+    <p class="exercise__prompt"></p>
+    <textarea class="code-block exercise__editor" spellcheck="false"></textarea>
+    <div class="exercise__actions">
+      <button type="button" data-action="check">Check</button>
+      <button type="button" data-action="reset">Reset to starter</button>
+    </div>
+    <div class="exercise__feedback" aria-live="polite"></div>
+  `;
+
+  const status = article.querySelector(".exercise__status");
+  const editor = article.querySelector("textarea");
+  const feedback = article.querySelector(".exercise__feedback");
+  const checkButton = article.querySelector('[data-action="check"]');
+
+  article.querySelector("h3").prepend(`${task.title} `);
+  article.querySelector(".exercise__prompt").textContent = task.prompt;
+  editor.setAttribute("aria-label", task.title);
+
+  const showStatus = () => {
+    const entry = readTaskProgress(key);
+    status.textContent = entry?.passed ? "Passed" : entry?.checkedAt ? "Not yet" : "Not attempted";
+    status.className = `exercise__status ${entry?.passed ? "is-passed" : entry?.checkedAt ? "is-failed" : ""}`;
+  };
+
+  const setCode = (code) => {
+    editor.value = code;
+    editor.rows = Math.max(code.split("\n").length + 1, 4);
+  };
+
+  setCode(readTaskProgress(key)?.code ?? task.starter);
+  showStatus();
+
+  editor.addEventListener("input", () => {
+    editor.rows = Math.max(editor.value.split("\n").length + 1, 4);
+    updateProgress(key, { code: editor.value });
+  });
+
+  article.querySelector(".exercise__actions").addEventListener("click", async (event) => {
+    const action = event.target.dataset.action;
+    if (action === "reset") {
+      setCode(task.starter);
+      updateProgress(key, { code: task.starter });
+      feedback.innerHTML = "";
+    } else if (action === "check") {
+      checkButton.disabled = true;
+      feedback.textContent = "Running the hidden tests…";
+      const result = await gradeInWorker(topic, task.id, editor.value);
+      checkButton.disabled = false;
+      renderFeedback(feedback, result);
+      updateProgress(key, { code: editor.value, passed: result.passed, checkedAt: new Date().toISOString() });
+      showStatus();
+      updateSummary();
+    }
+  });
+
+  section.append(article);
+}
+
+function mountExercises(section) {
+  const topic = section.dataset.topic;
+  const tasks = TOPICS[topic]?.tasks;
+  if (!tasks) {
+    console.warn(`No exercises are defined for "${topic}".`);
+    return;
+  }
+
+  const summary = document.createElement("p");
+  summary.className = "exercises__summary";
+  section.append(summary);
+
+  const updateSummary = () => {
+    const passed = tasks.filter((task) => readTaskProgress(`${topic}/${task.id}`)?.passed).length;
+    summary.textContent = `Progress: ${passed} of ${tasks.length} exercises passed.`;
+  };
+
+  tasks.forEach((task) => renderTask(section, topic, task, updateSummary));
+  updateSummary();
+}
+
+document.querySelectorAll(".exercises[data-topic]").forEach(mountExercises);
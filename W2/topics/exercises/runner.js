@@ -0,0 +1,120 @@
+// Runs a student's code against the hidden tests of one task. It has no
+// timeout of its own: worker.js runs it in a Web Worker (browser) or a
+// worker thread (Node.js) that the caller terminates when time is up.
+
+export class AssertionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AssertionError";
+  }
+}
+
+export function describe(value) {
+  if (typeof value === "string") return JSON.stringify(value);
+  if (typeof value === "bigint") return `${value}n`;
+  if (typeof value === "function") return `function ${value.name || "(anonymous)"}`;
+  if (value === undefined || typeof value === "symbol" || Number.isNaN(value)) return String(value);
+  if (Object.is(value, -0)) return "-0";
+  try {
+    return JSON.stringify(value);
+  } catch (error) {
+    return String(value);
+  }
+}
+
+function isDeepEqual(actual, expected) {
+  if (Object.is(actual, expected)) {
+    return true;
+  }
+  if (typeof actual !== "object" || typeof expected !== "object" || actual === null || expected === null) {
+    return false;
+  }
+  if (Array.isArray(actual) !== Array.isArray(expected)) {
+    return false;
+  }
+  const keys = Object.keys(expected);
+  return keys.length === Object.keys(actual).length && keys.every((key) => isDeepEqual(actual[key], expected[key]));
+}
+
+export function assert(condition, message) {
+  if (!condition) {
+    throw new AssertionError(message);
+  }
+}
+
+export function assertEqual(actual, expected, label) {
+  if (!isDeepEqual(actual, expected)) {
+    throw new AssertionError(`${label}: expected ${describe(expected)} but got ${describe(actual)}`);
+  }
+}
+
+export function assertThrows(fn, ErrorType, label) {
+  try {
+    fn();
+  } catch (error) {
+    assert(error instanceof ErrorType, `${label}: expected a ${ErrorType.name} but got ${error.name}`);
+    return;
+  }
+  throw new AssertionError(`${label}: expected a ${ErrorType.name} to be thrown`);
+}
+
+function describeError(error) {
+  if (error instanceof AssertionError) return error.message;
+  if (error instanceof Error) return `${error.name}: ${error.message}`;
+  return `Threw ${describe(error)}`;
+}
+
+// console.log calls in student code are collected instead of printed.
+function createConsole(logs) {
+  const record = (level) => (...args) => {
+    logs.push(`${level === "log" ? "" : `[${level}] `}${args.map((arg) => (typeof arg === "string" ? arg : describe(arg))).join(" ")}`);
+  };
+  return { log: record("log"), info: record("info"), warn: record("warn"), error: record("error") };
+}
+
+// Evaluates the code and returns the names listed in task.exports. Names
+// the code never declares come back as undefined instead of throwing.
+function loadExports(task, source, logs) {
+  const names = task.exports.map((name) => `${name}: typeof ${name} === "undefined" ? undefined : ${name}`);
+  const factory = new Function("console", `${source}\n;return { ${names.join(", ")} };`);
+  return factory(createConsole(logs));
+}
+
+// Result: { passed, results: [{ name, passed, message }], logs, error }.
+export async function runTask(task, source) {
+  const logs = [];
+  let exported;
+
+  try {
+    exported = loadExports(task, source, logs);
+  } catch (error) {
+    return { passed: false, results: [], logs, error: describeError(error) };
+  }
+
+  const missing = task.exports.filter((name) => exported[name] === undefined);
+  if (missing.length) {
+    return { passed: false, results: [], logs, error: `Define ${missing.map((name) => `\`${name}\``).join(" and ")} in your code.` };
+  }
+
+  const results = [];
+  for (const test of task.tests) {
+    try {
+      await test.run(exported, source);
+      results.push({ name: test.name, passed: true, message: "" });
+    } catch (error) {
+      results.push({ name: test.name, passed: false, message: describeError(error) });
+    }
+  }
+
+  return { passed: results.every((result) => result.passed), results, logs, error: null };
+}
+
+// What callers report when they had to terminate the worker.
+export function timedOutResult(timeout) {
+  return {
+    passed: false,
+    results: [],
+    logs: [],
+    error: `Stopped after ${timeout / 1000} s. Look for a loop whose condition never becomes false.`,
+  };
+}
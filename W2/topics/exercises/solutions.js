@@ -0,0 +1,62 @@
+// Reference solutions, keyed by "<topic>/<task id>". Only cli.js loads this
+// file (node cli.js --solutions); the lesson pages never request it.
+export const SOLUTIONS = {
+  "03_variables_constants/fix-tdz": `function courseLabel() {
+  let course = "W2";
+  const label = "Course: " + course;
+  return label;
+}`,
+
+  "03_variables_constants/frozen-settings": `const settings = Object.freeze({ theme: "dark", fontSize: 16 });`,
+
+  "04_data_types/describe-type": `function describeType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}`,
+
+  "05_operators/safe-divide": `function safeDivide(a, b) {
+  return b === 0 ? null : a / b;
+}`,
+
+  "05_operators/with-default": `const withDefault = (value, fallback) => value ?? fallback;`,
+
+  "06_control_flow/letter-grade": `function letterGrade(score) {
+  if (score < 0 || score > 100) {
+    throw new RangeError("Scores go from 0 to 100");
+  }
+  if (score >= 90) return "A";
+  if (score >= 80) return "B";
+  if (score >= 70) return "C";
+  if (score >= 60) return "D";
+  return "F";
+}`,
+
+  "07_loops/sum-evens": `function sumEvens(numbers) {
+  let total = 0;
+  for (const number of numbers) {
+    if (number % 2 === 0) {
+      total += number;
+    }
+  }
+  return total;
+}`,
+
+  "07_loops/countdown": `function countdown(from) {
+  const numbers = [];
+  while (from > 0) {
+    numbers.push(from);
+    from--;
+  }
+  return numbers;
+}`,
+
+  "08_functions/make-counter": `function makeCounter(start = 0) {
+  let count = start;
+  return () => ++count;
+}`,
+
+  "09_arrays/sum-minutes": `const totalMinutes = (songs) => songs.reduce((total, song) => total + song.minutes, 0);`,
+
+  "09_arrays/titles-by": `const titlesBy = (songs, artist) => songs.filter((song) => song.artist === artist).map((song) => song.title);`,
+};
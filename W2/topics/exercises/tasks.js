@@ -0,0 +1,344 @@
+// Exercises for each W2 topic. A task lists the names the student's code must
+// define (`exports`) and hidden tests that receive those values and the
+// source text. Tests throw (usually through assertEqual) to fail.
+import { assert, assertEqual, assertThrows } from "./runner.js";
+
+const songs = [
+  { title: "Blue in Green", artist: "Miles Davis", minutes: 5.5 },
+  { title: "So What", artist: "Miles Davis", minutes: 9.25 },
+  { title: "Naima", artist: "John Coltrane", minutes: 4.25 },
+];
+
+export const TOPICS = {
+  "03_variables_constants": {
+    title: "Variables and Constants",
+    tasks: [
+      {
+        id: "fix-tdz",
+        title: "Fix the temporal dead zone error",
+        prompt:
+          "Calling courseLabel() throws a ReferenceError because `course` is read before its `let` declaration runs. " +
+          'Reorder the code so it returns "Course: W2". Keep `course` declared with let.',
+        exports: ["courseLabel"],
+        starter: ["function courseLabel() {", '  const label = "Course: " + course;', '  let course = "W2";', "  return label;", "}", ""].join("\n"),
+        tests: [
+          {
+            name: "courseLabel() returns the label",
+            run: ({ courseLabel }) => assertEqual(courseLabel(), "Course: W2", "courseLabel()"),
+          },
+          {
+            name: "course is still declared with let",
+            run: (exported, source) => assert(/\blet\s+course\b/.test(source), "Declare `course` with let, not var or const."),
+          },
+        ],
+      },
+      {
+        id: "frozen-settings",
+        title: "Make a constant that cannot change",
+        prompt:
+          'Declare `settings` with const so it holds { theme: "dark", fontSize: 16 }, and make sure its properties cannot be reassigned either (const alone only protects the binding).',
+        exports: ["settings"],
+        starter: 'let settings = { theme: "dark", fontSize: 16 };\n',
+        tests: [
+          {
+            name: "settings has the right values",
+            run: ({ settings }) => assertEqual(settings, { theme: "dark", fontSize: 16 }, "settings"),
+          },
+          {
+            name: "settings is declared with const",
+            run: (exported, source) => assert(/\bconst\s+settings\b/.test(source), "Declare `settings` with const."),
+          },
+          {
+            name: "settings cannot be modified",
+            run: ({ settings }) => assert(Object.isFrozen(settings), "Properties of `settings` can still be changed; try Object.freeze."),
+          },
+        ],
+      },
+    ],
+  },
+
+  "04_data_types": {
+    title: "Data Types",
+    tasks: [
+      {
+        id: "describe-type",
+        title: "Name the type of any value",
+        prompt:
+          'Write describeType(value). It returns "null" for null and "array" for arrays, because typeof reports "object" for both. For everything else it returns what typeof returns.',
+        exports: ["describeType"],
+        starter: "function describeType(value) {\n  return typeof value;\n}\n",
+        tests: [
+          {
+            name: "primitives",
+            run: ({ describeType }) => {
+              assertEqual(describeType("hi"), "string", 'describeType("hi")');
+              assertEqual(describeType(NaN), "number", "describeType(NaN)");
+              assertEqual(describeType(10n), "bigint", "describeType(10n)");
+              assertEqual(describeType(Symbol("id")), "symbol", 'describeType(Symbol("id"))');
+              assertEqual(describeType(undefined), "undefined", "describeType(undefined)");
+            },
+          },
+          {
+            name: "null and arrays",
+            run: ({ describeType }) => {
+              assertEqual(describeType(null), "null", "describeType(null)");
+              assertEqual(describeType([]), "array", "describeType([])");
+              assertEqual(describeType([1, [2]]), "array", "describeType([1, [2]])");
+            },
+          },
+          {
+            name: "objects and functions",
+            run: ({ describeType }) => {
+              assertEqual(describeType({}), "object", "describeType({})");
+              assertEqual(describeType(new Date()), "object", "describeType(new Date())");
+              assertEqual(describeType(() => {}), "function", "describeType(() => {})");
+            },
+          },
+        ],
+      },
+    ],
+  },
+
+  "05_operators": {
+    title: "Operators and Expressions",
+    tasks: [
+      {
+        id: "safe-divide",
+        title: "Divide without dividing by zero",
+        prompt: "Write safeDivide(a, b). It returns a / b, or null when b is zero (including -0), like the calculator on this page.",
+        exports: ["safeDivide"],
+        starter: "function safeDivide(a, b) {\n  return a / b;\n}\n",
+        tests: [
+          {
+            name: "divides normally",
+            run: ({ safeDivide }) => {
+              assertEqual(safeDivide(10, 4), 2.5, "safeDivide(10, 4)");
+              assertEqual(safeDivide(0, 5), 0, "safeDivide(0, 5)");
+              assertEqual(safeDivide(-9, 3), -3, "safeDivide(-9, 3)");
+            },
+          },
+          {
+            name: "returns null for zero",
+            run: ({ safeDivide }) => {
+              assertEqual(safeDivide(1, 0), null, "safeDivide(1, 0)");
+              assertEqual(safeDivide(1, -0), null, "safeDivide(1, -0)");
+              assertEqual(safeDivide(0, 0), null, "safeDivide(0, 0)");
+            },
+          },
+        ],
+      },
+      {
+        id: "with-default",
+        title: "Only replace missing values",
+        prompt:
+          "Write withDefault(value, fallback). It returns fallback only when value is null or undefined; 0, \"\" and false are real values. Use the nullish coalescing operator.",
+        exports: ["withDefault"],
+        starter: "function withDefault(value, fallback) {\n  return value || fallback;\n}\n",
+        tests: [
+          {
+            name: "replaces null and undefined",
+            run: ({ withDefault }) => {
+              assertEqual(withDefault(null, "n/a"), "n/a", 'withDefault(null, "n/a")');
+              assertEqual(withDefault(undefined, 5), 5, "withDefault(undefined, 5)");
+            },
+          },
+          {
+            name: "keeps falsy values",
+            run: ({ withDefault }) => {
+              assertEqual(withDefault(0, 10), 0, "withDefault(0, 10)");
+              assertEqual(withDefault("", "empty"), "", 'withDefault("", "empty")');
+              assertEqual(withDefault(false, true), false, "withDefault(false, true)");
+            },
+          },
+        ],
+      },
+    ],
+  },
+
+  "06_control_flow": {
+    title: "Control Flow",
+    tasks: [
+      {
+        id: "letter-grade",
+        title: "Turn a score into a letter grade",
+        prompt:
+          "Write letterGrade(score): 90 and above is \"A\", 80 \"B\", 70 \"C\", 60 \"D\", anything lower \"F\". Throw a RangeError for scores below 0 or above 100.",
+        exports: ["letterGrade"],
+        starter: 'function letterGrade(score) {\n  if (score >= 90) {\n    return "A";\n  }\n  // ...\n}\n',
+        tests: [
+          {
+            name: "grade boundaries",
+            run: ({ letterGrade }) => {
+              [
+                [100, "A"],
+                [90, "A"],
+                [89.5, "B"],
+                [80, "B"],
+                [70, "C"],
+                [60, "D"],
+                [59, "F"],
+                [0, "F"],
+              ].forEach(([score, grade]) => assertEqual(letterGrade(score), grade, `letterGrade(${score})`));
+            },
+          },
+          {
+            name: "rejects impossible scores",
+            run: ({ letterGrade }) => {
+              assertThrows(() => letterGrade(-1), RangeError, "letterGrade(-1)");
+              assertThrows(() => letterGrade(101), RangeError, "letterGrade(101)");
+            },
+          },
+        ],
+      },
+    ],
+  },
+
+  "07_loops": {
+    title: "Loops and Iteration",
+    tasks: [
+      {
+        id: "sum-evens",
+        title: "Add up the even numbers",
+        prompt: "Write sumEvens(numbers) with a for or for...of loop. It returns the sum of the even numbers in the array.",
+        exports: ["sumEvens"],
+        starter: "function sumEvens(numbers) {\n  let total = 0;\n  // loop here\n  return total;\n}\n",
+        tests: [
+          {
+            name: "sums only even numbers",
+            run: ({ sumEvens }) => {
+              assertEqual(sumEvens([1, 2, 3, 4, 5, 6]), 12, "sumEvens([1, 2, 3, 4, 5, 6])");
+              assertEqual(sumEvens([-2, -3, 0]), -2, "sumEvens([-2, -3, 0])");
+            },
+          },
+          {
+            name: "empty and odd-only arrays",
+            run: ({ sumEvens }) => {
+              assertEqual(sumEvens([]), 0, "sumEvens([])");
+              assertEqual(sumEvens([1, 3, 5]), 0, "sumEvens([1, 3, 5])");
+            },
+          },
+          {
+            name: "uses a loop",
+            run: (exported, source) => assert(/\b(for|while)\b/.test(source), "Solve this one with a loop (for, for...of or while)."),
+          },
+        ],
+      },
+      {
+        id: "countdown",
+        title: "Count down with while",
+        prompt: "Write countdown(from) with a while loop. It returns an array counting down from `from` to 1, and an empty array when from is 0 or less.",
+        exports: ["countdown"],
+        starter: "function countdown(from) {\n  const numbers = [];\n  while (from > 0) {\n    numbers.push(from);\n  }\n  return numbers;\n}\n",
+        tests: [
+          {
+            name: "counts down to one",
+            run: ({ countdown }) => {
+              assertEqual(countdown(3), [3, 2, 1], "countdown(3)");
+              assertEqual(countdown(1), [1], "countdown(1)");
+            },
+          },
+          {
+            name: "nothing to count",
+            run: ({ countdown }) => {
+              assertEqual(countdown(0), [], "countdown(0)");
+              assertEqual(countdown(-4), [], "countdown(-4)");
+            },
+          },
+        ],
+      },
+    ],
+  },
+
+  "08_functions": {
+    title: "Functions and Arrow Functions",
+    tasks: [
+      {
+        id: "make-counter",
+        title: "Remember state with a closure",
+        prompt:
+          "Write makeCounter(start = 0). It returns a function; each call of that function returns the next number (start + 1, start + 2, …). Every counter keeps its own count.",
+        exports: ["makeCounter"],
+        starter: "function makeCounter(start = 0) {\n  // return a function here\n}\n",
+        tests: [
+          {
+            name: "counts from the default start",
+            run: ({ makeCounter }) => {
+              const next = makeCounter();
+              assertEqual([next(), next(), next()], [1, 2, 3], "three calls of makeCounter()");
+            },
+          },
+          {
+            name: "custom start and independent counters",
+            run: ({ makeCounter }) => {
+              const first = makeCounter(10);
+              const second = makeCounter(10);
+              first();
+              first();
+              assertEqual(first(), 13, "third call of makeCounter(10)");
+              assertEqual(second(), 11, "first call of a second makeCounter(10)");
+            },
+          },
+        ],
+      },
+    ],
+  },
+
+  "09_arrays": {
+    title: "Arrays and Iteration Methods",
+    tasks: [
+      {
+        id: "sum-minutes",
+        title: "Total the playlist with reduce",
+        prompt: "Write totalMinutes(songs) that uses reduce to add up the `minutes` of every song. An empty playlist has 0 minutes.",
+        exports: ["totalMinutes"],
+        starter: "function totalMinutes(songs) {\n  // songs look like { title, artist, minutes }\n}\n",
+        tests: [
+          {
+            name: "adds every song",
+            run: ({ totalMinutes }) => assertEqual(totalMinutes(songs), 19, "totalMinutes(three songs)"),
+          },
+          {
+            name: "empty playlist",
+            run: ({ totalMinutes }) => assertEqual(totalMinutes([]), 0, "totalMinutes([])"),
+          },
+          {
+            name: "uses reduce",
+            run: (exported, source) => assert(/\.reduce\s*\(/.test(source), "Use the reduce method."),
+          },
+        ],
+      },
+      {
+        id: "titles-by",
+        title: "Filter, then map",
+        prompt: "Write titlesBy(songs, artist). It returns the titles of that artist's songs, in playlist order, without changing the songs array.",
+        exports: ["titlesBy"],
+        starter: "function titlesBy(songs, artist) {\n  return [];\n}\n",
+        tests: [
+          {
+            name: "matching titles in order",
+            run: ({ titlesBy }) => {
+              assertEqual(titlesBy(songs, "Miles Davis"), ["Blue in Green", "So What"], 'titlesBy(songs, "Miles Davis")');
+              assertEqual(titlesBy(songs, "Nina Simone"), [], 'titlesBy(songs, "Nina Simone")');
+            },
+          },
+          {
+            name: "leaves the input alone",
+            run: ({ titlesBy }) => {
+              const copy = songs.map((song) => ({ ...song }));
+              titlesBy(copy, "John Coltrane");
+              assertEqual(copy, songs, "songs after titlesBy");
+            },
+          },
+        ],
+      },
+    ],
+  },
+};
+
+export function findTask(topicId, taskId) {
+  const task = TOPICS[topicId]?.tasks.find((candidate) => candidate.id === taskId);
+  if (!task) {
+    throw new RangeError(`Unknown exercise "${topicId}/${taskId}"`);
+  }
+  return task;
+}
@@ -0,0 +1,22 @@
+// Grades one submission off the main thread. The browser starts it as a
+// module Web Worker and Node.js (cli.js) as a worker thread; either caller
+// terminates it when the submission takes too long.
+import { findTask } from "./tasks.js";
+import { runTask } from "./runner.js";
+
+async function grade({ topic, taskId, source }) {
+  try {
+    return await runTask(findTask(topic, taskId), source);
+  } catch (error) {
+    return { passed: false, results: [], logs: [], error: error.message };
+  }
+}
+
+if (typeof WorkerGlobalScope !== "undefined") {
+  self.addEventListener("message", async (event) => {
+    self.postMessage(await grade(event.data));
+  });
+} else {
+  const { parentPort, workerData } = await import("node:worker_threads");
+  parentPort.postMessage(await grade(workerData));
+}
@@ -0,0 +1,486 @@
+// Turns the static code blocks of a lesson page into small editors that run
+// in a sandboxed iframe. Include it after console_panel.js:
+//   <script src="playground.js" defer></script>
+// Edits are kept in the URL hash, so copying the address shares them. Blocks
+// marked data-playground="off" (shell transcripts, for example) stay static.
+(function () {
+  const consolePanelUrl = new URL("console_panel.js", document.currentScript.src).href;
+  const GUARD_CALL = "__playgroundGuard();";
+  const LOOP_TIME_LIMIT = 1000;
+  const RUN_TIMEOUT = 3000;
+  // "// math.js" or "// main.js (importing file)" starts a new virtual file.
+  const FILE_MARKER = /^\/\/\s*([\w-]+(?:\.[\w-]+)*\.js)(?:\s*\(.*\)|\s+-\s.*)?$/;
+  const blocks = [];
+  const fetchedSources = new Map();
+
+  // -------------------------------------------------------------------------
+  // Source helpers
+  // -------------------------------------------------------------------------
+
+  // Same length as `source`, with comments (and optionally string contents)
+  // blanked out, so the regular expressions below only see real code.
+  function maskSource(source, { strings = false } = {}) {
+    let masked = "";
+    let index = 0;
+
+    while (index < source.length) {
+      const char = source[index];
+      const next = source[index + 1];
+      let end = index + 1;
+      let blank = false;
+
+      if (char === "/" && next === "/") {
+        end = source.indexOf("\n", index);
+        end = end === -1 ? source.length : end;
+        blank = true;
+      } else if (char === "/" && next === "*") {
+        end = source.indexOf("*/", index + 2);
+        end = end === -1 ? source.length : end + 2;
+        blank = true;
+      } else if (char === '"' || char === "'" || char === "`") {
+        while (end < source.length && source[end] !== char) {
+          end += source[end] === "\\" ? 2 : 1;
+        }
+        end += 1;
+        blank = strings;
+      }
+
+      const chunk = source.slice(index, end);
+      masked += blank ? chunk.replace(/[^\n]/g, " ") : chunk;
+      index = end;
+    }
+
+    return masked;
+  }
+
+  function findClosingParen(text, openIndex) {
+    let depth = 0;
+    for (let index = openIndex; index < text.length; index++) {
+      if (text[index] === "(") depth += 1;
+      if (text[index] === ")") depth -= 1;
+      if (depth === 0) return index;
+    }
+    return -1;
+  }
+
+  // Adds a guard call at the start of every braced loop body so a loop that
+  // never ends throws instead of freezing the tab.
+  function protectLoops(source) {
+    const masked = maskSource(source, { strings: true });
+    const loopPattern = /\b(?:for(?:\s+await)?|while)\s*\(|\bdo\s*\{/g;
+    const insertions = [];
+    let match;
+
+    while ((match = loopPattern.exec(masked))) {
+      let position = match.index + match[0].length;
+      if (!match[0].startsWith("do")) {
+        const close = findClosingParen(masked, position - 1);
+        if (close === -1) continue;
+        position = close + 1;
+        while (/\s/.test(masked[position] ?? "")) position += 1;
+        if (masked[position] !== "{") continue;
+        position += 1;
+      }
+      insertions.push(position);
+    }
+
+    return insertions.reduceRight((code, position) => code.slice(0, position) + GUARD_CALL + code.slice(position), source);
+  }
+
+  function isModuleSource(source) {
+    return /^\s*(?:import\s*[\w{*"']|export\b)/m.test(maskSource(source));
+  }
+
+  // Splits a block such as "// math.js … // main.js …" into virtual files.
+  // Lines before the first marker belong to the first file, and repeated
+  // markers append to the file they name.
+  function splitFiles(source) {
+    const files = [];
+    const preamble = [];
+    let current = null;
+
+    source.split("\n").forEach((line) => {
+      const marker = line.trim().match(FILE_MARKER);
+      if (marker) {
+        current = files.find((file) => file.name === marker[1]);
+        if (!current) {
+          current = { name: marker[1], lines: files.length ? [] : preamble };
+          files.push(current);
+        }
+      }
+      (current ? current.lines : preamble).push(line);
+    });
+
+    if (!files.length) {
+      return [{ name: "main.js", source }];
+    }
+    return files.map((file) => ({ name: file.name, source: file.lines.join("\n") }));
+  }
+
+  // -------------------------------------------------------------------------
+  // In-memory module resolver
+  // -------------------------------------------------------------------------
+
+  const toDataUrl = (code) => `data:text/javascript;charset=utf-8,${encodeURIComponent(code)}`;
+  const fileName = (href) => href.split("/").pop();
+
+  async function fetchModule(href) {
+    if (!fetchedSources.has(href)) {
+      const response = await fetch(href).catch(() => null);
+      if (!response?.ok) {
+        throw new Error(
+          `Cannot find module "./${fileName(href)}". Add it to the example with a "// ${fileName(href)}" line, ` +
+            "or serve the page over HTTP to import the lesson's own files."
+        );
+      }
+      fetchedSources.set(href, await response.text());
+    }
+    return fetchedSources.get(href);
+  }
+
+  // Sandboxed frames cannot fetch the lesson files, and data: URLs cannot
+  // import relative paths, so every module is turned into a data: URL with
+  // its own imports already rewritten. Each file maps to exactly one URL, so
+  // a module imported twice is still evaluated once.
+  function createResolver(files) {
+    const sources = new Map(files.map((file) => [new URL(file.name, location.href).href, file.source]));
+    const urls = new Map();
+
+    async function load(href, chain) {
+      if (chain.includes(href)) {
+        throw new Error(`Circular imports are not supported here: ${[...chain, href].map(fileName).join(" → ")}`);
+      }
+      if (!urls.has(href)) {
+        const source = sources.get(href) ?? (await fetchModule(href));
+        urls.set(href, toDataUrl(await rewrite(protectLoops(source), href, [...chain, href])));
+      }
+      return urls.get(href);
+    }
+
+    async function resolve(specifier, parentHref, chain) {
+      if (/^(?:https?|data|blob):/.test(specifier)) {
+        return specifier;
+      }
+      if (!/^\.{0,2}\//.test(specifier)) {
+        throw new Error(`"${specifier}" is a bare module specifier; it needs a bundler or an import map.`);
+      }
+      return load(new URL(specifier, parentHref).href, chain);
+    }
+
+    // Static imports must resolve before anything runs, like in a browser.
+    // A failing dynamic import() only rejects when it is reached.
+    async function rewrite(source, href, chain = []) {
+      const masked = maskSource(source);
+      const pattern = /((?<![.\w$])(?:from|import)\s*(\(\s*)?)(["'])([^"'\n]*)\3/g;
+      let result = "";
+      let last = 0;
+      let match;
+
+      while ((match = pattern.exec(masked))) {
+        const [, prefix, dynamic, , specifier] = match;
+        const start = match.index + prefix.length + 1;
+        let url;
+        try {
+          url = await resolve(specifier, href, chain);
+        } catch (error) {
+          if (!dynamic) throw error;
+          url = toDataUrl(`throw new Error(${JSON.stringify(error.message)});`);
+        }
+        result += source.slice(last, start) + url;
+        last = start + specifier.length;
+      }
+
+      return result + source.slice(last);
+    }
+
+    return { rewrite };
+  }
+
+  async function buildProgram(source) {
+    const module = isModuleSource(source);
+    const files = module ? splitFiles(source) : [{ name: "main.js", source }];
+    const entry = files.find((file) => file.name === "main.js") ?? files[files.length - 1];
+    const href = new URL(entry.name, location.href).href;
+    const code = await createResolver(files).rewrite(protectLoops(entry.source), href, [href]);
+    return { code, module };
+  }
+
+  // -------------------------------------------------------------------------
+  // Sandbox
+  // -------------------------------------------------------------------------
+
+  // Runs inside the iframe (it is injected with toString): forwards console
+  // entries to this page and defines the guard that protectLoops() inserts.
+  function sandboxBootstrap(loopTimeLimit) {
+    const post = (message) => parent.postMessage({ playground: true, ...message }, "*");
+    let loopStart = 0;
+
+    window.__playgroundGuard = () => {
+      if (!loopStart) {
+        loopStart = Date.now();
+        setTimeout(() => {
+          loopStart = 0;
+        });
+      } else if (Date.now() - loopStart > loopTimeLimit) {
+        throw new RangeError(`Loop stopped after ${loopTimeLimit} ms. Does its condition ever become false?`);
+      }
+    };
+
+    window.__playgroundDone = () => {
+      const hasContent = Array.from(document.body.children).some((element) => element.tagName !== "SCRIPT");
+      post({ type: "done", hasContent, height: document.documentElement.scrollHeight });
+    };
+
+    // Sandboxed frames may not open dialogs.
+    window.alert = (message) => console.info(`alert: ${message}`);
+
+    if (window.consolePanel) {
+      consolePanel.subscribe((entry) => post(entry ? { type: "entry", entry } : { type: "clear" }));
+    } else {
+      post({ type: "entry", entry: { level: "error", text: "console_panel.js could not be loaded.", time: new Date(), depth: 0 } });
+    }
+  }
+
+  const escapeScript = (code) => code.replace(/<\/(script)/gi, "<\\/$1");
+
+  function sandboxDocument({ code, module }) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <script src="${consolePanelUrl}" data-panel="off"></script>
+  <script>(${sandboxBootstrap})(${LOOP_TIME_LIMIT});</script>
+</head>
+<body>
+  <script${module ? ' type="module"' : ""}>${escapeScript(code)}</script>
+  <script type="module">__playgroundDone();</script>
+</body>
+</html>`;
+  }
+
+  function stop(block) {
+    clearTimeout(block.timer);
+    block.frame?.remove();
+    block.frame = null;
+  }
+
+  async function run(block) {
+    stop(block);
+    const runId = ++block.runs;
+    block.output.innerHTML = "";
+    block.output.hidden = false;
+    setStatus(block, "Running…");
+
+    let program;
+    try {
+      program = await buildProgram(block.editor.value);
+    } catch (error) {
+      appendEntry(block, { level: "error", text: error.message, time: new Date(), depth: 0 });
+      setStatus(block, "Could not resolve the imports.");
+      return;
+    }
+    if (runId !== block.runs) {
+      return;
+    }
+
+    const frame = document.createElement("iframe");
+    frame.className = "playground__frame";
+    frame.title = `Output of example ${block.index + 1}`;
+    frame.setAttribute("sandbox", "allow-scripts");
+    frame.hidden = true;
+    frame.srcdoc = sandboxDocument(program);
+    block.frame = frame;
+    block.finished = false;
+    block.timer = setTimeout(() => {
+      if (!block.finished) {
+        stop(block);
+        setStatus(block, `Stopped: the code did not finish within ${RUN_TIMEOUT / 1000} s.`);
+      }
+    }, RUN_TIMEOUT);
+    block.wrapper.append(frame);
+  }
+
+  function appendEntry(block, entry) {
+    const item = window.consolePanel ? consolePanel.createEntryElement(entry) : document.createElement("li");
+    if (!window.consolePanel) {
+      item.textContent = entry.text;
+    }
+    block.output.append(item);
+  }
+
+  function setStatus(block, text) {
+    block.status.textContent = text;
+  }
+
+  window.addEventListener("message", (event) => {
+    const block = blocks.find((candidate) => candidate.frame && candidate.frame.contentWindow === event.source);
+    if (!block || !event.data?.playground) {
+      return;
+    }
+
+    const { type, entry, hasContent, height } = event.data;
+    if (type === "entry") {
+      appendEntry(block, entry);
+    } else if (type === "clear") {
+      block.output.innerHTML = "";
+    } else if (type === "done") {
+      block.finished = true;
+      clearTimeout(block.timer);
+      block.frame.hidden = !hasContent;
+      block.frame.style.height = `${Math.min(height, 400)}px`;
+      setStatus(block, block.output.childElementCount ? "Done." : "Done (no console output).");
+    }
+  });
+
+  // -------------------------------------------------------------------------
+  // URL hash state: #play=<base64url JSON of { blockIndex: code }>
+  // -------------------------------------------------------------------------
+
+  function encodeState(edits) {
+    const bytes = new TextEncoder().encode(JSON.stringify(edits));
+    const binary = Array.from(bytes, (byte) => String.fromCharCode(byte)).join("");
+    return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  }
+
+  function decodeState(text) {
+    const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+    return JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0))));
+  }
+
+  function readHashState() {
+    const match = location.hash.match(/^#play=([\w-]+)$/);
+    if (!match) {
+      return {};
+    }
+    try {
+      return decodeState(match[1]);
+    } catch (error) {
+      console.warn("Ignoring a playground link that could not be decoded.", error);
+      return {};
+    }
+  }
+
+  function writeHashState() {
+    const edits = {};
+    blocks.forEach((block) => {
+      if (block.editor.value !== block.original) {
+        edits[block.index] = block.editor.value;
+      }
+    });
+    const url = Object.keys(edits).length ? `#play=${encodeState(edits)}` : location.pathname + location.search;
+    history.replaceState(null, "", url);
+  }
+
+  function applyHashState() {
+    const edits = readHashState();
+    blocks.forEach((block) => {
+      const code = edits[block.index];
+      setCode(block, typeof code === "string" ? code : block.original);
+      setStatus(block, typeof code === "string" ? "Restored from the link. Press Run to try it." : "");
+    });
+  }
+
+  // -------------------------------------------------------------------------
+  // Blocks
+  // -------------------------------------------------------------------------
+
+  // .example blocks are <code> lines separated by <br>; the whitespace
+  // between them in the HTML source is not part of the code.
+  function readBlockSource(element) {
+    if (element.matches("pre")) {
+      return element.textContent.trimEnd();
+    }
+    return Array.from(element.childNodes, (node) => {
+      if (node.nodeName === "BR") return "\n";
+      return node.nodeType === Node.ELEMENT_NODE ? node.textContent : "";
+    })
+      .join("")
+      .replace(/\u00a0/g, " ")
+      .trimEnd();
+  }
+
+  function setCode(block, code) {
+    block.editor.value = code;
+    block.editor.rows = code.split("\n").length + 1;
+    block.wrapper.classList.toggle("is-edited", code !== block.original);
+  }
+
+  function createPlayground(element, index) {
+    const wrapper = document.createElement("div");
+    wrapper.className = "playground";
+    wrapper.innerHTML = `
+      <textarea class="code-block playground__editor" spellcheck="false" aria-label="Editable example ${index + 1}"></textarea>
+      <div class="playground__toolbar">
+        <button type="button" data-action="run">Run</button>
+        <button type="button" data-action="reset">Reset</button>
+        <button type="button" data-action="share">Copy link</button>
+        <span class="playground__status" role="status"></span>
+      </div>
+      <ol class="playground__output" aria-label="Console output" hidden></ol>
+    `;
+
+    const block = {
+      index,
+      wrapper,
+      original: readBlockSource(element),
+      editor: wrapper.querySelector("textarea"),
+      output: wrapper.querySelector("ol"),
+      status: wrapper.querySelector(".playground__status"),
+      frame: null,
+      timer: null,
+      runs: 0,
+      finished: false,
+    };
+
+    let saveTimer = null;
+    block.editor.addEventListener("input", () => {
+      block.editor.rows = block.editor.value.split("\n").length + 1;
+      wrapper.classList.toggle("is-edited", block.editor.value !== block.original);
+      clearTimeout(saveTimer);
+      saveTimer = setTimeout(writeHashState, 400);
+    });
+
+    block.editor.addEventListener("keydown", (event) => {
+      if (event.key === "Enter" && (event.ctrlKey || event.metaKey)) {
+        event.preventDefault();
+        run(block);
+      }
+    });
+
+    wrapper.querySelector(".playground__toolbar").addEventListener("click", async (event) => {
+      const action = event.target.dataset.action;
+      if (action === "run") {
+        writeHashState();
+        run(block);
+      } else if (action === "reset") {
+        stop(block);
+        setCode(block, block.original);
+        block.output.innerHTML = "";
+        block.output.hidden = true;
+        setStatus(block, "");
+        writeHashState();
+      } else if (action === "share") {
+        writeHashState();
+        try {
+          await navigator.clipboard.writeText(location.href);
+          setStatus(block, "Link copied.");
+        } catch (error) {
+          setStatus(block, "Copy the address bar to share your edits.");
+        }
+      }
+    });
+
+    element.replaceWith(wrapper);
+    setCode(block, block.original);
+    return block;
+  }
+
+  document.querySelectorAll(".example, pre.code-block").forEach((element) => {
+    if (element.dataset.playground !== "off") {
+      blocks.push(createPlayground(element, blocks.length));
+    }
+  });
+
+  applyHashState();
+  window.addEventListener("hashchange", applyHashState);
+})();
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useMemo, useRef, createContext } from 'react';
 
 // Basic Conditional Rendering
 function BasicConditional() {
@@ -107,87 +107,707 @@ function LoadingStates() {
   );
 }
 
-// List with Conditional Items
-function ConditionalList() {
-  const [items, setItems] = useState([
-    { id: 1, name: 'Apple', category: 'fruit', inStock: true },
-    { id: 2, name: 'Carrot', category: 'vegetable', inStock: false },
-    { id: 3, name: 'Banana', category: 'fruit', inStock: true },
-    { id: 4, name: 'Broccoli', category: 'vegetable', inStock: true },
-  ]);
-  const [showOnlyInStock, setShowOnlyInStock] = useState(false);
-  const [selectedCategory, setSelectedCategory] = useState('all');
-
-  const filteredItems = items.filter(item => {
-    if (showOnlyInStock && !item.inStock) return false;
-    if (selectedCategory !== 'all' && item.category !== selectedCategory) return false;
-    return true;
+// Data Table
+// A generic table driven by column definitions:
+//   { key, header, accessor?, format?, render?, sortable?, searchable?, facet? }
+// - accessor(row) reads the value (default: row[key])
+// - format(value, row) turns it into text for cells, search, facets and CSV
+// - render(row, { highlight }) returns custom cell content
+// - facet: true lists the column's values as filter checkboxes
+//
+// The view (search, sort, filters, page) is kept in the URL under a prefix,
+// e.g. ?products.q=an&products.sort=category&products.sort=-price&products.category=fruit
+// so it can be bookmarked. Column keys q, sort, page and size are reserved.
+const getCellValue = (column, row) => (column.accessor ? column.accessor(row) : row[column.key]);
+
+function getCellText(column, row) {
+  const value = getCellValue(column, row);
+  if (column.format) return column.format(value, row);
+  return value === null || value === undefined ? '' : String(value);
+}
+
+// Numbers compare as numbers, text with 'item 2' before 'item 10'; empty values go last
+function compareValues(a, b) {
+  const isEmpty = (value) => value === null || value === undefined || value === '';
+  if (isEmpty(a) || isEmpty(b)) return isEmpty(a) - isEmpty(b);
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'boolean' && typeof b === 'boolean') return Number(a) - Number(b);
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+// sort is a list of { key, direction }; later entries break ties of earlier ones
+function sortRows(rows, sort, columns) {
+  if (sort.length === 0) return rows;
+  return [...rows].sort((a, b) => {
+    for (const { key, direction } of sort) {
+      const column = columns.find(candidate => candidate.key === key);
+      const result = compareValues(getCellValue(column, a), getCellValue(column, b));
+      if (result !== 0) return direction === 'desc' ? -result : result;
+    }
+    return 0;
+  });
+}
+
+function matchesQuery(row, columns, query) {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return true;
+  return columns
+    .filter(column => column.searchable !== false)
+    .some(column => getCellText(column, row).toLowerCase().includes(needle));
+}
+
+// filters is { [columnKey]: ['value', ...] }; a row must match every column
+// that has checked values, and any of the values within a column
+function matchesFilters(row, columns, filters, ignoreKey) {
+  return Object.entries(filters).every(([key, values]) => {
+    if (key === ignoreKey || values.length === 0) return true;
+    const column = columns.find(candidate => candidate.key === key);
+    return values.includes(getCellText(column, row));
+  });
+}
+
+// Every value of a facet column, with the number of rows it would show.
+// The counts ignore the column's own filter, so checking a second value
+// shows how many rows it adds.
+function getFacetOptions(rows, columns, column, query, filters) {
+  const counts = new Map();
+  rows.forEach(row => {
+    const text = getCellText(column, row);
+    if (!counts.has(text)) counts.set(text, 0);
+    if (matchesQuery(row, columns, query) && matchesFilters(row, columns, filters, column.key)) {
+      counts.set(text, counts.get(text) + 1);
+    }
+  });
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => compareValues(a.value, b.value));
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Splitting on a capturing group puts the matches at the odd indexes
+function Highlight({ text, query }) {
+  const needle = query.trim();
+  if (!needle) return text;
+  return text.split(new RegExp(`(${escapeRegExp(needle)})`, 'gi')).map((part, index) =>
+    index % 2 === 1 ? <mark key={index}>{part}</mark> : part
+  );
+}
+
+// CSV Export
+// Quotes every field and doubles the quotes inside it (RFC 4180). Text that
+// starts with = + - or @ gets a leading ' so spreadsheets don't run it as a formula.
+function toCsvField(text) {
+  const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return `"${safe.replace(/"/g, '""')}"`;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.map(column => toCsvField(column.header))];
+  rows.forEach(row => {
+    lines.push(columns.map(column => toCsvField(getCellText(column, row))));
+  });
+  return lines.map(line => line.join(',')).join('\r\n');
+}
+
+function downloadCsv(filename, csv) {
+  const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// URL State
+function readTableView(prefix, columns, defaultPageSize) {
+  const params = new URLSearchParams(window.location.search);
+  const param = (name) => `${prefix}.${name}`;
+  const isSortable = (key) => columns.some(column => column.key === key && column.sortable !== false);
+
+  const sort = params.getAll(param('sort'))
+    .map(value => (value.startsWith('-') ? { key: value.slice(1), direction: 'desc' } : { key: value, direction: 'asc' }))
+    .filter(({ key }) => isSortable(key));
+
+  const filters = {};
+  columns.filter(column => column.facet).forEach(column => {
+    const values = params.getAll(param(column.key));
+    if (values.length > 0) filters[column.key] = values;
+  });
+
+  return {
+    query: params.get(param('q')) ?? '',
+    sort,
+    filters,
+    page: Math.max(1, parseInt(params.get(param('page')), 10) || 1),
+    pageSize: Math.max(1, parseInt(params.get(param('size')), 10) || defaultPageSize)
+  };
+}
+
+// replaceState, not pushState: typing a search should not add a history entry per key
+function writeTableView(prefix, view, defaultPageSize) {
+  const params = new URLSearchParams(window.location.search);
+  const param = (name) => `${prefix}.${name}`;
+  [...params.keys()]
+    .filter(name => name.startsWith(`${prefix}.`))
+    .forEach(name => params.delete(name));
+
+  if (view.query) params.set(param('q'), view.query);
+  view.sort.forEach(({ key, direction }) => params.append(param('sort'), direction === 'desc' ? `-${key}` : key));
+  Object.entries(view.filters).forEach(([key, values]) => {
+    values.forEach(value => params.append(param(key), value));
   });
+  if (view.page > 1) params.set(param('page'), view.page);
+  if (view.pageSize !== defaultPageSize) params.set(param('size'), view.pageSize);
+
+  const search = params.toString();
+  const url = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+  if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+    window.history.replaceState(window.history.state, '', url);
+  }
+}
+
+const PAGE_SIZES = [5, 10, 25, 50];
+
+// mode is 'pages' or 'infinite'; infinite mode shows pageSize more rows
+// whenever the end of the table scrolls into view
+function DataTable({
+  columns,
+  rows,
+  getRowId = (row) => row.id,
+  urlKey = 'table',
+  mode = 'pages',
+  pageSize: defaultPageSize = 10,
+  caption,
+  exportFilename = `${urlKey}.csv`
+}) {
+  const [view, setView] = useState(() => readTableView(urlKey, columns, defaultPageSize));
+  const [selected, setSelected] = useState(() => new Set());
+  const [visibleCount, setVisibleCount] = useState(defaultPageSize);
+  const sentinelRef = useRef(null);
+
+  // Any change but a page change starts again from the first page
+  const updateView = (changes) => {
+    setView(current => ({ ...current, page: 1, ...changes }));
+    setVisibleCount(changes.pageSize ?? view.pageSize);
+  };
+
+  useEffect(() => {
+    writeTableView(urlKey, view, defaultPageSize);
+  }, [urlKey, view, defaultPageSize]);
+
+  // Back and forward restore the view of that history entry
+  useEffect(() => {
+    const handlePopState = () => setView(readTableView(urlKey, columns, defaultPageSize));
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [urlKey, columns, defaultPageSize]);
+
+  const matchingRows = useMemo(() => sortRows(
+    rows.filter(row => matchesQuery(row, columns, view.query) && matchesFilters(row, columns, view.filters)),
+    view.sort,
+    columns
+  ), [rows, columns, view.query, view.filters, view.sort]);
+
+  const pageCount = Math.max(1, Math.ceil(matchingRows.length / view.pageSize));
+  const page = Math.min(view.page, pageCount);
+  const shownRows = mode === 'infinite'
+    ? matchingRows.slice(0, visibleCount)
+    : matchingRows.slice((page - 1) * view.pageSize, page * view.pageSize);
+  const hasMore = mode === 'infinite' && visibleCount < matchingRows.length;
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!hasMore || !sentinel || typeof IntersectionObserver === 'undefined') return undefined;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        setVisibleCount(count => count + view.pageSize);
+      }
+    });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, view.pageSize, visibleCount]);
+
+  // Click sorts by one column (ascending, descending, off);
+  // Shift+click adds the column to the current sort instead
+  const toggleSort = (key, addToSort) => {
+    const current = view.sort.find(entry => entry.key === key);
+    const next = !current
+      ? { key, direction: 'asc' }
+      : current.direction === 'asc' ? { key, direction: 'desc' } : null;
+
+    if (!addToSort) {
+      updateView({ sort: next ? [next] : [] });
+    } else if (current) {
+      updateView({ sort: view.sort.flatMap(entry => (entry.key !== key ? [entry] : next ? [next] : [])) });
+    } else {
+      updateView({ sort: [...view.sort, next] });
+    }
+  };
+
+  const toggleFilter = (key, value) => {
+    const values = view.filters[key] ?? [];
+    const nextValues = values.includes(value) ? values.filter(item => item !== value) : [...values, value];
+    const filters = { ...view.filters, [key]: nextValues };
+    if (nextValues.length === 0) delete filters[key];
+    updateView({ filters });
+  };
+
+  // The header checkbox selects every matching row, not only the shown page
+  const matchingIds = matchingRows.map(getRowId);
+  const selectedMatching = matchingIds.filter(id => selected.has(id)).length;
+  const allSelected = matchingIds.length > 0 && selectedMatching === matchingIds.length;
+
+  const toggleRow = (id) => {
+    setSelected(current => {
+      const next = new Set(current);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  const toggleAll = () => {
+    setSelected(current => {
+      const next = new Set(current);
+      matchingIds.forEach(id => (allSelected ? next.delete(id) : next.add(id)));
+      return next;
+    });
+  };
+
+  // Exports the selected rows, or every matching row when nothing is selected
+  const exportRows = selected.size > 0
+    ? sortRows(rows.filter(row => selected.has(getRowId(row))), view.sort, columns)
+    : matchingRows;
+
+  const facetColumns = columns.filter(column => column.facet);
+  const hasFilters = view.query !== '' || Object.keys(view.filters).length > 0;
+  const sortIndex = (key) => view.sort.findIndex(entry => entry.key === key);
+  const cellStyle = { padding: '6px 10px', borderBottom: '1px solid #ddd', textAlign: 'left' };
 
   return (
     <div>
-      <h2>Conditional List Rendering</h2>
-      <div>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '20px', marginBottom: '10px' }}>
         <label>
-          <input
-            type="checkbox"
-            checked={showOnlyInStock}
-            onChange={(e) => setShowOnlyInStock(e.target.checked)}
-          />
-          Show only in stock
+          Search:{' '}
+          <input type="search" value={view.query} onChange={(e) => updateView({ query: e.target.value })} />
         </label>
+
+        {facetColumns.map(column => (
+          <fieldset key={column.key} style={{ border: 'none', padding: 0, margin: 0 }}>
+            <legend style={{ fontWeight: 'bold' }}>{column.header}</legend>
+            {getFacetOptions(rows, columns, column, view.query, view.filters).map(({ value, count }) => (
+              <label key={value} style={{ display: 'block', color: count === 0 ? '#999' : 'inherit' }}>
+                <input
+                  type="checkbox"
+                  checked={(view.filters[column.key] ?? []).includes(value)}
+                  onChange={() => toggleFilter(column.key, value)}
+                />
+                {value} ({count})
+              </label>
+            ))}
+          </fieldset>
+        ))}
       </div>
-      <div>
-        <label>
-          Category:
-          <select value={selectedCategory} onChange={(e) => setSelectedCategory(e.target.value)}>
-            <option value="all">All</option>
-            <option value="fruit">Fruit</option>
-            <option value="vegetable">Vegetable</option>
-          </select>
-        </label>
+
+      <div style={{ display: 'flex', gap: '10px', alignItems: 'center', marginBottom: '10px' }}>
+        <span>{matchingRows.length} of {rows.length} rows</span>
+        {hasFilters && <button onClick={() => updateView({ query: '', filters: {} })}>Clear filters</button>}
+        {selected.size > 0 && (
+          <>
+            <span>{selected.size} selected</span>
+            <button onClick={() => setSelected(new Set())}>Clear selection</button>
+          </>
+        )}
+        <button onClick={() => downloadCsv(exportFilename, toCsv(columns, exportRows))} disabled={exportRows.length === 0}>
+          Export {exportRows.length} {exportRows.length === 1 ? 'row' : 'rows'} as CSV
+        </button>
       </div>
-      
-      {filteredItems.length > 0 ? (
-        <ul>
-          {filteredItems.map(item => (
-            <li key={item.id}>
-              {item.name} ({item.category})
-              {item.inStock ? ' ✅' : ' ❌'}
-            </li>
-          ))}
-        </ul>
-      ) : (
+
+      {matchingRows.length === 0 ? (
         <p>No items match the current filters.</p>
+      ) : (
+        <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+          {caption && <caption style={{ textAlign: 'left', fontWeight: 'bold' }}>{caption}</caption>}
+          <thead>
+            <tr>
+              <th style={cellStyle}>
+                <input
+                  type="checkbox"
+                  aria-label="Select all matching rows"
+                  checked={allSelected}
+                  ref={(el) => {
+                    if (el) el.indeterminate = selectedMatching > 0 && !allSelected;
+                  }}
+                  onChange={toggleAll}
+                />
+              </th>
+              {columns.map(column => {
+                const index = sortIndex(column.key);
+                const entry = view.sort[index];
+                return (
+                  <th
+                    key={column.key}
+                    style={cellStyle}
+                    aria-sort={index === 0 ? (entry.direction === 'asc' ? 'ascending' : 'descending') : undefined}
+                  >
+                    {column.sortable === false ? column.header : (
+                      <button
+                        onClick={(e) => toggleSort(column.key, e.shiftKey)}
+                        style={{ border: 'none', background: 'none', font: 'inherit', cursor: 'pointer', padding: 0 }}
+                      >
+                        {column.header}
+                        {entry && ` ${entry.direction === 'asc' ? '▲' : '▼'}`}
+                        {entry && view.sort.length > 1 && <sup>{index + 1}</sup>}
+                      </button>
+                    )}
+                  </th>
+                );
+              })}
+            </tr>
+          </thead>
+          <tbody>
+            {shownRows.map(row => {
+              const id = getRowId(row);
+              return (
+                <tr key={id} style={{ backgroundColor: selected.has(id) ? '#e7f1ff' : 'transparent' }}>
+                  <td style={cellStyle}>
+                    <input
+                      type="checkbox"
+                      aria-label={`Select row ${id}`}
+                      checked={selected.has(id)}
+                      onChange={() => toggleRow(id)}
+                    />
+                  </td>
+                  {columns.map(column => {
+                    // Only searchable columns can contain a match
+                    const highlight = (text) => (column.searchable === false ? text : <Highlight text={text} query={view.query} />);
+                    return (
+                      <td key={column.key} style={cellStyle}>
+                        {column.render ? column.render(row, { highlight }) : highlight(getCellText(column, row))}
+                      </td>
+                    );
+                  })}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      {mode === 'pages' && matchingRows.length > 0 && (
+        <div style={{ display: 'flex', gap: '10px', alignItems: 'center', marginTop: '10px' }}>
+          <button onClick={() => setView(current => ({ ...current, page: page - 1 }))} disabled={page === 1}>
+            Previous
+          </button>
+          <span>Page {page} of {pageCount}</span>
+          <button onClick={() => setView(current => ({ ...current, page: page + 1 }))} disabled={page === pageCount}>
+            Next
+          </button>
+          <label>
+            Rows per page:{' '}
+            <select value={view.pageSize} onChange={(e) => updateView({ pageSize: Number(e.target.value) })}>
+              {[...new Set([...PAGE_SIZES, defaultPageSize])].sort((a, b) => a - b).map(size => (
+                <option key={size} value={size}>{size}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      )}
+
+      {hasMore && (
+        <div ref={sentinelRef} style={{ marginTop: '10px' }}>
+          <button onClick={() => setVisibleCount(count => count + view.pageSize)}>
+            Show more ({matchingRows.length - visibleCount} left)
+          </button>
+        </div>
       )}
     </div>
   );
 }
 
-// Error Boundaries (Simplified)
-function ErrorBoundary({ children }) {
-  const [hasError, setHasError] = useState(false);
+// List with Conditional Items
+const products = [
+  { id: 1, name: 'Apple', category: 'fruit', price: 0.5, inStock: true },
+  { id: 2, name: 'Carrot', category: 'vegetable', price: 0.3, inStock: false },
+  { id: 3, name: 'Banana', category: 'fruit', price: 0.25, inStock: true },
+  { id: 4, name: 'Broccoli', category: 'vegetable', price: 1.2, inStock: true },
+  { id: 5, name: 'Cherry', category: 'fruit', price: 4, inStock: false },
+  { id: 6, name: 'Spinach', category: 'vegetable', price: 2.1, inStock: true },
+  { id: 7, name: 'Milk', category: 'dairy', price: 1.1, inStock: true },
+  { id: 8, name: 'Cheddar', category: 'dairy', price: 3.5, inStock: true },
+  { id: 9, name: 'Yogurt', category: 'dairy', price: 0.9, inStock: false },
+  { id: 10, name: 'Sourdough', category: 'bakery', price: 3.2, inStock: true },
+  { id: 11, name: 'Bagel', category: 'bakery', price: 0.8, inStock: true },
+  { id: 12, name: 'Croissant', category: 'bakery', price: 1.5, inStock: false },
+  { id: 13, name: 'Mango', category: 'fruit', price: 1.8, inStock: true },
+  { id: 14, name: 'Pear', category: 'fruit', price: 0.6, inStock: true },
+  { id: 15, name: 'Potato', category: 'vegetable', price: 0.2, inStock: true },
+  { id: 16, name: 'Butter', category: 'dairy', price: 2.4, inStock: true },
+  { id: 17, name: 'Baguette', category: 'bakery', price: 1.3, inStock: true },
+  { id: 18, name: 'Pineapple', category: 'fruit', price: 2.9, inStock: false }
+];
+
+const productColumns = [
+  { key: 'name', header: 'Name' },
+  { key: 'category', header: 'Category', facet: true },
+  { key: 'price', header: 'Price', format: (price) => `$${price.toFixed(2)}`, searchable: false },
+  {
+    key: 'inStock',
+    header: 'Stock',
+    facet: true,
+    searchable: false,
+    format: (inStock) => (inStock ? 'In stock' : 'Out of stock'),
+    render: (row, { highlight }) => <>{row.inStock ? '✅ ' : '❌ '}{highlight(row.inStock ? 'In stock' : 'Out of stock')}</>
+  }
+];
+
+function ConditionalList() {
+  const [mode, setMode] = useState('pages');
+
+  return (
+    <div>
+      <h2>Conditional List Rendering</h2>
+      <p>
+        Shift+click a column header to sort by more than one column.
+        The search, sort and filters are kept in the URL, so the view can be bookmarked.
+      </p>
+      <label>
+        Show rows:{' '}
+        <select value={mode} onChange={(e) => setMode(e.target.value)}>
+          <option value="pages">Page by page</option>
+          <option value="infinite">Infinite scroll</option>
+        </select>
+      </label>
+      <DataTable
+        key={mode}
+        caption="Products"
+        columns={productColumns}
+        rows={products}
+        urlKey="products"
+        mode={mode}
+        pageSize={5}
+      />
+    </div>
+  );
+}
+
+// Error Reporting
+// Errors are queued and sent together, so a component that fails on every
+// render causes one request instead of hundreds.
+// Start the stand-in endpoint with `node 07-error-log-server.mjs`.
+const ERROR_LOG_URL = 'http://localhost:4001/errors';
+
+function createErrorReporter({ send, flushInterval = 2000, maxBatchSize = 10 }) {
+  let queue = [];
+  let timer = null;
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (queue.length === 0) return Promise.resolve();
+
+    const batch = queue;
+    queue = [];
+    return Promise.resolve()
+      .then(() => send(batch))
+      .catch(error => console.warn('Could not send the error report.', error));
+  };
+
+  // Send what is left when the page is closed
+  if (typeof window !== 'undefined') {
+    window.addEventListener('pagehide', flush);
+  }
+
+  return {
+    report(error, { componentStack = '', source = 'render' } = {}) {
+      queue.push({
+        name: error?.name ?? 'Error',
+        message: error?.message ?? String(error),
+        stack: error?.stack ?? '',
+        componentStack,
+        source,
+        url: typeof window !== 'undefined' ? window.location.href : '',
+        time: new Date().toISOString()
+      });
+
+      if (queue.length >= maxBatchSize) {
+        flush();
+      } else if (!timer) {
+        timer = setTimeout(flush, flushInterval);
+      }
+    },
+    flush
+  };
+}
+
+// keepalive lets the last request finish while the page unloads.
+// fetch only rejects on network errors, so a 4xx/5xx reply is turned into one.
+const sendToLogServer = (batch) =>
+  fetch(ERROR_LOG_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ errors: batch }),
+    keepalive: true
+  }).then(response => {
+    if (!response.ok) {
+      throw new Error(`The log server answered ${response.status} ${response.statusText}`);
+    }
+  });
+
+const errorReporter = createErrorReporter({ send: sendToLogServer });
+
+// Boundaries report to the nearest provider; without one, errors only go to the console
+const ErrorReporterContext = createContext({
+  report: (error) => console.error('Caught by ErrorBoundary:', error)
+});
+
+// Error Boundaries
+// Only class components can be error boundaries: there is no hook for
+// getDerivedStateFromError or componentDidCatch.
+function ErrorFallback({ error, resetErrorBoundary }) {
+  return (
+    <div role="alert" style={{ color: 'red' }}>
+      <p>Something went wrong!</p>
+      <pre style={{ whiteSpace: 'pre-wrap' }}>{error.message}</pre>
+      <button onClick={resetErrorBoundary}>Try again</button>
+    </div>
+  );
+}
+
+const haveKeysChanged = (prevKeys = [], nextKeys = []) =>
+  prevKeys.length !== nextKeys.length || prevKeys.some((key, index) => !Object.is(key, nextKeys[index]));
+
+class ErrorBoundary extends React.Component {
+  static contextType = ErrorReporterContext;
+
+  constructor(props) {
+    super(props);
+    // resetCount is the key of the children, so a reset remounts them with fresh state
+    this.state = {
+      error: null,
+      resetCount: 0
+    };
+  }
+
+  // Called during rendering: return the state that shows the fallback
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  // Called after the fallback is shown: the place for side effects like reporting
+  componentDidCatch(error, info) {
+    this.context.report(error, { componentStack: info.componentStack, source: getErrorSource(error) });
+    this.props.onError?.(error, info);
+  }
+
+  // Changing one of the resetKeys (e.g. the selected page) clears the error.
+  // prevState.error excludes the update in which the error was caught.
+  componentDidUpdate(prevProps, prevState) {
+    if (this.state.error && prevState.error && haveKeysChanged(prevProps.resetKeys, this.props.resetKeys)) {
+      this.resetErrorBoundary();
+    }
+  }
+
+  resetErrorBoundary = () => {
+    this.props.onReset?.();
+    this.setState(prevState => ({
+      error: null,
+      resetCount: prevState.resetCount + 1
+    }));
+  };
+
+  render() {
+    const { FallbackComponent = ErrorFallback, children } = this.props;
+
+    if (this.state.error) {
+      return <FallbackComponent error={this.state.error} resetErrorBoundary={this.resetErrorBoundary} />;
+    }
+
+    return <React.Fragment key={this.state.resetCount}>{children}</React.Fragment>;
+  }
+}
+
+// Where an error came from, for errors that reached the boundary through
+// useErrorHandler; everything else was thrown while rendering
+const errorSources = new WeakMap();
+const getErrorSource = (error) => (error !== null && typeof error === 'object' && errorSources.get(error)) || 'render';
 
-  if (hasError) {
-    return <div style={{ color: 'red' }}>Something went wrong!</div>;
+// Error boundaries only catch errors thrown while rendering. Errors in event
+// handlers and promises are passed to the function this hook returns, which
+// throws them again during the next render, so the nearest boundary catches them.
+// The second argument names the source for the error report.
+function useErrorHandler() {
+  const [error, setError] = useState(null);
+
+  if (error) {
+    throw error;
   }
 
-  return children;
+  return (nextError, source = 'outside render') => {
+    if (nextError !== null && typeof nextError === 'object') {
+      errorSources.set(nextError, source);
+    }
+    setError(nextError);
+  };
 }
 
-function ErrorProneComponent() {
+function ErrorProneComponent({ section }) {
   const [shouldError, setShouldError] = useState(false);
+  const [clicks, setClicks] = useState(0);
+  const handleError = useErrorHandler();
 
   if (shouldError) {
     throw new Error('This is a test error');
   }
 
+  const failInHandler = () => {
+    try {
+      JSON.parse('{ not valid json');
+    } catch (error) {
+      handleError(error, 'event handler');
+    }
+  };
+
+  const failInRequest = () => {
+    new Promise((resolve, reject) => {
+      setTimeout(() => reject(new Error(`Could not load the ${section} data`)), 500);
+    }).catch(error => handleError(error, 'promise'));
+  };
+
   return (
     <div>
-      <h2>Error Handling</h2>
+      <h3>{section === 'profile' ? 'Profile' : 'Settings'}</h3>
+      <p>Clicks since the last reset: {clicks}</p>
+      <button onClick={() => setClicks(clicks + 1)}>Click me</button>
       <button onClick={() => setShouldError(true)}>
         Trigger Error
       </button>
+      <button onClick={failInHandler}>Fail in event handler</button>
+      <button onClick={failInRequest}>Fail in async request</button>
+    </div>
+  );
+}
+
+function ErrorHandlingExample() {
+  const [section, setSection] = useState('profile');
+  const [resets, setResets] = useState(0);
+
+  return (
+    <div>
+      <h2>Error Handling</h2>
+      <p>Switching the section resets the boundary, as does "Try again".</p>
+      <button onClick={() => setSection('profile')} disabled={section === 'profile'}>Profile</button>
+      <button onClick={() => setSection('settings')} disabled={section === 'settings'}>Settings</button>
+
+      <ErrorBoundary resetKeys={[section]} onReset={() => setResets(count => count + 1)}>
+        <ErrorProneComponent section={section} />
+      </ErrorBoundary>
+      {resets > 0 && <p>The boundary has been reset {resets} {resets === 1 ? 'time' : 'times'}.</p>}
     </div>
   );
 }
@@ -246,9 +866,9 @@ function App() {
       </div>
       
       <div style={{ marginBottom: '30px', border: '1px solid #ccc', padding: '15px' }}>
-        <ErrorBoundary>
-          <ErrorProneComponent />
-        </ErrorBoundary>
+        <ErrorReporterContext.Provider value={errorReporter}>
+          <ErrorHandlingExample />
+        </ErrorReporterContext.Provider>
       </div>
       
       <div style={{ marginBottom: '30px', border: '1px solid #ccc', padding: '15px' }}>
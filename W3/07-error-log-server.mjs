@@ -0,0 +1,49 @@
+// Stand-in logging endpoint for the error reporter in 07-conditional-rendering-example.jsx.
+//
+//   node 07-error-log-server.mjs    → http://localhost:4001/errors
+//
+// Every batch is printed to the terminal: POST { errors: [{ name, message, ... }] }
+import { createDevServer, readJson, sendJson } from './dev-server.mjs';
+
+const PORT = Number(process.env.PORT) || 4001;
+
+function printBatch(errors) {
+  console.log(`\n${new Date().toLocaleTimeString()} received ${errors.length} error(s)`);
+  errors.forEach(({ name, message, source, url, componentStack }) => {
+    console.log(`  [${source}] ${name}: ${message}`);
+    console.log(`    at ${url}`);
+    // The first component in the stack is the one that threw
+    const component = String(componentStack ?? '').trim().split('\n')[0];
+    if (component) console.log(`    ${component.trim()}`);
+  });
+}
+
+const server = createDevServer(async (req, res) => {
+  if (req.url !== '/errors') {
+    sendJson(res, 404, { error: 'Not found' });
+    return;
+  }
+  if (req.method !== 'POST') {
+    sendJson(res, 405, { error: 'Use POST to send errors' });
+    return;
+  }
+
+  let errors;
+  try {
+    ({ errors } = await readJson(req));
+  } catch (error) {
+    sendJson(res, error.status ?? 400, { error: error.message });
+    return;
+  }
+  if (!Array.isArray(errors)) {
+    sendJson(res, 400, { error: 'Expected { errors: [...] }' });
+    return;
+  }
+
+  printBatch(errors);
+  sendJson(res, 200, { received: errors.length });
+});
+
+server.listen(PORT, () => {
+  console.log(`Error log server listening on http://localhost:${PORT}/errors`);
+});
@@ -1,49 +1,394 @@
-import React from 'react';
+import React, { forwardRef, useId, useImperativeHandle, useLayoutEffect, useMemo, useRef, useState } from 'react';
+
+// Virtualized List
+// Mapping 10,000 items into the DOM creates 10,000 elements, and scrolling
+// gets slow. VirtualList only renders the rows inside the visible window
+// (plus a few extra, the "overscan") and positions them absolutely inside a
+// spacer that is as tall as the whole list.
+//
+// Row heights:
+//   itemHeight={32}              every row is 32px (fastest, nothing to measure)
+//   estimatedItemHeight={60}     rows are measured after they render; the
+//                                estimate is used until then
+//
+// Sticky group headers: pass groupBy={(item) => item.project}. Items must be
+// sorted by group. The header of the group at the top stays visible.
+//
+// getKey and groupBy are best defined outside the component: a new function
+// on every render makes the list rebuild its rows on every scroll.
+//
+// Keyboard: focus the list, then use ↑ ↓ Page Up, Page Down, Home, End, and
+// Enter to select. A ref exposes scrollToIndex(index, align).
+
+// Index of the last row that starts at or before `position`
+function findRowAt(offsets, position) {
+  let low = 0;
+  let high = offsets.length - 2;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (offsets[middle] <= position) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return low;
+}
+
+// Reports its height after every render and whenever its content resizes
+function MeasuredRow({ rowKey, rowIndex, onResize, style, children, ...props }) {
+  const ref = useRef(null);
+  const report = useRef(null);
+  report.current = () => onResize(rowKey, rowIndex, ref.current.offsetHeight);
+
+  useLayoutEffect(() => {
+    report.current();
+  });
+
+  useLayoutEffect(() => {
+    if (typeof ResizeObserver === 'undefined') return undefined;
+    const observer = new ResizeObserver(() => report.current());
+    observer.observe(ref.current);
+    return () => observer.disconnect();
+  }, []);
+
+  return <div ref={ref} style={style} {...props}>{children}</div>;
+}
+
+// Default getKey, defined once so it stays the same between renders
+const getIndexKey = (item, index) => index;
+
+const VirtualList = forwardRef(function VirtualList({
+  items,
+  renderItem,
+  getKey = getIndexKey,
+  height = 300,
+  itemHeight,
+  estimatedItemHeight = 40,
+  overscan = 3,
+  groupBy,
+  renderGroupHeader = (group) => group,
+  groupHeaderHeight = 28,
+  onSelect,
+  label
+}, ref) {
+  const id = useId();
+  const containerRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  // Measured heights by row key; measureVersion re-renders after new measurements
+  const sizes = useRef(new Map());
+  const [measureVersion, setMeasureVersion] = useState(0);
+  const isMeasured = itemHeight === undefined;
+
+  // Group headers become rows of their own
+  const rows = useMemo(() => {
+    const result = [];
+    items.forEach((item, index) => {
+      const group = groupBy?.(item);
+      if (groupBy && (index === 0 || group !== groupBy(items[index - 1]))) {
+        result.push({ type: 'header', group, key: `group:${group}` });
+      }
+      result.push({ type: 'item', item, index, group, key: getKey(item, index) });
+    });
+    return result;
+  }, [items, groupBy, getKey]);
+
+  // Row index of every item, for keyboard navigation and scrollToIndex
+  const rowOfItem = useMemo(() => {
+    const result = [];
+    rows.forEach((row, rowIndex) => {
+      if (row.type === 'item') result[row.index] = rowIndex;
+    });
+    return result;
+  }, [rows]);
+
+  // offsets[i] is where row i starts; offsets[rows.length] is the total height
+  const offsets = useMemo(() => {
+    const result = new Float64Array(rows.length + 1);
+    rows.forEach((row, rowIndex) => {
+      const size = row.type === 'header'
+        ? groupHeaderHeight
+        : isMeasured ? sizes.current.get(row.key) ?? estimatedItemHeight : itemHeight;
+      result[rowIndex + 1] = result[rowIndex] + size;
+    });
+    return result;
+  }, [rows, isMeasured, itemHeight, estimatedItemHeight, groupHeaderHeight, measureVersion]);
+
+  const offsetsRef = useRef(offsets);
+  offsetsRef.current = offsets;
+
+  const totalHeight = offsets[rows.length];
+  const viewportHeight = Math.min(height, totalHeight);
+  const stickyHeight = groupBy ? groupHeaderHeight : 0;
+
+  const firstVisible = rows.length ? findRowAt(offsets, scrollTop) : 0;
+  const lastVisible = rows.length ? findRowAt(offsets, scrollTop + viewportHeight) : -1;
+  const start = Math.max(0, firstVisible - overscan);
+  const end = Math.min(rows.length - 1, lastVisible + overscan);
+
+  const handleResize = (key, rowIndex, size) => {
+    const previous = sizes.current.get(key) ?? estimatedItemHeight;
+    // 0 means the row is not laid out (e.g. a hidden tab); keep the estimate
+    if (size === 0 || size === previous) return;
+    sizes.current.set(key, size);
+
+    // A row above the viewport changed size: move the scroll position with
+    // it, so the rows the user is looking at don't jump
+    const container = containerRef.current;
+    if (container && offsetsRef.current[rowIndex] < container.scrollTop) {
+      container.scrollTop += size - previous;
+    }
+    setMeasureVersion(version => version + 1);
+  };
+
+  const scrollToIndex = (index, align = 'auto') => {
+    const container = containerRef.current;
+    const rowIndex = rowOfItem[index];
+    if (!container || rowIndex === undefined) return;
+
+    const top = offsetsRef.current[rowIndex];
+    const bottom = offsetsRef.current[rowIndex + 1];
+    const current = container.scrollTop;
+    let next = current;
+
+    if (align === 'start') {
+      next = top - stickyHeight;
+    } else if (align === 'end') {
+      next = bottom - viewportHeight;
+    } else if (align === 'center') {
+      next = top - (viewportHeight - (bottom - top)) / 2;
+    } else if (top - stickyHeight < current) {
+      next = top - stickyHeight;
+    } else if (bottom > current + viewportHeight) {
+      next = bottom - viewportHeight;
+    }
+
+    container.scrollTop = Math.max(0, Math.min(next, totalHeight - viewportHeight));
+    setScrollTop(container.scrollTop);
+  };
+
+  useImperativeHandle(ref, () => ({ scrollToIndex }));
+
+  const moveTo = (index) => {
+    const next = Math.max(0, Math.min(items.length - 1, index));
+    setActiveIndex(next);
+    scrollToIndex(next);
+  };
+
+  const handleKeyDown = (e) => {
+    const pageSize = Math.max(1, Math.floor(viewportHeight / (itemHeight ?? estimatedItemHeight)));
+    // Nothing active yet: the first key press picks the first visible item,
+    // not item 0, which may be thousands of rows away
+    const firstRow = rows[firstVisible]?.type === 'header' ? rows[firstVisible + 1] : rows[firstVisible];
+    if (activeIndex === -1 && ['ArrowDown', 'ArrowUp', 'PageDown', 'PageUp'].includes(e.key) && firstRow) {
+      e.preventDefault();
+      moveTo(firstRow.index);
+      return;
+    }
+
+    const keys = {
+      ArrowDown: () => moveTo(activeIndex + 1),
+      ArrowUp: () => moveTo(activeIndex - 1),
+      PageDown: () => moveTo(activeIndex + pageSize),
+      PageUp: () => moveTo(activeIndex - pageSize),
+      Home: () => moveTo(0),
+      End: () => moveTo(items.length - 1),
+      Enter: () => activeIndex !== -1 && onSelect?.(items[activeIndex], activeIndex)
+    };
+    if (keys[e.key] && items.length > 0) {
+      e.preventDefault();
+      keys[e.key]();
+    }
+  };
+
+  const optionId = (index) => `${id}-option-${index}`;
+  const stickyRow = rows[firstVisible];
+
+  const visibleRows = [];
+  for (let rowIndex = start; rowIndex <= end; rowIndex++) {
+    const row = rows[rowIndex];
+    const style = {
+      position: 'absolute',
+      top: offsets[rowIndex],
+      left: 0,
+      right: 0,
+      height: row.type === 'header' ? groupHeaderHeight : itemHeight
+    };
+
+    if (row.type === 'header') {
+      visibleRows.push(
+        <div key={row.key} role="presentation" style={{ ...style, ...headerStyle }}>
+          {renderGroupHeader(row.group)}
+        </div>
+      );
+      continue;
+    }
+
+    const isActive = row.index === activeIndex;
+    const rowProps = {
+      id: optionId(row.index),
+      role: 'option',
+      'aria-selected': isActive,
+      // Screen readers can't count the rows that are not rendered
+      'aria-setsize': items.length,
+      'aria-posinset': row.index + 1,
+      onClick: () => {
+        setActiveIndex(row.index);
+        onSelect?.(row.item, row.index);
+      },
+      style: { ...style, backgroundColor: isActive ? '#e7f1ff' : 'transparent', boxSizing: 'border-box' }
+    };
+    const content = renderItem(row.item, row.index, { isActive });
+
+    visibleRows.push(isMeasured
+      ? <MeasuredRow key={row.key} rowKey={row.key} rowIndex={rowIndex} onResize={handleResize} {...rowProps}>{content}</MeasuredRow>
+      : <div key={row.key} {...rowProps}>{content}</div>
+    );
+  }
+
+  return (
+    <div
+      ref={containerRef}
+      role="listbox"
+      aria-label={label}
+      aria-activedescendant={activeIndex !== -1 ? optionId(activeIndex) : undefined}
+      tabIndex={0}
+      onKeyDown={handleKeyDown}
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      style={{ height: viewportHeight, overflowY: 'auto', position: 'relative', border: '1px solid #ccc', borderRadius: '4px' }}
+    >
+      {groupBy && stickyRow && (
+        <div
+          aria-hidden="true"
+          style={{ ...headerStyle, position: 'sticky', top: 0, zIndex: 1, height: groupHeaderHeight }}
+        >
+          {renderGroupHeader(stickyRow.group)}
+        </div>
+      )}
+      <div style={{ position: 'relative', height: totalHeight, marginTop: -stickyHeight }}>
+        {visibleRows}
+      </div>
+    </div>
+  );
+});
+
+const headerStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  padding: '0 10px',
+  backgroundColor: '#f1f3f5',
+  fontWeight: 'bold',
+  boxSizing: 'border-box'
+};
 
 // Basic List Rendering
+// 10,000 rows of the same height
+const numbers = Array.from({ length: 10000 }, (_, index) => index + 1);
+const getNumberKey = (number) => number.toString();
+
 function NumberList() {
-  const numbers = [1, 2, 3, 4, 5];
+  const listRef = useRef(null);
+  const [target, setTarget] = useState('');
+
+  const scrollToNumber = (e) => {
+    e.preventDefault();
+    listRef.current.scrollToIndex(Number(target) - 1, 'start');
+  };
+
   return (
-    <ul>
-      {numbers.map((number) =>
-        <li key={number.toString()}>
-          {number}
-        </li>
-      )}
-    </ul>
+    <div>
+      <form onSubmit={scrollToNumber} style={{ marginBottom: '10px' }}>
+        <input
+          type="number"
+          min="1"
+          max={numbers.length}
+          value={target}
+          onChange={(e) => setTarget(e.target.value)}
+          placeholder="Number"
+          aria-label="Number to scroll to"
+        />
+        <button type="submit">Scroll to</button>
+      </form>
+      <VirtualList
+        ref={listRef}
+        label="Numbers"
+        items={numbers}
+        getKey={getNumberKey}
+        itemHeight={32}
+        renderItem={(number) => <div style={{ padding: '6px 10px' }}>{number}</div>}
+      />
+    </div>
   );
 }
 
 // List with Objects
+// Todos with texts of different lengths, so the row heights are measured.
+// They are sorted by project, which gives the sticky group headers.
+const PROJECTS = ['Learning', 'Portfolio', 'Work'];
+const TASKS = [
+  'Learn React',
+  'Build a project',
+  'Deploy to production',
+  'Write tests for the list components and check how they behave with thousands of rows',
+  'Read the docs',
+  'Refactor the form example so that every field uses the same validation helpers and error messages'
+];
+
+const todos = Array.from({ length: 10000 }, (_, index) => ({
+  id: index + 1,
+  project: PROJECTS[Math.floor(index * PROJECTS.length / 10000)],
+  text: `${TASKS[index % TASKS.length]} #${index + 1}`,
+  completed: index % 3 === 0
+}));
+
+const todosPerProject = todos.reduce((counts, todo) => ({ ...counts, [todo.project]: (counts[todo.project] ?? 0) + 1 }), {});
+const getTodoKey = (todo) => todo.id;
+const getTodoProject = (todo) => todo.project;
+
 function TodoList() {
-  const todos = [
-    { id: 1, text: 'Learn React', completed: false },
-    { id: 2, text: 'Build a project', completed: false },
-    { id: 3, text: 'Deploy to production', completed: true }
-  ];
+  const [selected, setSelected] = useState(null);
 
   return (
-    <ul>
-      {todos.map((todo) =>
-        <li key={todo.id} style={{ textDecoration: todo.completed ? 'line-through' : 'none' }}>
-          {todo.text}
-        </li>
-      )}
-    </ul>
+    <div>
+      <p>{selected ? `Selected: ${selected.text}` : 'Press Enter or click to select a todo.'}</p>
+      <VirtualList
+        label="Todos"
+        items={todos}
+        getKey={getTodoKey}
+        estimatedItemHeight={36}
+        groupBy={getTodoProject}
+        renderGroupHeader={(project) => `${project} (${todosPerProject[project]})`}
+        onSelect={setSelected}
+        renderItem={(todo) => (
+          <div style={{ padding: '8px 10px', borderBottom: '1px solid #eee', textDecoration: todo.completed ? 'line-through' : 'none' }}>
+            {todo.text}
+          </div>
+        )}
+      />
+    </div>
   );
 }
 
 // Extracted Component with Keys
+// renderItem can return an extracted component; the key comes from getKey.
+// A short list is only as tall as its rows.
 function ListItem(props) {
-  return <li>{props.value}</li>;
+  return <div style={{ padding: '10px' }}>{props.value}</div>;
 }
 
+const extractedNumbers = [10, 20, 30, 40, 50];
+
 function ExtractedNumberList() {
-  const numbers = [10, 20, 30, 40, 50];
-  const listItems = numbers.map((number) =>
-    <ListItem key={number.toString()} value={number} />
+  return (
+    <VirtualList
+      label="Extracted numbers"
+      items={extractedNumbers}
+      getKey={getNumberKey}
+      itemHeight={40}
+      renderItem={(number) => <ListItem value={number} />}
+    />
   );
-  return <ul>{listItems}</ul>;
 }
 
 // App Component
@@ -61,4 +406,3 @@ function App() {
 }
 
 export default App;
-
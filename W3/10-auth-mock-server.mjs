@@ -0,0 +1,120 @@
+// Mock authentication API for the UserProvider in 10-data-sharing-example.jsx.
+//
+//   node 10-auth-mock-server.mjs              → http://localhost:4002
+//   node 10-auth-mock-server.mjs --ttl=15     → access tokens expire after 15 seconds
+//
+// Endpoints:
+//   POST /auth/login    { email, password }  → session
+//   POST /auth/refresh  { refreshToken }     → session (the refresh token is rotated)
+//   POST /auth/logout   { refreshToken }     → { ok: true }
+//   GET  /auth/me       Authorization: Bearer <accessToken> → user
+//
+// A session is { accessToken, expiresIn (seconds), refreshToken, user }.
+// Tokens are kept in memory, so restarting the server logs everyone out.
+import { randomBytes } from 'node:crypto';
+import { createDevServer, readJson, sendJson } from './dev-server.mjs';
+
+const PORT = Number(process.env.PORT) || 4002;
+const ttlArgument = process.argv.find(arg => arg.startsWith('--ttl='));
+const ACCESS_TOKEN_TTL = ttlArgument ? Number(ttlArgument.slice('--ttl='.length)) : 60;
+const REFRESH_TOKEN_TTL = 24 * 60 * 60;
+
+// The client refreshes at most a quarter of the lifetime early, so any
+// whole number of seconds works
+if (!Number.isInteger(ACCESS_TOKEN_TTL) || ACCESS_TOKEN_TTL < 1) {
+  console.error(`--ttl must be a whole number of seconds (1 or more), got ${ttlArgument.slice('--ttl='.length)}`);
+  process.exit(1);
+}
+
+// Every demo user has the password "password123"
+const USERS = [
+  { id: 1, name: 'Ada Lovelace', email: 'ada@example.com', roles: ['admin', 'user'], verified: true },
+  { id: 2, name: 'Sam Carter', email: 'sam@example.com', roles: ['user'], verified: true },
+  { id: 3, name: 'Lee Park', email: 'lee@example.com', roles: ['user'], verified: false }
+];
+const PASSWORD = 'password123';
+
+const accessTokens = new Map();
+const refreshTokens = new Map();
+
+function createSession(user) {
+  const accessToken = randomBytes(24).toString('hex');
+  const refreshToken = randomBytes(24).toString('hex');
+  const now = Date.now();
+
+  accessTokens.set(accessToken, { userId: user.id, expiresAt: now + ACCESS_TOKEN_TTL * 1000 });
+  refreshTokens.set(refreshToken, { userId: user.id, expiresAt: now + REFRESH_TOKEN_TTL * 1000 });
+  return { accessToken, expiresIn: ACCESS_TOKEN_TTL, refreshToken, user };
+}
+
+// Returns the entry if the token exists and has not expired
+function findToken(tokens, token) {
+  const entry = tokens.get(token);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    tokens.delete(token);
+    return null;
+  }
+  return entry;
+}
+
+const routes = {
+  'POST /auth/login': async (req, res) => {
+    const { email, password } = await readJson(req);
+    const user = USERS.find(candidate => candidate.email === String(email).trim().toLowerCase());
+    if (!user || password !== PASSWORD) {
+      sendJson(res, 401, { error: 'Wrong email or password' });
+      return;
+    }
+    console.log(`Login: ${user.email}`);
+    sendJson(res, 200, createSession(user));
+  },
+
+  'POST /auth/refresh': async (req, res) => {
+    const { refreshToken } = await readJson(req);
+    const entry = findToken(refreshTokens, refreshToken);
+    if (!entry) {
+      sendJson(res, 401, { error: 'The session has expired' });
+      return;
+    }
+    // Rotation: a refresh token works only once
+    refreshTokens.delete(refreshToken);
+    const user = USERS.find(candidate => candidate.id === entry.userId);
+    console.log(`Refresh: ${user.email}`);
+    sendJson(res, 200, createSession(user));
+  },
+
+  'POST /auth/logout': async (req, res) => {
+    const { refreshToken } = await readJson(req);
+    refreshTokens.delete(refreshToken);
+    sendJson(res, 200, { ok: true });
+  },
+
+  'GET /auth/me': async (req, res) => {
+    const token = String(req.headers.authorization ?? '').replace(/^Bearer /, '');
+    const entry = findToken(accessTokens, token);
+    if (!entry) {
+      sendJson(res, 401, { error: 'The access token is missing or has expired' });
+      return;
+    }
+    sendJson(res, 200, USERS.find(candidate => candidate.id === entry.userId));
+  }
+};
+
+const server = createDevServer(async (req, res) => {
+  const route = routes[`${req.method} ${req.url}`];
+  if (!route) {
+    sendJson(res, 404, { error: `No route for ${req.method} ${req.url}` });
+    return;
+  }
+
+  try {
+    await route(req, res);
+  } catch (error) {
+    sendJson(res, error.status ?? 400, { error: error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Auth mock server listening on http://localhost:${PORT} (access tokens live ${ACCESS_TOKEN_TTL}s)`);
+});
@@ -1,52 +1,280 @@
-import React, { createContext, useContext, useState, useReducer } from 'react';
+import React, { createContext, useContext, useState, useReducer, useEffect, useRef } from 'react';
+// ThemeProvider and useTheme come from the shared theme engine, which also
+// powers the Theme System in 12-styling-example.jsx
+import { ThemeProvider, useTheme } from './theme-engine';
 
 // Context API Example
-const ThemeContext = createContext();
 const UserContext = createContext();
 
-// Theme Provider Component
-function ThemeProvider({ children }) {
-  const [theme, setTheme] = useState('light');
+// Authentication API Client
+// Start the mock API with `node 10-auth-mock-server.mjs`.
+const AUTH_API_URL = 'http://localhost:4002';
 
-  const toggleTheme = () => {
-    setTheme(prevTheme => prevTheme === 'light' ? 'dark' : 'light');
+class ApiError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+function createAuthClient(baseUrl) {
+  const request = async (method, path, { body, token } = {}) => {
+    let response;
+    try {
+      response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: {
+          ...(body && { 'Content-Type': 'application/json' }),
+          ...(token && { Authorization: `Bearer ${token}` })
+        },
+        body: body && JSON.stringify(body)
+      });
+    } catch {
+      throw new ApiError('Could not reach the server. Is the mock API running?', 0);
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new ApiError(data.error ?? `Request failed with status ${response.status}`, response.status);
+    }
+    return data;
   };
 
-  return (
-    <ThemeContext.Provider value={{ theme, toggleTheme }}>
-      {children}
-    </ThemeContext.Provider>
-  );
+  return {
+    login: (credentials) => request('POST', '/auth/login', { body: credentials }),
+    refresh: (refreshToken) => request('POST', '/auth/refresh', { body: { refreshToken } }),
+    logout: (refreshToken) => request('POST', '/auth/logout', { body: { refreshToken } }),
+    me: (accessToken) => request('GET', '/auth/me', { token: accessToken })
+  };
+}
+
+const authClient = createAuthClient(AUTH_API_URL);
+
+// Session Storage
+// The session ({ accessToken, expiresAt, refreshToken, user }) is kept in
+// localStorage so a reload keeps the user logged in. Real apps keep the
+// refresh token in an httpOnly cookie, where page scripts can't read it.
+const SESSION_KEY = 'data-sharing-session';
+// Refresh this long before the access token expires, but never more than a
+// quarter of its lifetime: with short-lived tokens a fixed margin would ask
+// for a new token right after every refresh
+const REFRESH_MARGIN = 10 * 1000;
+// Wait before trying again when the server could not be reached
+const REFRESH_RETRY_DELAY = 5 * 1000;
+
+const toSession = ({ accessToken, expiresIn, refreshToken, user }) => ({
+  accessToken,
+  issuedAt: Date.now(),
+  expiresAt: Date.now() + expiresIn * 1000,
+  refreshToken,
+  user
+});
+
+const refreshMargin = (session) =>
+  session.issuedAt ? Math.min(REFRESH_MARGIN, (session.expiresAt - session.issuedAt) / 4) : REFRESH_MARGIN;
+
+const needsRefresh = (session) => session.expiresAt - refreshMargin(session) <= Date.now();
+
+function readSession() {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_KEY));
+    return session?.accessToken && session.refreshToken && session.user ? session : null;
+  } catch (error) {
+    console.warn('Could not read the saved session.', error);
+    return null;
+  }
+}
+
+// Writing null removes the session; the storage event logs out the other tabs
+function writeSession(session) {
+  try {
+    if (session) {
+      localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    } else {
+      localStorage.removeItem(SESSION_KEY);
+    }
+  } catch (error) {
+    console.warn('Could not save the session.', error);
+  }
+}
+
+// Refresh tokens work only once, so two tabs must not refresh at the same
+// time. The Web Locks API makes the second tab wait for the first one.
+const withRefreshLock = (callback) =>
+  typeof navigator !== 'undefined' && navigator.locks
+    ? navigator.locks.request('data-sharing-session-refresh', callback)
+    : callback();
+
+function initialAuthState() {
+  const session = readSession();
+  if (!session) {
+    return { session: null, status: 'idle', error: null };
+  }
+  // An expired access token is refreshed right after the first render
+  return { session, status: needsRefresh(session) ? 'authenticating' : 'authenticated', error: null };
 }
 
 // User Provider Component
-function UserProvider({ children }) {
-  const [user, setUser] = useState(null);
+// status: 'idle' (logged out), 'authenticating', 'authenticated' or 'expired'
+function UserProvider({ children, client = authClient }) {
+  const [auth, setAuth] = useState(initialAuthState);
+  // Callers share one refresh while it is running
+  const refreshPromise = useRef(null);
+  // Changes on every login and logout, so a refresh that was still running
+  // when the user logged out can't log them back in
+  const sessionGeneration = useRef(0);
+  const authRef = useRef(auth);
+  authRef.current = auth;
+
+  const refreshSession = (current) => {
+    if (!refreshPromise.current) {
+      const generation = sessionGeneration.current;
+      refreshPromise.current = withRefreshLock(async () => {
+        // Another tab may have refreshed while this one waited for the lock
+        const stored = readSession();
+        if (stored && stored.refreshToken !== current.refreshToken) {
+          return stored;
+        }
+        const next = toSession(await client.refresh(current.refreshToken));
+
+        // Logged out in this tab, or in another one (the saved session is
+        // gone), while the request was running: drop the new session
+        if (generation !== sessionGeneration.current || (stored && !readSession())) {
+          client.logout(next.refreshToken).catch(() => {});
+          return null;
+        }
+        writeSession(next);
+        return next;
+      })
+        .then(
+          (next) => {
+            if (!next) {
+              throw new ApiError('You are not logged in', 401);
+            }
+            setAuth({ session: next, status: 'authenticated', error: null });
+            return next;
+          },
+          (error) => {
+            if (generation !== sessionGeneration.current) throw error;
+            if (error.status === 401) {
+              // The server rejected the refresh token: the session is over
+              writeSession(null);
+              setAuth({ session: null, status: 'expired', error: 'Your session has expired. Please log in again.' });
+            } else {
+              // Keep the session and try again later
+              setAuth({
+                session: current,
+                status: current.expiresAt > Date.now() ? 'authenticated' : 'expired',
+                error: error.message
+              });
+            }
+            throw error;
+          }
+        )
+        .finally(() => {
+          refreshPromise.current = null;
+        });
+    }
+    return refreshPromise.current;
+  };
 
-  const login = (userData) => {
-    setUser(userData);
+  // Restore: a saved session whose access token has expired is refreshed first
+  useEffect(() => {
+    if (authRef.current.status === 'authenticating' && authRef.current.session) {
+      refreshSession(authRef.current.session).catch(() => {});
+    }
+  }, []);
+
+  // Silent refresh shortly before the access token expires
+  useEffect(() => {
+    if (auth.status !== 'authenticated') return undefined;
+
+    const delay = Math.max(
+      auth.error ? REFRESH_RETRY_DELAY : 0,
+      auth.session.expiresAt - refreshMargin(auth.session) - Date.now()
+    );
+    const timer = setTimeout(() => {
+      refreshSession(auth.session).catch(() => {});
+    }, delay);
+    return () => clearTimeout(timer);
+  }, [auth]);
+
+  // Logins, refreshes and logouts in other tabs
+  useEffect(() => {
+    const handleStorage = (e) => {
+      if (e.key !== SESSION_KEY) return;
+      const session = readSession();
+      if (session) {
+        setAuth({ session, status: 'authenticated', error: null });
+      } else {
+        sessionGeneration.current += 1;
+        setAuth(prev => (prev.session ? { session: null, status: 'idle', error: null } : prev));
+      }
+    };
+
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
+  const login = async (credentials) => {
+    sessionGeneration.current += 1;
+    setAuth(prev => ({ ...prev, status: 'authenticating', error: null }));
+    try {
+      const session = toSession(await client.login(credentials));
+      writeSession(session);
+      setAuth({ session, status: 'authenticated', error: null });
+      return true;
+    } catch (error) {
+      setAuth({ session: null, status: 'idle', error: error.message });
+      return false;
+    }
   };
 
   const logout = () => {
-    setUser(null);
+    const { session } = authRef.current;
+    sessionGeneration.current += 1;
+    writeSession(null);
+    setAuth({ session: null, status: 'idle', error: null });
+    if (session) {
+      // Best effort: the user is logged out here even if the server can't be reached
+      client.logout(session.refreshToken).catch(() => {});
+    }
+  };
+
+  // A valid access token for API calls, refreshed first if it is about to expire
+  const getAccessToken = async () => {
+    const { session } = authRef.current;
+    if (!session) {
+      throw new ApiError('You are not logged in', 401);
+    }
+    return needsRefresh(session) ? (await refreshSession(session)).accessToken : session.accessToken;
   };
 
+  const user = auth.session?.user ?? null;
+  const roles = user?.roles ?? [];
+
   return (
-    <UserContext.Provider value={{ user, login, logout }}>
+    <UserContext.Provider
+      value={{
+        user,
+        status: auth.status,
+        error: auth.error,
+        roles,
+        hasRole: (role) => roles.includes(role),
+        expiresAt: auth.session?.expiresAt ?? null,
+        login,
+        logout,
+        getAccessToken,
+        client
+      }}
+    >
       {children}
     </UserContext.Provider>
   );
 }
 
 // Custom hooks for using context
-function useTheme() {
-  const context = useContext(ThemeContext);
-  if (!context) {
-    throw new Error('useTheme must be used within a ThemeProvider');
-  }
-  return context;
-}
-
 function useUser() {
   const context = useContext(UserContext);
   if (!context) {
@@ -57,59 +285,92 @@ function useUser() {
 
 // Components that use context
 function ThemeToggle() {
-  const { theme, toggleTheme } = useTheme();
+  const { theme, toggleTheme, mode, setMode, tokens } = useTheme();
 
   return (
-    <button 
-      onClick={toggleTheme}
-      style={{
-        backgroundColor: theme === 'light' ? '#fff' : '#333',
-        color: theme === 'light' ? '#333' : '#fff',
-        border: '1px solid #ccc',
-        padding: '10px'
-      }}
-    >
-      Switch to {theme === 'light' ? 'dark' : 'light'} theme
-    </button>
+    <div style={{ marginBottom: tokens.spacing.md }}>
+      <button 
+        onClick={toggleTheme}
+        style={{
+          backgroundColor: tokens.color.surface,
+          color: tokens.color.text,
+          border: `1px solid ${tokens.color.border}`,
+          borderRadius: tokens.radius.sm,
+          padding: tokens.spacing.sm
+        }}
+      >
+        Switch to {theme === 'dark' ? 'light' : 'dark'} theme
+      </button>
+      <label style={{ marginLeft: tokens.spacing.sm }}>
+        <input
+          type="checkbox"
+          checked={mode === 'system'}
+          onChange={(e) => setMode(e.target.checked ? 'system' : theme)}
+        />
+        Follow system setting
+      </label>
+    </div>
   );
 }
 
 function UserProfile() {
-  const { user, logout } = useUser();
+  const { user, status, error, roles, expiresAt, logout, getAccessToken, client } = useUser();
+  const [serverUser, setServerUser] = useState(null);
 
   if (!user) {
-    return <p>Please log in</p>;
+    if (status === 'authenticating') {
+      return <p>Signing in...</p>;
+    }
+    return <p>{status === 'expired' ? error : 'Please log in'}</p>;
   }
 
+  // Calls a protected endpoint with the (refreshed if needed) access token
+  const checkWithServer = async () => {
+    try {
+      const token = await getAccessToken();
+      const me = await client.me(token);
+      setServerUser(`The server knows you as ${me.name}`);
+    } catch (requestError) {
+      setServerUser(requestError.message);
+    }
+  };
+
   return (
     <div>
       <h3>Welcome, {user.name}!</h3>
       <p>Email: {user.email}</p>
+      <p>Roles: {roles.join(', ')}</p>
+      <p>
+        Access token valid until {new Date(expiresAt).toLocaleTimeString()}; it is refreshed automatically.
+      </p>
+      {error && <p style={{ color: 'red' }}>{error}</p>}
+      <button onClick={checkWithServer}>Ask the server who I am</button>
+      {serverUser && <p>{serverUser}</p>}
       <button onClick={logout}>Logout</button>
     </div>
   );
 }
 
 function LoginForm() {
-  const { login } = useUser();
-  const [formData, setFormData] = useState({ name: '', email: '' });
+  const { user, status, error, login } = useUser();
+  const [formData, setFormData] = useState({ email: '', password: '' });
+
+  if (user) {
+    return null;
+  }
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    login(formData);
-    setFormData({ name: '', email: '' });
+    if (await login(formData)) {
+      setFormData({ email: '', password: '' });
+    }
   };
 
+  const isAuthenticating = status === 'authenticating';
+
   return (
     <form onSubmit={handleSubmit}>
-      <div>
-        <input
-          type="text"
-          placeholder="Name"
-          value={formData.name}
-          onChange={(e) => setFormData({ ...formData, name: e.target.value })}
-        />
-      </div>
+      <p>Try ada@example.com (admin), sam@example.com or lee@example.com with the password "password123".</p>
       <div>
         <input
           type="email"
@@ -118,11 +379,37 @@ function LoginForm() {
           onChange={(e) => setFormData({ ...formData, email: e.target.value })}
         />
       </div>
-      <button type="submit">Login</button>
+      <div>
+        <input
+          type="password"
+          placeholder="Password"
+          value={formData.password}
+          onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+        />
+      </div>
+      {error && status !== 'expired' && <p style={{ color: 'red' }}>{error}</p>}
+      <button type="submit" disabled={isAuthenticating}>
+        {isAuthenticating ? 'Logging in...' : 'Login'}
+      </button>
     </form>
   );
 }
 
+// Role-based content, like MultipleConditions in 07-conditional-rendering-example.jsx
+function RoleBasedContent() {
+  const { user, hasRole } = useUser();
+
+  if (hasRole('admin')) {
+    return <div><h3>Admin Panel</h3><p>Full access to all features</p></div>;
+  } else if (hasRole('user') && user.verified) {
+    return <div><h3>User Dashboard</h3><p>Access to user features</p></div>;
+  } else if (hasRole('user')) {
+    return <div><h3>Please verify your email</h3><p>Check your inbox for verification link</p></div>;
+  } else {
+    return <div><h3>Guest Access</h3><p>Limited features available</p></div>;
+  }
+}
+
 // Lifting State Up Example
 function CounterDisplay({ count, onIncrement, onDecrement }) {
   return (
@@ -188,18 +475,31 @@ function CounterApp() {
 // useReducer Example
 const initialState = {
   todos: [],
-  filter: 'all'
+  filter: 'all',
+  tagFilter: ''
 };
 
+// Date.now() ids collide when two todos are added in the same millisecond,
+// or in two tabs at once. Ids are created outside the reducer so it stays pure.
+let idCounter = 0;
+const createId = () =>
+  globalThis.crypto?.randomUUID?.() ??
+  `${Date.now().toString(36)}-${(idCounter++).toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// "Work, urgent,work " → ['work', 'urgent']
+const parseTags = (text) => [...new Set(text.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+
 function todoReducer(state, action) {
   switch (action.type) {
     case 'ADD_TODO':
       return {
         ...state,
         todos: [...state.todos, {
-          id: Date.now(),
-          text: action.payload,
-          completed: false
+          id: action.payload.id,
+          text: action.payload.text,
+          completed: false,
+          dueDate: action.payload.dueDate ?? '',
+          tags: action.payload.tags ?? []
         }]
       };
     case 'TOGGLE_TODO':
@@ -211,51 +511,314 @@ function todoReducer(state, action) {
             : todo
         )
       };
+    case 'EDIT_TODO':
+      return {
+        ...state,
+        todos: state.todos.map(todo =>
+          todo.id === action.payload.id
+            ? { ...todo, ...action.payload.changes }
+            : todo
+        )
+      };
+    // Moves a todo to the position of another one, e.g. the one above it
+    case 'MOVE_TODO': {
+      const from = state.todos.findIndex(todo => todo.id === action.payload.id);
+      const to = state.todos.findIndex(todo => todo.id === action.payload.targetId);
+      if (from === -1 || to === -1 || from === to) return state;
+
+      const todos = [...state.todos];
+      const [moved] = todos.splice(from, 1);
+      todos.splice(to, 0, moved);
+      return { ...state, todos };
+    }
     case 'DELETE_TODO':
       return {
         ...state,
         todos: state.todos.filter(todo => todo.id !== action.payload)
       };
+    case 'CLEAR_COMPLETED':
+      if (!state.todos.some(todo => todo.completed)) return state;
+      return {
+        ...state,
+        todos: state.todos.filter(todo => !todo.completed)
+      };
     case 'SET_FILTER':
       return {
         ...state,
         filter: action.payload
       };
+    case 'SET_TAG_FILTER':
+      return {
+        ...state,
+        tagFilter: action.payload
+      };
+    // The todos were changed in another tab
+    case 'SYNC_TODOS':
+      return {
+        ...state,
+        todos: action.payload
+      };
     default:
       return state;
   }
 }
 
+// Reducer enhancer: wraps any reducer and adds UNDO and REDO actions.
+// State becomes { past, present, future }; `present` is the wrapped reducer's state.
+// Actions listed in `ignore` update the present without a history entry,
+// actions in `clearHistoryOn` also forget the history.
+// Fields listed in `keep` are not part of the history: UNDO and REDO leave them as they are.
+function undoable(reducer, { limit = 50, ignore = [], clearHistoryOn = [], keep = [] } = {}) {
+  return (state, action) => {
+    const { past, present, future } = state;
+    const restore = (snapshot) => keep.reduce((next, key) => ({ ...next, [key]: present[key] }), snapshot);
+
+    switch (action.type) {
+      case 'UNDO':
+        if (past.length === 0) return state;
+        return {
+          past: past.slice(0, -1),
+          present: restore(past[past.length - 1]),
+          future: [present, ...future]
+        };
+      case 'REDO':
+        if (future.length === 0) return state;
+        return {
+          past: [...past, present],
+          present: restore(future[0]),
+          future: future.slice(1)
+        };
+      default: {
+        const newPresent = reducer(present, action);
+        if (newPresent === present) return state;
+        if (clearHistoryOn.includes(action.type)) return { past: [], present: newPresent, future: [] };
+        if (ignore.includes(action.type)) return { ...state, present: newPresent };
+        return {
+          past: [...past, present].slice(-limit),
+          present: newPresent,
+          future: []
+        };
+      }
+    }
+  };
+}
+
+const withHistory = (present) => ({ past: [], present, future: [] });
+
+const undoableTodoReducer = undoable(todoReducer, {
+  // Switching filters is not something you'd want to undo, and undoing a
+  // change to the todos should not switch them back either
+  ignore: ['SET_FILTER', 'SET_TAG_FILTER'],
+  keep: ['filter', 'tagFilter'],
+  // Undoing after a sync would bring back todos the other tab changed
+  clearHistoryOn: ['SYNC_TODOS']
+});
+
+// Persistence
+// Saved as { version, todos }. When the shape changes, bump the version and
+// add a migration from the previous one; old saves are upgraded step by step.
+const TODO_STORAGE_KEY = 'data-sharing-todos';
+const TODO_STORAGE_VERSION = 2;
+
+const TODO_MIGRATIONS = {
+  // Version 1 had numeric Date.now() ids and no due dates or tags
+  1: (saved) => ({
+    ...saved,
+    version: 2,
+    todos: saved.todos.map(todo => ({ ...todo, id: String(todo.id), dueDate: '', tags: [] }))
+  })
+};
+
+// Returns the todos from a saved JSON string, or null if it can't be used
+function parseSavedTodos(json) {
+  try {
+    let saved = JSON.parse(json);
+    if (typeof saved?.version !== 'number' || saved.version > TODO_STORAGE_VERSION) return null;
+
+    while (saved.version < TODO_STORAGE_VERSION) {
+      saved = TODO_MIGRATIONS[saved.version](saved);
+    }
+    return Array.isArray(saved.todos) ? saved.todos : null;
+  } catch (error) {
+    console.warn('Could not read the saved todos.', error);
+    return null;
+  }
+}
+
+const serializeTodos = (todos) => JSON.stringify({ version: TODO_STORAGE_VERSION, todos });
+
+function loadTodoState(state) {
+  let saved = null;
+  try {
+    saved = localStorage.getItem(TODO_STORAGE_KEY);
+  } catch (error) {
+    console.warn('localStorage is not available.', error);
+  }
+  const todos = saved && parseSavedTodos(saved);
+  return withHistory(todos ? { ...state, todos } : state);
+}
+
+const todayString = () => new Date().toLocaleDateString('en-CA');
+
+function TodoItem({ todo, canMoveUp, canMoveDown, onMove, dispatch }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState({ text: '', dueDate: '', tags: '' });
+  const isOverdue = !todo.completed && todo.dueDate && todo.dueDate < todayString();
+
+  const startEditing = () => {
+    setDraft({ text: todo.text, dueDate: todo.dueDate, tags: todo.tags.join(', ') });
+    setIsEditing(true);
+  };
+
+  const saveEdit = (e) => {
+    e.preventDefault();
+    if (!draft.text.trim()) return;
+    dispatch({
+      type: 'EDIT_TODO',
+      payload: {
+        id: todo.id,
+        changes: { text: draft.text.trim(), dueDate: draft.dueDate, tags: parseTags(draft.tags) }
+      }
+    });
+    setIsEditing(false);
+  };
+
+  if (isEditing) {
+    return (
+      <li>
+        <form onSubmit={saveEdit}>
+          <input
+            type="text"
+            value={draft.text}
+            onChange={(e) => setDraft({ ...draft, text: e.target.value })}
+            aria-label="Todo text"
+            autoFocus
+          />
+          <input
+            type="date"
+            value={draft.dueDate}
+            onChange={(e) => setDraft({ ...draft, dueDate: e.target.value })}
+            aria-label="Due date"
+          />
+          <input
+            type="text"
+            value={draft.tags}
+            onChange={(e) => setDraft({ ...draft, tags: e.target.value })}
+            placeholder="Tags, comma separated"
+            aria-label="Tags"
+          />
+          <button type="submit">Save</button>
+          <button type="button" onClick={() => setIsEditing(false)}>Cancel</button>
+        </form>
+      </li>
+    );
+  }
+
+  return (
+    <li>
+      <input
+        type="checkbox"
+        checked={todo.completed}
+        onChange={() => dispatch({ type: 'TOGGLE_TODO', payload: todo.id })}
+      />
+      <span
+        onDoubleClick={startEditing}
+        style={{ textDecoration: todo.completed ? 'line-through' : 'none' }}
+      >
+        {todo.text}
+      </span>
+      {todo.dueDate && (
+        <span style={{ marginLeft: '8px', fontSize: '0.85em', color: isOverdue ? 'red' : '#666' }}>
+          {isOverdue ? 'Overdue: ' : 'Due: '}{todo.dueDate}
+        </span>
+      )}
+      {todo.tags.map(tag => (
+        <button
+          key={tag}
+          onClick={() => dispatch({ type: 'SET_TAG_FILTER', payload: tag })}
+          style={{ marginLeft: '5px', fontSize: '0.8em', border: 'none', borderRadius: '10px', background: '#e9ecef' }}
+        >
+          #{tag}
+        </button>
+      ))}
+      <button onClick={() => onMove(-1)} disabled={!canMoveUp} aria-label={`Move "${todo.text}" up`}>↑</button>
+      <button onClick={() => onMove(1)} disabled={!canMoveDown} aria-label={`Move "${todo.text}" down`}>↓</button>
+      <button onClick={startEditing}>Edit</button>
+      <button onClick={() => dispatch({ type: 'DELETE_TODO', payload: todo.id })}>Delete</button>
+    </li>
+  );
+}
+
 function TodoApp() {
-  const [state, dispatch] = useReducer(todoReducer, initialState);
+  const [history, dispatch] = useReducer(undoableTodoReducer, initialState, loadTodoState);
   const [inputValue, setInputValue] = useState('');
+  const [dueDate, setDueDate] = useState('');
+  const [tagsValue, setTagsValue] = useState('');
+  // The JSON last written or received, so a synced change isn't written back
+  const lastSaved = useRef(null);
+  const state = history.present;
+
+  // Save the todos whenever they change
+  useEffect(() => {
+    const serialized = serializeTodos(state.todos);
+    if (serialized === lastSaved.current) return;
+    lastSaved.current = serialized;
+    try {
+      localStorage.setItem(TODO_STORAGE_KEY, serialized);
+    } catch (error) {
+      console.warn('Could not save the todos.', error);
+    }
+  }, [state.todos]);
+
+  // The storage event fires in every other tab of the same site after a save
+  useEffect(() => {
+    const handleStorage = (e) => {
+      if (e.key !== TODO_STORAGE_KEY) return;
+      const todos = e.newValue === null ? [] : parseSavedTodos(e.newValue);
+      if (!todos) return;
+      lastSaved.current = serializeTodos(todos);
+      dispatch({ type: 'SYNC_TODOS', payload: todos });
+    };
+
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
 
   const addTodo = (e) => {
     e.preventDefault();
     if (inputValue.trim()) {
-      dispatch({ type: 'ADD_TODO', payload: inputValue });
+      dispatch({
+        type: 'ADD_TODO',
+        payload: { id: createId(), text: inputValue.trim(), dueDate, tags: parseTags(tagsValue) }
+      });
       setInputValue('');
+      setDueDate('');
+      setTagsValue('');
     }
   };
 
-  const toggleTodo = (id) => {
-    dispatch({ type: 'TOGGLE_TODO', payload: id });
-  };
-
-  const deleteTodo = (id) => {
-    dispatch({ type: 'DELETE_TODO', payload: id });
-  };
-
   const setFilter = (filter) => {
     dispatch({ type: 'SET_FILTER', payload: filter });
   };
 
   const filteredTodos = state.todos.filter(todo => {
+    if (state.tagFilter && !todo.tags.includes(state.tagFilter)) return false;
     if (state.filter === 'completed') return todo.completed;
     if (state.filter === 'active') return !todo.completed;
     return true;
   });
 
+  // Moving swaps with the neighbour that is visible in the filtered list
+  const moveTodo = (index, offset) => {
+    dispatch({
+      type: 'MOVE_TODO',
+      payload: { id: filteredTodos[index].id, targetId: filteredTodos[index + offset].id }
+    });
+  };
+
+  const activeCount = state.todos.filter(todo => !todo.completed).length;
+  const completedCount = state.todos.length - activeCount;
+
   return (
     <div>
       <h2>Todo App with useReducer</h2>
@@ -267,30 +830,56 @@ function TodoApp() {
           onChange={(e) => setInputValue(e.target.value)}
           placeholder="Add a todo"
         />
+        <input
+          type="date"
+          value={dueDate}
+          onChange={(e) => setDueDate(e.target.value)}
+          aria-label="Due date"
+        />
+        <input
+          type="text"
+          value={tagsValue}
+          onChange={(e) => setTagsValue(e.target.value)}
+          placeholder="Tags, comma separated"
+        />
         <button type="submit">Add</button>
       </form>
 
+      <div>
+        <button onClick={() => dispatch({ type: 'UNDO' })} disabled={history.past.length === 0}>Undo</button>
+        <button onClick={() => dispatch({ type: 'REDO' })} disabled={history.future.length === 0}>Redo</button>
+      </div>
+
       <div>
         <button onClick={() => setFilter('all')}>All</button>
         <button onClick={() => setFilter('active')}>Active</button>
         <button onClick={() => setFilter('completed')}>Completed</button>
+        {state.tagFilter && (
+          <button onClick={() => dispatch({ type: 'SET_TAG_FILTER', payload: '' })}>
+            #{state.tagFilter} ✕
+          </button>
+        )}
       </div>
 
       <ul>
-        {filteredTodos.map(todo => (
-          <li key={todo.id}>
-            <input
-              type="checkbox"
-              checked={todo.completed}
-              onChange={() => toggleTodo(todo.id)}
-            />
-            <span style={{ textDecoration: todo.completed ? 'line-through' : 'none' }}>
-              {todo.text}
-            </span>
-            <button onClick={() => deleteTodo(todo.id)}>Delete</button>
-          </li>
+        {filteredTodos.map((todo, index) => (
+          <TodoItem
+            key={todo.id}
+            todo={todo}
+            canMoveUp={index > 0}
+            canMoveDown={index < filteredTodos.length - 1}
+            onMove={(offset) => moveTodo(index, offset)}
+            dispatch={dispatch}
+          />
         ))}
       </ul>
+
+      <div>
+        <span>{activeCount} {activeCount === 1 ? 'item' : 'items'} left</span>
+        <button onClick={() => dispatch({ type: 'CLEAR_COMPLETED' })} disabled={completedCount === 0}>
+          Clear completed ({completedCount})
+        </button>
+      </div>
     </div>
   );
 }
@@ -340,6 +929,7 @@ function App() {
             <ThemeToggle />
             <UserProfile />
             <LoginForm />
+            <RoleBasedContent />
           </UserProvider>
         </ThemeProvider>
       </div>
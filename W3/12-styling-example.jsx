@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import './styling-example.css';
+import { ThemeProvider, useTheme } from './theme-engine';
 
 // Inline Styles
 function InlineStyles() {
@@ -241,83 +242,83 @@ function AnimationExample() {
 }
 
 // Theme System
-function ThemeSystem() {
-  const [theme, setTheme] = useState('light');
-
-  const themes = {
-    light: {
-      background: '#ffffff',
-      text: '#333333',
-      primary: '#007bff',
-      secondary: '#6c757d'
-    },
-    dark: {
-      background: '#1a1a1a',
-      text: '#ffffff',
-      primary: '#0d6efd',
-      secondary: '#6c757d'
-    },
-    blue: {
-      background: '#e3f2fd',
-      text: '#1565c0',
-      primary: '#1976d2',
-      secondary: '#42a5f5'
-    }
-  };
-
-  const currentTheme = themes[theme];
+// Uses the shared theme engine (theme-engine.jsx). The preview is styled with
+// the CSS custom properties the provider sets, so it needs no theme props.
+function ThemePreview() {
+  const { mode, modes, setMode, theme, tokens, contrast } = useTheme();
 
   const themeStyle = {
-    backgroundColor: currentTheme.background,
-    color: currentTheme.text,
-    padding: '20px',
-    borderRadius: '8px',
-    border: `2px solid ${currentTheme.primary}`,
+    backgroundColor: 'var(--color-surface)',
+    color: 'var(--color-text)',
+    padding: 'var(--spacing-lg)',
+    borderRadius: 'var(--radius-md)',
+    border: '2px solid var(--color-primary)',
     transition: 'all 0.3s ease'
   };
 
   return (
-    <div>
+    <div style={{ padding: tokens.spacing.md }}>
       <h3>Theme System</h3>
       <div style={{ marginBottom: '20px' }}>
-        {Object.keys(themes).map(themeName => (
+        {modes.map(modeName => (
           <button
-            key={themeName}
-            onClick={() => setTheme(themeName)}
+            key={modeName}
+            onClick={() => setMode(modeName)}
+            aria-pressed={mode === modeName}
             style={{
               marginRight: '10px',
               padding: '8px 16px',
-              backgroundColor: themes[themeName].primary,
-              color: 'white',
+              backgroundColor: mode === modeName ? 'var(--color-primary)' : 'var(--color-secondary)',
+              color: mode === modeName ? 'var(--color-on-primary)' : 'var(--color-on-secondary)',
               border: 'none',
-              borderRadius: '4px',
+              borderRadius: 'var(--radius-sm)',
               cursor: 'pointer'
             }}
           >
-            {themeName.charAt(0).toUpperCase() + themeName.slice(1)}
+            {modeName.charAt(0).toUpperCase() + modeName.slice(1)}
           </button>
         ))}
       </div>
       <div style={themeStyle}>
         <h4>Theme Preview</h4>
-        <p>Current theme: {theme}</p>
+        <p>Current theme: {theme}{mode === 'system' && ' (from your system setting)'}</p>
+        <p style={{ color: 'var(--color-text-muted)', fontSize: 'var(--typography-font-size-sm)' }}>
+          Muted text for hints and captions
+        </p>
         <button 
           style={{
-            backgroundColor: currentTheme.primary,
-            color: 'white',
+            backgroundColor: 'var(--color-primary)',
+            color: 'var(--color-on-primary)',
             border: 'none',
-            padding: '10px 20px',
-            borderRadius: '4px',
+            padding: 'var(--spacing-sm) var(--spacing-md)',
+            borderRadius: 'var(--radius-sm)',
             cursor: 'pointer'
           }}
         >
           Themed Button
         </button>
+
+        <h4>Contrast (WCAG AA needs 4.5:1)</h4>
+        <ul style={{ paddingLeft: 'var(--spacing-md)' }}>
+          {contrast.map(({ foreground, background, ratio, passes }) => (
+            <li key={`${foreground}-${background}`}>
+              {foreground} on {background}: {ratio.toFixed(2)}:1 {passes ? '✓' : '✗ fails AA'}
+            </li>
+          ))}
+        </ul>
       </div>
     </div>
   );
 }
 
+function ThemeSystem() {
+  return (
+    <ThemeProvider>
+      <ThemePreview />
+    </ThemeProvider>
+  );
+}
+
 // Main App Component
 function App() {
   return (
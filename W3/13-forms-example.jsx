@@ -1,19 +1,150 @@
 import React, { useState } from 'react';
 
 // Controlled Components
-function ControlledForm() {
-  const [formData, setFormData] = useState({
-    name: '',
-    email: '',
-    age: '',
-    gender: '',
-    interests: [],
-    newsletter: false,
-    country: '',
-    message: ''
-  });
+// A multi-step wizard: one formData object is shared by every step, so going
+// back and forth never loses what was typed.
+const initialFormData = {
+  name: '',
+  email: '',
+  age: '',
+  gender: '',
+  interests: [],
+  newsletter: false,
+  newsletterFrequency: '',
+  country: '',
+  message: ''
+};
+
+const COUNTRIES = {
+  us: 'United States',
+  uk: 'United Kingdom',
+  ca: 'Canada',
+  au: 'Australia',
+  de: 'Germany',
+  fr: 'France',
+  tr: 'Turkey'
+};
+
+const FORM_STEPS = [
+  { id: 'personal', title: 'Personal Info', fields: ['name', 'email', 'age', 'gender'] },
+  { id: 'interests', title: 'Interests', fields: ['interests', 'newsletter'] },
+  // Only shown when "Subscribe to newsletter" is ticked
+  { id: 'newsletter', title: 'Newsletter', fields: ['newsletterFrequency'], when: (data) => data.newsletter },
+  { id: 'location', title: 'Location', fields: ['country', 'message'] },
+  { id: 'review', title: 'Review', fields: [] }
+];
+
+const getVisibleSteps = (data) => FORM_STEPS.filter(step => !step.when || step.when(data));
+
+const FIELD_LABELS = {
+  name: 'Name',
+  email: 'Email',
+  age: 'Age',
+  gender: 'Gender',
+  interests: 'Interests',
+  newsletter: 'Newsletter',
+  newsletterFrequency: 'Frequency',
+  country: 'Country',
+  message: 'Message'
+};
+
+const FIELD_VALIDATORS = {
+  name: (data) => (!data.name.trim() ? 'Name is required' : ''),
+  email: (data) => {
+    if (!data.email.trim()) return 'Email is required';
+    return /\S+@\S+\.\S+/.test(data.email) ? '' : 'Email is invalid';
+  },
+  age: (data) => {
+    if (!data.age) return 'Age is required';
+    return data.age < 1 || data.age > 120 ? 'Age must be between 1 and 120' : '';
+  },
+  gender: (data) => (!data.gender ? 'Gender is required' : ''),
+  interests: (data) => (data.interests.length === 0 ? 'Please select at least one interest' : ''),
+  newsletterFrequency: (data) => (!data.newsletterFrequency ? 'Please choose how often we should write' : ''),
+  country: (data) => (!data.country ? 'Country is required' : '')
+};
+
+function validateFields(fields, data) {
+  return fields.reduce((errors, field) => {
+    const message = FIELD_VALIDATORS[field]?.(data);
+    return message ? { ...errors, [field]: message } : errors;
+  }, {});
+}
+
+function formatFieldValue(field, data) {
+  const value = data[field];
+  if (field === 'newsletter') return value ? 'Yes' : 'No';
+  if (field === 'country') return COUNTRIES[value] ?? '—';
+  if (Array.isArray(value)) return value.join(', ') || '—';
+  return value || '—';
+}
+
+// Draft Autosave
+// Versioned, so a draft saved by an older version of the form is ignored
+// instead of filling in the wrong fields.
+const DRAFT_KEY = 'forms-example-draft';
+const DRAFT_VERSION = 1;
 
+function loadDraft() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(DRAFT_KEY));
+    if (saved?.version === DRAFT_VERSION && saved.data && typeof saved.data === 'object') {
+      return saved;
+    }
+  } catch (error) {
+    console.warn('Could not read the saved draft.', error);
+  }
+  return null;
+}
+
+function saveDraft(data, stepId) {
+  try {
+    localStorage.setItem(DRAFT_KEY, JSON.stringify({ version: DRAFT_VERSION, data, stepId, savedAt: Date.now() }));
+  } catch (error) {
+    console.warn('Could not save the draft.', error);
+  }
+}
+
+function clearDraft() {
+  try {
+    localStorage.removeItem(DRAFT_KEY);
+  } catch (error) {
+    console.warn('Could not remove the draft.', error);
+  }
+}
+
+function ControlledForm() {
+  const [formData, setFormData] = useState(initialFormData);
   const [errors, setErrors] = useState({});
+  const [stepId, setStepId] = useState(FORM_STEPS[0].id);
+  // A draft from an earlier visit waits here until the user resumes or discards it
+  const [pendingDraft, setPendingDraft] = useState(loadDraft);
+  const headingRef = React.useRef(null);
+  const hasNavigated = React.useRef(false);
+
+  const steps = getVisibleSteps(formData);
+  // A restored draft may point at a step that is hidden now; fall back to the first one
+  const stepIndex = Math.max(0, steps.findIndex(step => step.id === stepId));
+  const currentStep = steps[stepIndex];
+  const isReviewStep = currentStep.id === 'review';
+
+  // Save the draft half a second after the last change
+  React.useEffect(() => {
+    if (pendingDraft) return;
+    if (isEqual(formData, initialFormData)) {
+      clearDraft();
+      return;
+    }
+    const timer = setTimeout(() => saveDraft(formData, currentStep.id), 500);
+    return () => clearTimeout(timer);
+  }, [formData, currentStep.id, pendingDraft]);
+
+  // Move focus to the step heading so screen readers announce the new step
+  React.useEffect(() => {
+    if (hasNavigated.current) {
+      headingRef.current?.focus();
+    }
+  }, [currentStep.id]);
 
   const handleInputChange = (e) => {
     const { name, value, type, checked } = e.target;
@@ -48,245 +179,355 @@ function ControlledForm() {
     }
   };
 
-  const validateForm = () => {
-    const newErrors = {};
+  const goToStep = (id) => {
+    hasNavigated.current = true;
+    setErrors({});
+    setStepId(id);
+  };
 
-    if (!formData.name.trim()) {
-      newErrors.name = 'Name is required';
+  // Only the fields of the current step have to be valid to move on
+  const handleNext = () => {
+    const stepErrors = validateFields(currentStep.fields, formData);
+    setErrors(stepErrors);
+    if (Object.keys(stepErrors).length === 0) {
+      goToStep(steps[stepIndex + 1].id);
     }
+  };
 
-    if (!formData.email.trim()) {
-      newErrors.email = 'Email is required';
-    } else if (!/\S+@\S+\.\S+/.test(formData.email)) {
-      newErrors.email = 'Email is invalid';
-    }
+  const handleBack = () => {
+    goToStep(steps[stepIndex - 1].id);
+  };
 
-    if (!formData.age) {
-      newErrors.age = 'Age is required';
-    } else if (formData.age < 1 || formData.age > 120) {
-      newErrors.age = 'Age must be between 1 and 120';
-    }
+  const handleSubmit = (e) => {
+    e.preventDefault();
 
-    if (!formData.gender) {
-      newErrors.gender = 'Gender is required';
+    // Enter in a text field moves to the next step until the review step
+    if (!isReviewStep) {
+      handleNext();
+      return;
     }
 
-    if (formData.interests.length === 0) {
-      newErrors.interests = 'Please select at least one interest';
+    // A draft could have been edited elsewhere, so check every step once more
+    const invalidStep = steps.find(step => Object.keys(validateFields(step.fields, formData)).length > 0);
+    if (invalidStep) {
+      goToStep(invalidStep.id);
+      setErrors(validateFields(invalidStep.fields, formData));
+      return;
     }
 
-    if (!formData.country) {
-      newErrors.country = 'Country is required';
-    }
+    const submitted = formData.newsletter ? formData : { ...formData, newsletterFrequency: '' };
+    console.log('Form submitted:', submitted);
+    alert('Form submitted successfully!');
+    // Reset form
+    clearDraft();
+    setFormData(initialFormData);
+    goToStep(FORM_STEPS[0].id);
+  };
 
-    setErrors(newErrors);
-    return Object.keys(newErrors).length === 0;
+  const resumeDraft = () => {
+    setFormData({ ...initialFormData, ...pendingDraft.data });
+    setStepId(pendingDraft.stepId);
+    setPendingDraft(null);
   };
 
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    
-    if (validateForm()) {
-      console.log('Form submitted:', formData);
-      alert('Form submitted successfully!');
-      // Reset form
-      setFormData({
-        name: '',
-        email: '',
-        age: '',
-        gender: '',
-        interests: [],
-        newsletter: false,
-        country: '',
-        message: ''
-      });
-    }
+  const discardDraft = () => {
+    clearDraft();
+    setPendingDraft(null);
   };
 
-  return (
-    <div>
-      <h2>Controlled Form with Validation</h2>
-      <form onSubmit={handleSubmit} style={{ maxWidth: '500px' }}>
-        <div style={{ marginBottom: '15px' }}>
-          <label>
-            Name: *
-            <input
-              type="text"
-              name="name"
-              value={formData.name}
-              onChange={handleInputChange}
-              style={{
-                width: '100%',
-                padding: '8px',
-                marginTop: '5px',
-                border: errors.name ? '2px solid red' : '1px solid #ccc',
-                borderRadius: '4px'
-              }}
-            />
-          </label>
-          {errors.name && <div style={{ color: 'red', fontSize: '14px' }}>{errors.name}</div>}
+  if (pendingDraft) {
+    return (
+      <div>
+        <h2>Controlled Form with Validation</h2>
+        <div
+          role="alertdialog"
+          aria-label="Resume your draft"
+          style={{ maxWidth: '500px', padding: '15px', border: '1px solid #ffc107', backgroundColor: '#fff8e1', borderRadius: '4px' }}
+        >
+          <p style={{ marginTop: 0 }}>
+            You have an unfinished form from {new Date(pendingDraft.savedAt).toLocaleString()}.
+            Do you want to continue where you left off?
+          </p>
+          <button type="button" onClick={resumeDraft} style={{ marginRight: '10px' }}>
+            Resume
+          </button>
+          <button type="button" onClick={discardDraft}>
+            Start over
+          </button>
         </div>
+      </div>
+    );
+  }
 
-        <div style={{ marginBottom: '15px' }}>
-          <label>
-            Email: *
-            <input
-              type="email"
-              name="email"
-              value={formData.email}
-              onChange={handleInputChange}
-              style={{
-                width: '100%',
-                padding: '8px',
-                marginTop: '5px',
-                border: errors.email ? '2px solid red' : '1px solid #ccc',
-                borderRadius: '4px'
-              }}
-            />
-          </label>
-          {errors.email && <div style={{ color: 'red', fontSize: '14px' }}>{errors.email}</div>}
-        </div>
+  const errorMessage = (field) =>
+    errors[field] && <div style={{ color: 'red', fontSize: '14px' }}>{errors[field]}</div>;
 
-        <div style={{ marginBottom: '15px' }}>
-          <label>
-            Age: *
-            <input
-              type="number"
-              name="age"
-              value={formData.age}
-              onChange={handleInputChange}
-              min="1"
-              max="120"
-              style={{
-                width: '100%',
-                padding: '8px',
-                marginTop: '5px',
-                border: errors.age ? '2px solid red' : '1px solid #ccc',
-                borderRadius: '4px'
-              }}
-            />
-          </label>
-          {errors.age && <div style={{ color: 'red', fontSize: '14px' }}>{errors.age}</div>}
-        </div>
+  const renderStepFields = () => {
+    switch (currentStep.id) {
+      case 'personal':
+        return (
+          <>
+            <div style={{ marginBottom: '15px' }}>
+              <label>
+                Name: *
+                <input
+                  type="text"
+                  name="name"
+                  value={formData.name}
+                  onChange={handleInputChange}
+                  style={{
+                    width: '100%',
+                    padding: '8px',
+                    marginTop: '5px',
+                    border: errors.name ? '2px solid red' : '1px solid #ccc',
+                    borderRadius: '4px'
+                  }}
+                />
+              </label>
+              {errorMessage('name')}
+            </div>
 
-        <div style={{ marginBottom: '15px' }}>
-          <label>Gender: *</label>
-          <div style={{ marginTop: '5px' }}>
-            <label style={{ marginRight: '15px' }}>
-              <input
-                type="radio"
-                name="gender"
-                value="male"
-                checked={formData.gender === 'male'}
-                onChange={handleInputChange}
-              />
-              Male
-            </label>
-            <label style={{ marginRight: '15px' }}>
-              <input
-                type="radio"
-                name="gender"
-                value="female"
-                checked={formData.gender === 'female'}
-                onChange={handleInputChange}
-              />
-              Female
-            </label>
-            <label>
-              <input
-                type="radio"
-                name="gender"
-                value="other"
-                checked={formData.gender === 'other'}
-                onChange={handleInputChange}
-              />
-              Other
-            </label>
-          </div>
-          {errors.gender && <div style={{ color: 'red', fontSize: '14px' }}>{errors.gender}</div>}
-        </div>
+            <div style={{ marginBottom: '15px' }}>
+              <label>
+                Email: *
+                <input
+                  type="email"
+                  name="email"
+                  value={formData.email}
+                  onChange={handleInputChange}
+                  style={{
+                    width: '100%',
+                    padding: '8px',
+                    marginTop: '5px',
+                    border: errors.email ? '2px solid red' : '1px solid #ccc',
+                    borderRadius: '4px'
+                  }}
+                />
+              </label>
+              {errorMessage('email')}
+            </div>
 
-        <div style={{ marginBottom: '15px' }}>
-          <label>Interests: *</label>
-          <div style={{ marginTop: '5px' }}>
-            {['Technology', 'Sports', 'Music', 'Travel', 'Reading'].map(interest => (
-              <label key={interest} style={{ display: 'block', marginBottom: '5px' }}>
+            <div style={{ marginBottom: '15px' }}>
+              <label>
+                Age: *
+                <input
+                  type="number"
+                  name="age"
+                  value={formData.age}
+                  onChange={handleInputChange}
+                  min="1"
+                  max="120"
+                  style={{
+                    width: '100%',
+                    padding: '8px',
+                    marginTop: '5px',
+                    border: errors.age ? '2px solid red' : '1px solid #ccc',
+                    borderRadius: '4px'
+                  }}
+                />
+              </label>
+              {errorMessage('age')}
+            </div>
+
+            <div style={{ marginBottom: '15px' }}>
+              <label>Gender: *</label>
+              <div style={{ marginTop: '5px' }}>
+                {['male', 'female', 'other'].map(gender => (
+                  <label key={gender} style={{ marginRight: '15px' }}>
+                    <input
+                      type="radio"
+                      name="gender"
+                      value={gender}
+                      checked={formData.gender === gender}
+                      onChange={handleInputChange}
+                    />
+                    {gender.charAt(0).toUpperCase() + gender.slice(1)}
+                  </label>
+                ))}
+              </div>
+              {errorMessage('gender')}
+            </div>
+          </>
+        );
+
+      case 'interests':
+        return (
+          <>
+            <div style={{ marginBottom: '15px' }}>
+              <label>Interests: *</label>
+              <div style={{ marginTop: '5px' }}>
+                {['Technology', 'Sports', 'Music', 'Travel', 'Reading'].map(interest => (
+                  <label key={interest} style={{ display: 'block', marginBottom: '5px' }}>
+                    <input
+                      type="checkbox"
+                      name="interests"
+                      value={interest}
+                      checked={formData.interests.includes(interest)}
+                      onChange={handleInputChange}
+                      style={{ marginRight: '8px' }}
+                    />
+                    {interest}
+                  </label>
+                ))}
+              </div>
+              {errorMessage('interests')}
+            </div>
+
+            <div style={{ marginBottom: '15px' }}>
+              <label>
                 <input
                   type="checkbox"
-                  name="interests"
-                  value={interest}
-                  checked={formData.interests.includes(interest)}
+                  name="newsletter"
+                  checked={formData.newsletter}
                   onChange={handleInputChange}
                   style={{ marginRight: '8px' }}
                 />
-                {interest}
+                Subscribe to newsletter
+              </label>
+            </div>
+          </>
+        );
+
+      case 'newsletter':
+        return (
+          <div style={{ marginBottom: '15px' }}>
+            <label>How often would you like to hear from us? *</label>
+            <div style={{ marginTop: '5px' }}>
+              {['weekly', 'monthly'].map(frequency => (
+                <label key={frequency} style={{ marginRight: '15px' }}>
+                  <input
+                    type="radio"
+                    name="newsletterFrequency"
+                    value={frequency}
+                    checked={formData.newsletterFrequency === frequency}
+                    onChange={handleInputChange}
+                  />
+                  {frequency.charAt(0).toUpperCase() + frequency.slice(1)}
+                </label>
+              ))}
+            </div>
+            {errorMessage('newsletterFrequency')}
+          </div>
+        );
+
+      case 'location':
+        return (
+          <>
+            <div style={{ marginBottom: '15px' }}>
+              <label>
+                Country: *
+                <select
+                  name="country"
+                  value={formData.country}
+                  onChange={handleInputChange}
+                  style={{
+                    width: '100%',
+                    padding: '8px',
+                    marginTop: '5px',
+                    border: errors.country ? '2px solid red' : '1px solid #ccc',
+                    borderRadius: '4px'
+                  }}
+                >
+                  <option value="">Select a country</option>
+                  {Object.entries(COUNTRIES).map(([code, country]) => (
+                    <option key={code} value={code}>{country}</option>
+                  ))}
+                </select>
+              </label>
+              {errorMessage('country')}
+            </div>
+
+            <div style={{ marginBottom: '15px' }}>
+              <label>
+                Message:
+                <textarea
+                  name="message"
+                  value={formData.message}
+                  onChange={handleInputChange}
+                  rows="4"
+                  style={{
+                    width: '100%',
+                    padding: '8px',
+                    marginTop: '5px',
+                    border: '1px solid #ccc',
+                    borderRadius: '4px',
+                    resize: 'vertical'
+                  }}
+                />
               </label>
+            </div>
+          </>
+        );
+
+      default:
+        return (
+          <div style={{ marginBottom: '15px' }}>
+            {steps.filter(step => step.fields.length > 0).map(step => (
+              <div key={step.id} style={{ marginBottom: '10px', paddingBottom: '10px', borderBottom: '1px solid #eee' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                  <strong>{step.title}</strong>
+                  <button type="button" onClick={() => goToStep(step.id)}>
+                    Edit
+                  </button>
+                </div>
+                <dl style={{ margin: '5px 0 0' }}>
+                  {step.fields.map(field => (
+                    <div key={field} style={{ display: 'flex', gap: '10px' }}>
+                      <dt style={{ minWidth: '100px', color: '#666' }}>{FIELD_LABELS[field]}:</dt>
+                      <dd style={{ margin: 0 }}>{formatFieldValue(field, formData)}</dd>
+                    </div>
+                  ))}
+                </dl>
+              </div>
             ))}
           </div>
-          {errors.interests && <div style={{ color: 'red', fontSize: '14px' }}>{errors.interests}</div>}
-        </div>
+        );
+    }
+  };
 
-        <div style={{ marginBottom: '15px' }}>
-          <label>
-            Country: *
-            <select
-              name="country"
-              value={formData.country}
-              onChange={handleInputChange}
-              style={{
-                width: '100%',
-                padding: '8px',
-                marginTop: '5px',
-                border: errors.country ? '2px solid red' : '1px solid #ccc',
-                borderRadius: '4px'
-              }}
-            >
-              <option value="">Select a country</option>
-              <option value="us">United States</option>
-              <option value="uk">United Kingdom</option>
-              <option value="ca">Canada</option>
-              <option value="au">Australia</option>
-              <option value="de">Germany</option>
-              <option value="fr">France</option>
-              <option value="tr">Turkey</option>
-            </select>
-          </label>
-          {errors.country && <div style={{ color: 'red', fontSize: '14px' }}>{errors.country}</div>}
-        </div>
+  return (
+    <div>
+      <h2>Controlled Form with Validation</h2>
 
-        <div style={{ marginBottom: '15px' }}>
-          <label>
-            Message:
-            <textarea
-              name="message"
-              value={formData.message}
-              onChange={handleInputChange}
-              rows="4"
-              style={{
-                width: '100%',
-                padding: '8px',
-                marginTop: '5px',
-                border: '1px solid #ccc',
-                borderRadius: '4px',
-                resize: 'vertical'
-              }}
-            />
-          </label>
-        </div>
+      <ol style={{ display: 'flex', listStyle: 'none', padding: 0, maxWidth: '500px' }}>
+        {steps.map((step, index) => (
+          <li
+            key={step.id}
+            aria-current={index === stepIndex ? 'step' : undefined}
+            style={{
+              flex: 1,
+              textAlign: 'center',
+              padding: '5px',
+              fontSize: '14px',
+              borderBottom: `3px solid ${index <= stepIndex ? '#007bff' : '#ccc'}`,
+              color: index <= stepIndex ? '#007bff' : '#666',
+              fontWeight: index === stepIndex ? 'bold' : 'normal'
+            }}
+          >
+            {index + 1}. {step.title}
+          </li>
+        ))}
+      </ol>
 
-        <div style={{ marginBottom: '15px' }}>
-          <label>
-            <input
-              type="checkbox"
-              name="newsletter"
-              checked={formData.newsletter}
-              onChange={handleInputChange}
-              style={{ marginRight: '8px' }}
-            />
-            Subscribe to newsletter
-          </label>
-        </div>
+      <form onSubmit={handleSubmit} style={{ maxWidth: '500px' }}>
+        <h3 ref={headingRef} tabIndex={-1}>
+          Step {stepIndex + 1} of {steps.length}: {currentStep.title}
+        </h3>
+
+        {renderStepFields()}
 
+        <p style={{ fontSize: '14px', color: '#666' }}>
+          Your progress is saved in this browser automatically.
+        </p>
+
+        <button
+          type="button"
+          onClick={handleBack}
+          disabled={stepIndex === 0}
+          style={{ marginRight: '10px', padding: '10px 20px', fontSize: '16px' }}
+        >
+          Back
+        </button>
         <button
           type="submit"
           style={{
@@ -299,7 +540,7 @@ function ControlledForm() {
             fontSize: '16px'
           }}
         >
-          Submit
+          {isReviewStep ? 'Submit' : 'Next'}
         </button>
       </form>
     </div>
@@ -370,6 +611,18 @@ function UncontrolledForm() {
           </label>
         </div>
 
+        <div style={{ marginBottom: '15px' }}>
+          <label>
+            Attachment:
+            {/* File inputs are always uncontrolled: their value can only be set by the user */}
+            <input
+              type="file"
+              name="attachment"
+              style={{ display: 'block', marginTop: '5px' }}
+            />
+          </label>
+        </div>
+
         <button
           type="submit"
           style={{
@@ -389,98 +642,423 @@ function UncontrolledForm() {
   );
 }
 
+// Field Paths
+// Nested and array fields are addressed with one string, as in
+// name="addresses[0].city". Schema keys use "[]" for "every item":
+// 'addresses[].city' applies to addresses[0].city, addresses[1].city, ...
+function toPathSegments(path) {
+  return path
+    .replace(/\[(\d+)\]/g, '.$1')
+    .split('.')
+    .filter(Boolean)
+    .map(segment => (/^\d+$/.test(segment) ? Number(segment) : segment));
+}
+
+function getIn(object, path) {
+  return toPathSegments(path).reduce((current, key) => (current == null ? undefined : current[key]), object);
+}
+
+// Returns a copy with the value replaced; objects and arrays along the path are copied too.
+function setIn(object, path, value) {
+  const update = (current, [key, ...rest]) => {
+    const copy = Array.isArray(current) ? [...current] : { ...current };
+    copy[key] = rest.length ? update(current?.[key] ?? (typeof rest[0] === 'number' ? [] : {}), rest) : value;
+    return copy;
+  };
+  return update(object, toPathSegments(path));
+}
+
+// 'addresses[].city' → ['addresses[0].city', 'addresses[1].city'] for two addresses.
+function expandPath(pattern, values) {
+  const index = pattern.indexOf('[]');
+  if (index === -1) return [pattern];
+
+  const arrayPath = pattern.slice(0, index);
+  const rest = pattern.slice(index + 2);
+  const items = getIn(values, arrayPath);
+  return (Array.isArray(items) ? items : []).flatMap((item, i) => expandPath(`${arrayPath}[${i}]${rest}`, values));
+}
+
+const getRules = (schema, path) => schema[path] ?? schema[path.replace(/\[\d+\]/g, '[]')];
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// 'image/*' matches every image type, '.pdf' matches by file name
+const matchesFileType = (file, types) => types.some(type => {
+  if (type.startsWith('.')) return file.name.toLowerCase().endsWith(type.toLowerCase());
+  if (type.endsWith('/*')) return file.type.startsWith(type.slice(0, -1));
+  return file.type === type;
+});
+
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Validation Schema
+// Each field lists its rules. A rule is a plain value or { value, message }:
+//   required: 'Name is required'            (a string is the message)
+//   min / max: numbers, minLength / maxLength: string or array length
+//   pattern: /^\d{5}$/
+//   equals: ref('password')                 (compare with another field)
+//   validate: (value, values) => message    (custom rule, sees every field)
+//   accept: ['image/*', '.pdf'], maxSize: bytes per file (file fields)
+//   asyncValidate: (value, values, { signal }) => Promise<message>
+//   debounce: milliseconds to wait before asyncValidate runs (default 400)
+const ref = (path) => ({ ref: path });
+
+const isRef = (value) => value !== null && typeof value === 'object' && 'ref' in value;
+
+const DEFAULT_MESSAGES = {
+  required: () => 'This field is required',
+  min: (limit) => `Must be at least ${limit}`,
+  max: (limit) => `Must be at most ${limit}`,
+  minLength: (limit) => `Must be at least ${limit} characters`,
+  maxLength: (limit) => `Must be at most ${limit} characters`,
+  pattern: () => 'Invalid format',
+  equals: (other, refPath) => `Must match ${refPath}`,
+  accept: (types) => `Allowed file types: ${types.join(', ')}`,
+  maxSize: (limit) => `Each file must be ${formatFileSize(limit)} or smaller`
+};
+
+const RULE_CHECKS = {
+  min: (value, limit) => Number(value) >= limit,
+  max: (value, limit) => Number(value) <= limit,
+  minLength: (value, limit) => value.length >= limit,
+  maxLength: (value, limit) => value.length <= limit,
+  pattern: (value, regex) => regex.test(value),
+  equals: (value, other) => value === other,
+  accept: (files, types) => files.every(file => matchesFileType(file, types)),
+  maxSize: (files, limit) => files.every(file => file.size <= limit)
+};
+
+function readRule(rule, values) {
+  const hasMessage = rule !== null && typeof rule === 'object' && !(rule instanceof RegExp) && 'value' in rule;
+  const { value, message } = hasMessage ? rule : { value: rule };
+  return isRef(value)
+    ? { value: getIn(values, value.ref), message, refPath: value.ref }
+    : { value, message, refPath: null };
+}
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === false ||
+  (typeof value === 'string' && value.trim() === '') ||
+  (Array.isArray(value) && value.length === 0);
+
+// Runs the synchronous rules and returns the first error message, or ''.
+function validateValue(rules, value, values) {
+  if (!rules) return '';
+
+  if (isEmpty(value)) {
+    if (!rules.required) return '';
+    return typeof rules.required === 'string'
+      ? rules.required
+      : readRule(rules.required, values).message ?? DEFAULT_MESSAGES.required();
+  }
+
+  for (const [name, check] of Object.entries(RULE_CHECKS)) {
+    if (rules[name] === undefined) continue;
+    const { value: limit, message, refPath } = readRule(rules[name], values);
+    if (!check(value, limit)) {
+      return message ?? DEFAULT_MESSAGES[name](limit, refPath);
+    }
+  }
+
+  return rules.validate ? rules.validate(value, values) || '' : '';
+}
+
+// Every concrete field path the schema covers for the current values.
+const schemaPaths = (schema, values) => Object.keys(schema).flatMap(pattern => expandPath(pattern, values));
+
+function validateAll(schema, values) {
+  return schemaPaths(schema, values).reduce((errors, path) => {
+    const message = validateValue(getRules(schema, path), getIn(values, path), values);
+    return message ? { ...errors, [path]: message } : errors;
+  }, {});
+}
+
+// Fields whose rules point at `path` with ref(), e.g. confirmPassword → password.
+function findDependents(schema, path) {
+  const pattern = path.replace(/\[\d+\]/g, '[]');
+  return Object.entries(schema)
+    .filter(([, rules]) => Object.values(rules).some(rule => {
+      const value = rule !== null && typeof rule === 'object' && 'value' in rule ? rule.value : rule;
+      return isRef(value) && (value.ref === path || value.ref === pattern);
+    }))
+    .map(([field]) => field);
+}
+
+// Removes the entries of item `removedIndex` from a { 'addresses[1].city': ... }
+// map and moves the later items up by one.
+function removeIndexedKeys(map, arrayPath, removedIndex) {
+  const prefix = `${arrayPath}[`;
+  return Object.entries(map).reduce((next, [key, value]) => {
+    const match = key.startsWith(prefix) && key.slice(prefix.length).match(/^(\d+)\](.*)$/);
+    if (!match) return { ...next, [key]: value };
+
+    const index = Number(match[1]);
+    if (index === removedIndex) return next;
+    return { ...next, [index > removedIndex ? `${prefix}${index - 1}]${match[2]}` : key]: value };
+  }, {});
+}
+
+const withoutKey = (map, key) => {
+  const { [key]: removed, ...rest } = map;
+  return rest;
+};
+
 // Form with Custom Hook
-function useForm(initialValues, validate) {
+function useForm(initialValues, schema = {}) {
   const [values, setValues] = useState(initialValues);
   const [errors, setErrors] = useState({});
   const [touched, setTouched] = useState({});
+  const [validating, setValidating] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [submitCount, setSubmitCount] = useState(0);
 
-  const handleChange = (e) => {
-    const { name, value, type, checked } = e.target;
-    
-    setValues(prev => ({
-      ...prev,
-      [name]: type === 'checkbox' ? checked : value
-    }));
+  const initialValuesRef = React.useRef(initialValues);
+  // The latest values, for event handlers that run before the next render.
+  const valuesRef = React.useRef(values);
+  // One entry per field with an async check: { value, promise, flush, cancel }.
+  const asyncChecks = React.useRef({});
 
-    // Clear error when user starts typing
-    if (errors[name]) {
-      setErrors(prev => ({
-        ...prev,
-        [name]: ''
-      }));
+  const setFieldError = (path, message) => {
+    setErrors(prev => (message ? { ...prev, [path]: message } : withoutKey(prev, path)));
+  };
+
+  const cancelAsync = (path) => {
+    asyncChecks.current[path]?.cancel();
+    delete asyncChecks.current[path];
+    setValidating(prev => withoutKey(prev, path));
+  };
+
+  // Debounced: typing "alice" starts one request, not five. A newer value
+  // aborts the older request, so a slow answer can't overwrite a newer one.
+  const runAsync = (path, value, allValues, { immediate = false } = {}) => {
+    const rules = getRules(schema, path);
+    if (!rules?.asyncValidate) return Promise.resolve('');
+
+    const existing = asyncChecks.current[path];
+    if (existing && Object.is(existing.value, value)) {
+      if (immediate) existing.flush();
+      return existing.promise;
     }
+    cancelAsync(path);
+
+    const controller = new AbortController();
+    let timer = null;
+    let resolve;
+    const promise = new Promise(done => {
+      resolve = done;
+    });
+    const start = () => {
+      clearTimeout(timer);
+      timer = null;
+      Promise.resolve()
+        .then(() => rules.asyncValidate(value, allValues, { signal: controller.signal }))
+        .catch(error => error?.message || 'Validation failed')
+        .then(message => {
+          if (controller.signal.aborted) return;
+          setValidating(prev => withoutKey(prev, path));
+          setFieldError(path, message || '');
+          resolve(message || '');
+        });
+    };
+
+    asyncChecks.current[path] = {
+      value,
+      promise,
+      flush: () => timer !== null && start(),
+      // A replaced check settles with no error; the newer check reports instead.
+      cancel: () => {
+        clearTimeout(timer);
+        controller.abort();
+        resolve('');
+      }
+    };
+    setValidating(prev => ({ ...prev, [path]: true }));
+    if (immediate) start();
+    else timer = setTimeout(start, rules.debounce ?? 400);
+    return promise;
   };
 
-  const handleBlur = (e) => {
-    const { name } = e.target;
+  const validateField = (path, allValues) => {
+    const value = getIn(allValues, path);
+    const message = validateValue(getRules(schema, path), value, allValues);
+    if (message) {
+      cancelAsync(path);
+      setFieldError(path, message);
+      return;
+    }
+    // Keep the error of a pending or finished async check for the same value.
+    if (!asyncChecks.current[path] || !Object.is(asyncChecks.current[path].value, value)) {
+      setFieldError(path, '');
+    }
+    runAsync(path, value, allValues);
+  };
+
+  // Cancel pending checks when the form unmounts
+  React.useEffect(() => () => {
+    Object.values(asyncChecks.current).forEach(check => check.cancel());
+  }, []);
+
+  const setValue = (path, value) => {
+    const nextValues = setIn(valuesRef.current, path, value);
+    valuesRef.current = nextValues;
+    setValues(nextValues);
+
+    // Errors only show once a field is touched, but isValid needs them now.
+    [path, ...findDependents(schema, path).flatMap(pattern => expandPath(pattern, nextValues))]
+      .filter(field => getRules(schema, field))
+      .forEach(field => validateField(field, nextValues));
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked, files } = e.target;
+    if (type === 'file') {
+      // File fields always hold an array, even without `multiple`
+      setValue(name, Array.from(files));
+    } else {
+      setValue(name, type === 'checkbox' ? checked : value);
+    }
+  };
+
+  const setFieldTouched = (path) => {
     setTouched(prev => ({
       ...prev,
-      [name]: true
+      [path]: true
     }));
+  };
+
+  const handleBlur = (e) => {
+    const { name } = e.target;
+    setFieldTouched(name);
 
     // Validate field on blur
-    if (validate) {
-      const fieldError = validate(name, values[name]);
-      setErrors(prev => ({
-        ...prev,
-        [name]: fieldError
-      }));
+    if (getRules(schema, name)) {
+      validateField(name, valuesRef.current);
     }
   };
 
-  const handleSubmit = (onSubmit) => (e) => {
+  const handleSubmit = (onSubmit) => async (e) => {
     e.preventDefault();
-    
-    if (validate) {
-      const newErrors = {};
-      Object.keys(values).forEach(field => {
-        const fieldError = validate(field, values[field]);
-        if (fieldError) {
-          newErrors[field] = fieldError;
-        }
-      });
-      
+    const current = valuesRef.current;
+    const paths = schemaPaths(schema, current);
+
+    setSubmitCount(count => count + 1);
+    setTouched(paths.reduce((acc, path) => ({ ...acc, [path]: true }), {}));
+    setIsSubmitting(true);
+
+    try {
+      // Sync rules first; async checks only run for fields that passed them.
+      const syncErrors = validateAll(schema, current);
+      const asyncMessages = await Promise.all(
+        paths.map(path => (syncErrors[path] ? '' : runAsync(path, getIn(current, path), current, { immediate: true })))
+      );
+      const newErrors = paths.reduce((acc, path, index) => {
+        const message = syncErrors[path] || asyncMessages[index];
+        return message ? { ...acc, [path]: message } : acc;
+      }, {});
+
       setErrors(newErrors);
-      setTouched(Object.keys(values).reduce((acc, key) => ({ ...acc, [key]: true }), {}));
-      
       if (Object.keys(newErrors).length === 0) {
-        onSubmit(values);
+        await onSubmit(current);
       }
-    } else {
-      onSubmit(values);
+    } finally {
+      setIsSubmitting(false);
     }
   };
 
+  const reset = (nextValues = initialValuesRef.current) => {
+    Object.keys(asyncChecks.current).forEach(cancelAsync);
+    valuesRef.current = nextValues;
+    setValues(nextValues);
+    setErrors({});
+    setTouched({});
+    setSubmitCount(0);
+  };
+
+  // Used by useFieldArray: drops one item together with its errors and touched flags.
+  const removeArrayItem = (arrayPath, index) => {
+    Object.keys(asyncChecks.current)
+      .filter(path => path.startsWith(`${arrayPath}[`))
+      .forEach(cancelAsync);
+    setErrors(prev => removeIndexedKeys(prev, arrayPath, index));
+    setTouched(prev => removeIndexedKeys(prev, arrayPath, index));
+    setValue(arrayPath, getIn(valuesRef.current, arrayPath).filter((item, i) => i !== index));
+  };
+
+  const isValidating = Object.keys(validating).length > 0;
+  const isValid = !isValidating &&
+    Object.keys(errors).length === 0 &&
+    Object.keys(validateAll(schema, values)).length === 0;
+
   return {
     values,
     errors,
     touched,
+    validating,
+    isSubmitting,
+    isValidating,
+    isValid,
+    isDirty: !isEqual(values, initialValuesRef.current),
+    isFieldDirty: (path) => !isEqual(getIn(values, path), getIn(initialValuesRef.current, path)),
+    submitCount,
+    // The error to show: only for touched fields, or for every field after a submit attempt
+    fieldError: (path) => (touched[path] || submitCount > 0 ? errors[path] : undefined),
+    getValue: (path) => getIn(valuesRef.current, path),
+    setValue,
+    setFieldTouched,
+    register: (path) => ({ name: path, value: getIn(values, path) ?? '', onChange: handleChange, onBlur: handleBlur }),
     handleChange,
     handleBlur,
-    handleSubmit
+    handleSubmit,
+    reset,
+    removeArrayItem
+  };
+}
+
+// Add/remove helpers for an array field such as `addresses`. Every item gets
+// a stable key, so removing the first address doesn't move the typed text
+// into the wrong inputs.
+function useFieldArray(form, name) {
+  const items = form.getValue(name) ?? [];
+  const keys = React.useRef([]);
+  const nextKey = React.useRef(0);
+
+  // Items added outside the helpers (initial values, reset) get keys too.
+  while (keys.current.length < items.length) keys.current.push(nextKey.current++);
+  keys.current.length = items.length;
+
+  return {
+    fields: items.map((item, index) => ({ key: keys.current[index], index, name: `${name}[${index}]` })),
+    append: (item) => {
+      keys.current.push(nextKey.current++);
+      form.setValue(name, [...items, item]);
+    },
+    remove: (index) => {
+      keys.current.splice(index, 1);
+      form.removeArrayItem(name, index);
+    }
   };
 }
 
 function CustomHookForm() {
-  const validate = (field, value) => {
-    switch (field) {
-      case 'username':
-        if (!value) return 'Username is required';
-        if (value.length < 3) return 'Username must be at least 3 characters';
-        return '';
-      case 'password':
-        if (!value) return 'Password is required';
-        if (value.length < 6) return 'Password must be at least 6 characters';
-        return '';
-      default:
-        return '';
+  const schema = {
+    username: {
+      required: 'Username is required',
+      minLength: { value: 3, message: 'Username must be at least 3 characters' }
+    },
+    password: {
+      required: 'Password is required',
+      minLength: { value: 6, message: 'Password must be at least 6 characters' }
     }
   };
 
   const { values, errors, touched, handleChange, handleBlur, handleSubmit } = useForm(
     { username: '', password: '' },
-    validate
+    schema
   );
 
   const onSubmit = (formData) => {
@@ -557,6 +1135,441 @@ function CustomHookForm() {
   );
 }
 
+// Schema-based Signup Form
+const TAKEN_USERNAMES = ['admin', 'react', 'student'];
+
+// Stands in for GET /api/usernames/:name. Aborted when the user keeps typing.
+function checkUsernameAvailable(username, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      resolve(TAKEN_USERNAMES.includes(username.toLowerCase()) ? `"${username}" is already taken` : '');
+    }, 500);
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new DOMException('Aborted', 'AbortError'));
+    });
+  });
+}
+
+const signupSchema = {
+  username: {
+    required: 'Username is required',
+    minLength: { value: 3, message: 'Username must be at least 3 characters' },
+    pattern: { value: /^[a-z0-9_]+$/i, message: 'Use letters, numbers and _ only' },
+    asyncValidate: (value, values, { signal }) => checkUsernameAvailable(value, signal),
+    debounce: 400
+  },
+  email: {
+    required: 'Email is required',
+    pattern: { value: /\S+@\S+\.\S+/, message: 'Email is invalid' }
+  },
+  password: {
+    required: 'Password is required',
+    minLength: { value: 8, message: 'Password must be at least 8 characters' },
+    validate: (value) => (/\d/.test(value) ? '' : 'Password must contain a number')
+  },
+  confirmPassword: {
+    required: 'Please confirm your password',
+    equals: { value: ref('password'), message: 'Passwords do not match' }
+  },
+  age: {
+    min: { value: 13, message: 'You must be at least 13' },
+    max: { value: 120, message: 'Please enter a valid age' }
+  },
+  addresses: {
+    required: 'Add at least one address'
+  },
+  'addresses[].street': { required: 'Street is required' },
+  'addresses[].city': { required: 'City is required' },
+  'addresses[].zip': {
+    pattern: { value: /^\d{5}$/, message: 'ZIP code must have 5 digits' }
+  }
+};
+
+const emptyAddress = { street: '', city: '', zip: '' };
+
+function TextField({ form, name, label, type = 'text' }) {
+  const error = form.fieldError(name);
+
+  return (
+    <div style={{ marginBottom: '15px' }}>
+      <label>
+        {label}:
+        <input
+          type={type}
+          {...form.register(name)}
+          style={{
+            width: '100%',
+            padding: '8px',
+            marginTop: '5px',
+            border: error ? '2px solid red' : '1px solid #ccc',
+            borderRadius: '4px'
+          }}
+        />
+      </label>
+      {form.validating[name] && (
+        <div style={{ color: '#666', fontSize: '14px' }}>Checking...</div>
+      )}
+      {error && <div style={{ color: 'red', fontSize: '14px' }}>{error}</div>}
+    </div>
+  );
+}
+
+function SignupForm() {
+  const form = useForm(
+    { username: '', email: '', password: '', confirmPassword: '', age: '', addresses: [emptyAddress] },
+    signupSchema
+  );
+  const addresses = useFieldArray(form, 'addresses');
+
+  const onSubmit = async (formData) => {
+    // Pretend to send the data to a server
+    await new Promise(resolve => setTimeout(resolve, 800));
+    console.log('Signup form submitted:', formData);
+    alert('Account created!');
+    form.reset();
+  };
+
+  return (
+    <div>
+      <h2>Form with a Validation Schema</h2>
+      <form onSubmit={form.handleSubmit(onSubmit)} style={{ maxWidth: '500px' }}>
+        <TextField form={form} name="username" label="Username" />
+        <TextField form={form} name="email" label="Email" type="email" />
+        <TextField form={form} name="password" label="Password" type="password" />
+        <TextField form={form} name="confirmPassword" label="Confirm Password" type="password" />
+        <TextField form={form} name="age" label="Age (optional)" type="number" />
+
+        <fieldset style={{ marginBottom: '15px', border: '1px solid #ccc', borderRadius: '4px' }}>
+          <legend>Addresses</legend>
+          {addresses.fields.map(({ key, index, name }) => (
+            <div key={key} style={{ marginBottom: '10px', paddingBottom: '10px', borderBottom: '1px solid #eee' }}>
+              <TextField form={form} name={`${name}.street`} label={`Street #${index + 1}`} />
+              <TextField form={form} name={`${name}.city`} label="City" />
+              <TextField form={form} name={`${name}.zip`} label="ZIP" />
+              <button type="button" onClick={() => addresses.remove(index)}>
+                Remove address
+              </button>
+            </div>
+          ))}
+          {form.fieldError('addresses') && (
+            <div style={{ color: 'red', fontSize: '14px' }}>{form.fieldError('addresses')}</div>
+          )}
+          <button type="button" onClick={() => addresses.append(emptyAddress)}>
+            Add address
+          </button>
+        </fieldset>
+
+        <p style={{ fontSize: '14px', color: '#666' }}>
+          {form.isDirty ? 'Unsaved changes' : 'No changes yet'} ·{' '}
+          {form.isValidating ? 'Validating...' : form.isValid ? 'Ready to submit' : 'Some fields need attention'}
+        </p>
+
+        <button
+          type="submit"
+          disabled={form.isSubmitting}
+          style={{
+            backgroundColor: form.isSubmitting ? '#6c757d' : '#17a2b8',
+            color: 'white',
+            padding: '10px 20px',
+            border: 'none',
+            borderRadius: '4px',
+            cursor: form.isSubmitting ? 'not-allowed' : 'pointer',
+            fontSize: '16px'
+          }}
+        >
+          {form.isSubmitting ? 'Creating account...' : 'Sign Up'}
+        </button>
+        <button
+          type="button"
+          onClick={() => form.reset()}
+          disabled={!form.isDirty || form.isSubmitting}
+          style={{ marginLeft: '10px', padding: '10px 20px', fontSize: '16px' }}
+        >
+          Reset
+        </button>
+      </form>
+    </div>
+  );
+}
+
+// File Uploads
+// Start the stand-in endpoint with `node 13-forms-upload-server.mjs`.
+const UPLOAD_URL = 'http://localhost:4000/upload';
+const RESIZABLE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Scales an image down to fit maxWidth × maxHeight before it is uploaded.
+// Smaller images are returned unchanged.
+function resizeImage(file, { maxWidth, maxHeight, quality = 0.85 }) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      const scale = Math.min(1, maxWidth / image.width, maxHeight / image.height);
+      if (scale === 1) {
+        resolve(file);
+        return;
+      }
+
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(image.width * scale);
+      canvas.height = Math.round(image.height * scale);
+      canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+      canvas.toBlob(blob => {
+        if (blob) {
+          resolve(new File([blob], file.name, { type: file.type, lastModified: Date.now() }));
+        } else {
+          reject(new Error(`Could not resize ${file.name}`));
+        }
+      }, file.type, quality);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(`${file.name} is not a readable image`));
+    };
+    image.src = url;
+  });
+}
+
+// fetch() can't report upload progress, so uploads use XMLHttpRequest.
+// `fields` is { name: File[] }; every file becomes one multipart part.
+function uploadFiles(url, fields, { onProgress, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const body = new FormData();
+    Object.entries(fields).forEach(([name, files]) => {
+      files.forEach(file => body.append(name, file));
+    });
+
+    const xhr = new XMLHttpRequest();
+    xhr.open('POST', url);
+    xhr.responseType = 'json';
+
+    xhr.upload.onprogress = (e) => {
+      if (e.lengthComputable) {
+        onProgress?.(e.loaded / e.total);
+      }
+    };
+    xhr.onload = () => {
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve(xhr.response);
+      } else {
+        reject(new Error(xhr.response?.error ?? `Upload failed with status ${xhr.status}`));
+      }
+    };
+    xhr.onerror = () => reject(new Error('Upload failed. Is the upload server running?'));
+    xhr.onabort = () => reject(new DOMException('Upload cancelled', 'AbortError'));
+
+    signal?.addEventListener('abort', () => xhr.abort());
+    xhr.send(body);
+  });
+}
+
+// An object URL for previewing a File, revoked when the file changes or the component unmounts
+function useObjectUrl(file) {
+  const [url, setUrl] = useState(null);
+
+  React.useEffect(() => {
+    const objectUrl = URL.createObjectURL(file);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [file]);
+
+  return url;
+}
+
+function FilePreview({ file }) {
+  const url = useObjectUrl(file);
+  if (!file.type.startsWith('image/') || !url) {
+    return <span style={{ fontSize: '24px' }}>📄</span>;
+  }
+  return <img src={url} alt={file.name} style={{ width: '48px', height: '48px', objectFit: 'cover', borderRadius: '4px' }} />;
+}
+
+// A file field for useForm: click to choose or drag files onto it.
+// `accept` only filters the file picker; dropped files are checked by the schema.
+function FileDropzone({ form, name, label, accept = [], multiple = false, resize }) {
+  const [isDragging, setIsDragging] = useState(false);
+  const inputRef = React.useRef(null);
+  const files = form.getValue(name) ?? [];
+  const error = form.fieldError(name);
+
+  const addFiles = async (fileList) => {
+    const selected = Array.from(fileList);
+    if (selected.length === 0) return;
+
+    // Keep the original when an image can't be resized
+    const prepared = resize
+      ? await Promise.all(selected.map(file => (
+        RESIZABLE_TYPES.includes(file.type) ? resizeImage(file, resize).catch(() => file) : file
+      )))
+      : selected;
+
+    form.setValue(name, multiple ? [...form.getValue(name), ...prepared] : prepared.slice(0, 1));
+    form.setFieldTouched(name);
+  };
+
+  const removeFile = (index) => {
+    form.setValue(name, files.filter((file, i) => i !== index));
+  };
+
+  return (
+    <div style={{ marginBottom: '15px' }}>
+      <div>{label}:</div>
+      <div
+        onDragOver={(e) => {
+          e.preventDefault();
+          setIsDragging(true);
+        }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={(e) => {
+          e.preventDefault();
+          setIsDragging(false);
+          addFiles(e.dataTransfer.files);
+        }}
+        style={{
+          marginTop: '5px',
+          padding: '20px',
+          textAlign: 'center',
+          border: `2px dashed ${error ? 'red' : isDragging ? '#007bff' : '#ccc'}`,
+          backgroundColor: isDragging ? '#e7f1ff' : 'transparent',
+          borderRadius: '4px'
+        }}
+      >
+        <p style={{ margin: '0 0 10px' }}>Drag {multiple ? 'files' : 'a file'} here or</p>
+        <button type="button" onClick={() => inputRef.current.click()}>
+          Choose {multiple ? 'files' : 'a file'}
+        </button>
+        <input
+          ref={inputRef}
+          type="file"
+          name={name}
+          accept={accept.join(',')}
+          multiple={multiple}
+          onChange={(e) => {
+            addFiles(e.target.files);
+            // Allow choosing the same file again after removing it
+            e.target.value = '';
+          }}
+          style={{ display: 'none' }}
+        />
+      </div>
+
+      {files.map((file, index) => (
+        <div
+          key={`${file.name}-${file.lastModified}-${index}`}
+          style={{ display: 'flex', alignItems: 'center', gap: '10px', marginTop: '8px' }}
+        >
+          <FilePreview file={file} />
+          <span style={{ flex: 1 }}>
+            {file.name} <span style={{ color: '#666' }}>({formatFileSize(file.size)})</span>
+          </span>
+          <button type="button" onClick={() => removeFile(index)}>
+            Remove
+          </button>
+        </div>
+      ))}
+      {error && <div style={{ color: 'red', fontSize: '14px' }}>{error}</div>}
+    </div>
+  );
+}
+
+const uploadSchema = {
+  avatar: {
+    required: 'Please choose a profile picture',
+    accept: { value: ['image/jpeg', 'image/png', 'image/webp'], message: 'The avatar must be a JPEG, PNG or WebP image' },
+    maxSize: { value: 2 * 1024 * 1024, message: 'The avatar must be 2 MB or smaller' }
+  },
+  documents: {
+    maxLength: { value: 3, message: 'You can upload up to 3 documents' },
+    accept: { value: ['application/pdf', 'image/*'], message: 'Documents must be PDFs or images' },
+    maxSize: { value: 5 * 1024 * 1024, message: 'Each document must be 5 MB or smaller' }
+  }
+};
+
+function UploadForm() {
+  const form = useForm({ avatar: [], documents: [] }, uploadSchema);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState('');
+  const uploadController = React.useRef(null);
+
+  // Cancel a running upload when the form unmounts
+  React.useEffect(() => () => uploadController.current?.abort(), []);
+
+  const onSubmit = async (formData) => {
+    const controller = new AbortController();
+    uploadController.current = controller;
+    setProgress(0);
+    setResult('');
+
+    try {
+      const response = await uploadFiles(UPLOAD_URL, formData, {
+        onProgress: setProgress,
+        signal: controller.signal
+      });
+      setResult(`Uploaded ${response.files.length} file(s).`);
+      form.reset();
+    } catch (error) {
+      setResult(error.name === 'AbortError' ? 'Upload cancelled.' : error.message);
+    } finally {
+      uploadController.current = null;
+      setProgress(null);
+    }
+  };
+
+  return (
+    <div>
+      <h2>File Uploads</h2>
+      <form onSubmit={form.handleSubmit(onSubmit)} style={{ maxWidth: '500px' }}>
+        <FileDropzone
+          form={form}
+          name="avatar"
+          label="Profile picture"
+          accept={['image/jpeg', 'image/png', 'image/webp']}
+          resize={{ maxWidth: 256, maxHeight: 256 }}
+        />
+        <FileDropzone
+          form={form}
+          name="documents"
+          label="Documents (optional)"
+          accept={['application/pdf', 'image/*']}
+          multiple
+        />
+
+        {progress !== null && (
+          <div style={{ marginBottom: '15px' }}>
+            <progress value={progress} max="1" style={{ width: '100%' }} />
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <span>Uploading... {Math.round(progress * 100)}%</span>
+              <button type="button" onClick={() => uploadController.current?.abort()}>
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+        {result && <p role="status">{result}</p>}
+
+        <button
+          type="submit"
+          disabled={form.isSubmitting}
+          style={{
+            backgroundColor: form.isSubmitting ? '#6c757d' : '#6f42c1',
+            color: 'white',
+            padding: '10px 20px',
+            border: 'none',
+            borderRadius: '4px',
+            cursor: form.isSubmitting ? 'not-allowed' : 'pointer',
+            fontSize: '16px'
+          }}
+        >
+          Upload
+        </button>
+      </form>
+    </div>
+  );
+}
+
 // Main App Component
 function App() {
   return (
@@ -574,6 +1587,14 @@ function App() {
       <div style={{ marginBottom: '40px', border: '1px solid #ccc', padding: '20px', borderRadius: '8px' }}>
         <CustomHookForm />
       </div>
+
+      <div style={{ marginBottom: '40px', border: '1px solid #ccc', padding: '20px', borderRadius: '8px' }}>
+        <SignupForm />
+      </div>
+
+      <div style={{ marginBottom: '40px', border: '1px solid #ccc', padding: '20px', borderRadius: '8px' }}>
+        <UploadForm />
+      </div>
     </div>
   );
 }
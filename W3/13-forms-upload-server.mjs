@@ -0,0 +1,67 @@
+// Stand-in upload endpoint for the File Uploads example in 13-forms-example.jsx.
+//
+//   node 13-forms-upload-server.mjs            → http://localhost:4000/upload
+//   node 13-forms-upload-server.mjs --slow     → reads slowly, so the progress bar is visible
+//
+// Files are counted but not stored. The reply lists the received files:
+// { files: [{ field, name, type }], bytes }
+import { createDevServer, sendJson } from './dev-server.mjs';
+
+const PORT = Number(process.env.PORT) || 4000;
+const MAX_BYTES = 20 * 1024 * 1024;
+const SLOW = process.argv.includes('--slow');
+
+// Reads the part headers of a multipart body:
+// Content-Disposition: form-data; name="avatar"; filename="me.png"
+function listFiles(body) {
+  const files = [];
+  const partHeaders = /Content-Disposition: form-data; name="([^"]*)"; filename="([^"]*)"\r\nContent-Type: ([^\r]*)/g;
+  for (const [, field, name, type] of body.toString('latin1').matchAll(partHeaders)) {
+    files.push({ field, name, type });
+  }
+  return files;
+}
+
+const server = createDevServer((req, res) => {
+  if (req.url !== '/upload') {
+    sendJson(res, 404, { error: 'Not found' });
+    return;
+  }
+  if (req.method !== 'POST') {
+    sendJson(res, 405, { error: 'Use POST to upload files' });
+    return;
+  }
+  if (!String(req.headers['content-type']).startsWith('multipart/form-data')) {
+    sendJson(res, 415, { error: 'Expected a multipart/form-data body' });
+    return;
+  }
+
+  const chunks = [];
+  let bytes = 0;
+
+  req.on('data', (chunk) => {
+    bytes += chunk.length;
+    if (bytes > MAX_BYTES) {
+      sendJson(res, 413, { error: 'The upload is larger than 20 MB' });
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+
+    // Pausing the request slows the client down, like a slow network would
+    if (SLOW) {
+      req.pause();
+      setTimeout(() => req.resume(), 100);
+    }
+  });
+
+  req.on('end', () => {
+    const files = listFiles(Buffer.concat(chunks));
+    console.log(`Received ${files.length} file(s), ${bytes} bytes`);
+    sendJson(res, 200, { files, bytes });
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Upload server listening on http://localhost:${PORT}/upload${SLOW ? ' (slow mode)' : ''}`);
+});
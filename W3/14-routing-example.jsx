@@ -1,26 +1,355 @@
 import React, { useState } from 'react';
 
-// Simple Router Implementation
-function SimpleRouter({ children }) {
-  const [currentPath, setCurrentPath] = useState(window.location.pathname);
+// Path Matching
+// Patterns are split into segments: "products" must match exactly, ":id" captures
+// one segment, ":postId?" may be left out and "*" captures the rest of the URL.
+function splitPath(path) {
+  return path.split('/').filter(Boolean);
+}
+
+function joinPaths(...paths) {
+  return '/' + paths.flatMap(splitPath).join('/');
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const safeDecode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+};
+
+function compilePath(pattern, end) {
+  const keys = [];
+  let source = '^';
+
+  splitPath(pattern).forEach((segment, index, segments) => {
+    if (segment === '*') {
+      if (index !== segments.length - 1) {
+        throw new Error(`"*" must be the last segment of "${pattern}"`);
+      }
+      keys.push('*');
+      source += '(?:/(.*?))?';
+    } else if (segment.startsWith(':')) {
+      const optional = segment.endsWith('?');
+      keys.push(segment.slice(1, optional ? -1 : undefined));
+      source += optional ? '(?:/([^/]+))?' : '/([^/]+)';
+    } else {
+      source += '/' + escapeRegExp(segment);
+    }
+  });
+
+  // end: the whole pathname must match; otherwise a prefix ending at a "/" is enough,
+  // so "/products" never matches "/products-archive".
+  source += end ? '/*$' : '(?=/|$)';
+  return { regexp: new RegExp(source, 'i'), keys };
+}
+
+// Returns { params, pathname, pathnameBase } or null. pathnameBase is the matched
+// part without the "*" remainder, which nested routes are resolved against.
+function matchPath(pattern, pathname, { end = true } = {}) {
+  const { regexp, keys } = compilePath(pattern, end);
+  const match = pathname.match(regexp);
+  if (!match) return null;
+
+  const params = {};
+  keys.forEach((key, index) => {
+    const value = match[index + 1];
+    if (value !== undefined) params[key] = safeDecode(value);
+  });
+
+  const matched = match[0].replace(/\/+$/, '') || '/';
+  const rest = params['*'] === undefined ? '' : match[keys.indexOf('*') + 1];
+  const base = matched.slice(0, matched.length - rest.length).replace(/\/+$/, '') || '/';
+  return { params, pathname: matched, pathnameBase: base };
+}
 
-  const navigate = (path) => {
-    window.history.pushState({}, '', path);
-    setCurrentPath(path);
+// More specific patterns score higher: static segments beat ":params", which
+// beat optional params, and "*" scores lowest. Index routes get a small bonus
+// so they win over their parent layout.
+function scorePath(pattern, isIndex) {
+  const segments = splitPath(pattern);
+  const segmentScore = segments.reduce((score, segment) => {
+    if (segment === '*') return score - 2;
+    if (segment.startsWith(':')) return score + (segment.endsWith('?') ? 2 : 3);
+    return score + 10;
+  }, segments.length);
+  return segmentScore + (isIndex ? 2 : 0) + (segments.length === 0 ? 1 : 0);
+}
+
+// Resolves "details", "../settings" or "?tab=posts" against a base pathname.
+function resolvePath(to, basePathname) {
+  const [path, search = ''] = to.split('?');
+  const query = search ? `?${search}` : '';
+  if (path.startsWith('/')) return joinPaths(path) + query;
+  if (!path) return basePathname + query;
+
+  const segments = splitPath(basePathname);
+  splitPath(path).forEach((segment) => {
+    if (segment === '..') segments.pop();
+    else if (segment !== '.') segments.push(segment);
+  });
+  return '/' + segments.join('/') + query;
+}
+
+// History Backends
+// SimpleRouter only talks to a `history` object, so where the location lives
+// can be swapped:
+// - browser: real paths (/products/2) through the History API; the server must
+//   answer every path with index.html.
+// - hash: the path lives after the # (index.html#/products/2), which works from
+//   the file system and on any static host.
+// - memory: an array of entries and no URL at all, for tests and embedded widgets.
+// Every history has the same shape: location, push, replace, go, back, forward,
+// listen, block and createHref. A location is { pathname, search, state }, where
+// `state` travels with the entry without showing up in the URL.
+function createLocation(to, state = null) {
+  const [pathname, search = ''] = to.split('?');
+  return { pathname: pathname || '/', search: search ? `?${search}` : '', state };
+}
+
+// While a blocker is registered, transitions don't happen: each blocker gets
+// { action, location, retry } instead and may call retry() once it has removed
+// itself (e.g. after the user confirmed leaving).
+function createTransitionManager() {
+  const listeners = new Set();
+  const blockers = new Set();
+
+  const subscribe = (set, callback) => {
+    set.add(callback);
+    return () => set.delete(callback);
   };
 
-  // Listen for browser back/forward buttons
-  React.useEffect(() => {
-    const handlePopState = () => {
-      setCurrentPath(window.location.pathname);
+  return {
+    listen: (listener) => subscribe(listeners, listener),
+    block: (blocker) => subscribe(blockers, blocker),
+    notify: (location, action) => listeners.forEach(listener => listener(location, action)),
+    isBlocked: () => blockers.size > 0,
+    callBlockers: (transition) => blockers.forEach(blocker => blocker(transition))
+  };
+}
+
+// Browser and hash history. Each entry's position is stored in
+// window.history.state, so a back/forward press can be undone while blocked:
+// the popstate has already happened, so we jump back with go(delta) and
+// replay it later through retry().
+function createDomHistory({ readPath, createHref }) {
+  const manager = createTransitionManager();
+  const readIndex = () => window.history.state?.idx;
+  const readLocation = () => createLocation(readPath(), window.history.state?.usr ?? null);
+
+  let index = readIndex();
+  if (index === undefined) {
+    index = 0;
+    window.history.replaceState({ usr: window.history.state, idx: index }, '');
+  }
+  let location = readLocation();
+  let blockedPop = null;
+  let allowedPop = false;
+
+  const commit = (action) => {
+    index = readIndex();
+    location = readLocation();
+    manager.notify(location, action);
+  };
+
+  const handlePop = () => {
+    if (blockedPop) {
+      // This popstate is our own go(delta) undoing the blocked one.
+      manager.callBlockers(blockedPop);
+      blockedPop = null;
+      return;
+    }
+
+    const nextIndex = readIndex();
+    if (allowedPop) {
+      // The retry() of a blocked pop: the blocker already agreed.
+      allowedPop = false;
+    } else if (nextIndex === undefined) {
+      // An entry we didn't create, e.g. a #hash typed into the address bar.
+      window.history.replaceState({ usr: null, idx: index + 1 }, '');
+    } else if (nextIndex !== index && manager.isBlocked()) {
+      const delta = index - nextIndex;
+      const retry = () => {
+        allowedPop = true;
+        window.history.go(-delta);
+      };
+      blockedPop = { action: 'POP', location: readLocation(), retry };
+      window.history.go(delta);
+      return;
+    }
+    commit('POP');
+  };
+
+  // popstate is only listened to while the history has listeners or blockers,
+  // so a history that is no longer used (an unmounted router, or the extra
+  // one StrictMode creates) leaves no listener behind
+  let subscriptions = 0;
+  const subscribe = (register) => (callback) => {
+    const unsubscribe = register(callback);
+    if (subscriptions === 0) {
+      // The URL may have changed while nobody was listening
+      index = readIndex() ?? index;
+      location = readLocation();
+      window.addEventListener('popstate', handlePop);
+    }
+    subscriptions += 1;
+
+    let subscribed = true;
+    return () => {
+      if (!subscribed) return;
+      subscribed = false;
+      unsubscribe();
+      subscriptions -= 1;
+      if (subscriptions === 0) window.removeEventListener('popstate', handlePop);
     };
+  };
+  const block = subscribe(manager.block);
+
+  const change = (action, to, state) => {
+    const nextLocation = createLocation(to, state);
+    if (manager.isBlocked()) {
+      manager.callBlockers({ action, location: nextLocation, retry: () => change(action, to, state) });
+      return;
+    }
+
+    const nextIndex = action === 'PUSH' ? index + 1 : index;
+    window.history[action === 'PUSH' ? 'pushState' : 'replaceState']({ usr: state, idx: nextIndex }, '', createHref(to));
+    commit(action);
+  };
+
+  const history = {
+    get location() {
+      return location;
+    },
+    push: (to, state = null) => change('PUSH', to, state),
+    replace: (to, state = null) => change('REPLACE', to, state),
+    go: (delta) => window.history.go(delta),
+    back: () => window.history.go(-1),
+    forward: () => window.history.go(1),
+    listen: subscribe(manager.listen),
+    block: (blocker) => {
+      const unblock = block(blocker);
+      // Leaving the page entirely (reload, closing the tab) asks the browser's own question.
+      const handleBeforeUnload = (event) => {
+        event.preventDefault();
+        event.returnValue = '';
+      };
+      window.addEventListener('beforeunload', handleBeforeUnload);
+      return () => {
+        unblock();
+        window.removeEventListener('beforeunload', handleBeforeUnload);
+      };
+    },
+    createHref
+  };
+  return history;
+}
+
+function createBrowserHistory() {
+  return createDomHistory({
+    readPath: () => window.location.pathname + window.location.search,
+    createHref: (to) => to
+  });
+}
 
-    window.addEventListener('popstate', handlePopState);
-    return () => window.removeEventListener('popstate', handlePopState);
-  }, []);
+function createHashHistory() {
+  return createDomHistory({
+    readPath: () => window.location.hash.slice(1) || '/',
+    createHref: (to) => `#${to}`
+  });
+}
+
+function createMemoryHistory({ initialEntries = ['/'], initialIndex = initialEntries.length - 1 } = {}) {
+  const manager = createTransitionManager();
+  const entries = initialEntries.map(entry => (typeof entry === 'string' ? createLocation(entry) : entry));
+  let index = Math.min(Math.max(initialIndex, 0), entries.length - 1);
+
+  const change = (action, nextIndex, nextLocation, retry) => {
+    if (manager.isBlocked()) {
+      manager.callBlockers({ action, location: nextLocation, retry });
+      return;
+    }
+    if (action === 'PUSH') entries.splice(nextIndex, entries.length, nextLocation);
+    if (action === 'REPLACE') entries[nextIndex] = nextLocation;
+    index = nextIndex;
+    manager.notify(entries[index], action);
+  };
+
+  const history = {
+    get location() {
+      return entries[index];
+    },
+    push: (to, state = null) => change('PUSH', index + 1, createLocation(to, state), () => history.push(to, state)),
+    replace: (to, state = null) => change('REPLACE', index, createLocation(to, state), () => history.replace(to, state)),
+    go: (delta) => {
+      const nextIndex = Math.min(Math.max(index + delta, 0), entries.length - 1);
+      if (nextIndex === index) return;
+      change('POP', nextIndex, entries[nextIndex], () => history.go(delta));
+    },
+    back: () => history.go(-1),
+    forward: () => history.go(1),
+    listen: manager.listen,
+    block: manager.block,
+    createHref: (to) => to
+  };
+  return history;
+}
+
+const HISTORY_FACTORIES = {
+  browser: createBrowserHistory,
+  hash: createHashHistory,
+  memory: createMemoryHistory
+};
+
+// Simple Router Implementation
+// Pass a ready-made `history` (e.g. createMemoryHistory in a test) or pick a
+// `mode`; either way navigate(), back() and forward() work the same.
+function SimpleRouter({ children, mode = 'browser', history: historyProp, initialEntries }) {
+  const [history] = useState(() => {
+    if (historyProp) return historyProp;
+    const createHistory = HISTORY_FACTORIES[mode];
+    if (!createHistory) {
+      throw new Error(`Unknown history mode "${mode}". Use browser, hash or memory.`);
+    }
+    return createHistory({ initialEntries });
+  });
+  const [location, setLocation] = useState(() => history.location);
+
+  // Listen for back/forward buttons and for navigation from outside React
+  React.useEffect(() => {
+    setLocation(history.location);
+    return history.listen(setLocation);
+  }, [history]);
+
+  // navigate('/about'), navigate('/login', { replace: true, state }) or navigate(-1)
+  const navigate = React.useCallback((to, { replace = false, state = null } = {}) => {
+    if (typeof to === 'number') {
+      history.go(to);
+    } else if (replace) {
+      history.replace(to, state);
+    } else {
+      history.push(to, state);
+    }
+  }, [history]);
+
+  const value = React.useMemo(
+    () => ({
+      location,
+      currentPath: location.pathname,
+      navigate,
+      back: history.back,
+      forward: history.forward,
+      createHref: history.createHref,
+      history
+    }),
+    [location, navigate, history]
+  );
 
   return (
-    <RouterContext.Provider value={{ currentPath, navigate }}>
+    <RouterContext.Provider value={value}>
       {children}
     </RouterContext.Provider>
   );
@@ -28,6 +357,11 @@ function SimpleRouter({ children }) {
 
 const RouterContext = React.createContext();
 
+// What the closest matched <Route> knows: its params, the pathname that nested
+// routes and relative links resolve against, and the element for <Outlet>.
+// Also carries the route's loader data, or the error its loader threw.
+const RouteContext = React.createContext({ params: {}, pathnameBase: '/', outlet: null });
+
 function useRouter() {
   const context = React.useContext(RouterContext);
   if (!context) {
@@ -36,29 +370,247 @@ function useRouter() {
   return context;
 }
 
+function useLocation() {
+  return useRouter().location;
+}
+
+function useParams() {
+  return React.useContext(RouteContext).params;
+}
+
+function useSearchParams() {
+  const { location, navigate } = useRouter();
+  const searchParams = React.useMemo(() => new URLSearchParams(location.search), [location.search]);
+
+  // Accepts anything URLSearchParams accepts, or a function of the current params.
+  const setSearchParams = React.useCallback((next, options) => {
+    const value = typeof next === 'function' ? next(new URLSearchParams(location.search)) : next;
+    const search = new URLSearchParams(value).toString();
+    navigate(location.pathname + (search ? `?${search}` : ''), options);
+  }, [location, navigate]);
+
+  return [searchParams, setSearchParams];
+}
+
+// Holds every navigation while `when` is true, e.g. while a form has unsaved
+// changes. When the user tries to leave, `state` becomes 'blocked' and the page
+// asks them: proceed() finishes the navigation, reset() stays on the page.
+function useBlocker(when) {
+  const { history } = useRouter();
+  const [blocked, setBlocked] = useState(null);
+  const [registration, setRegistration] = useState(0);
+
+  React.useEffect(() => {
+    if (!when) return undefined;
+    const unblock = history.block((transition) => setBlocked({ ...transition, unblock }));
+    return unblock;
+  }, [history, when, registration]);
+
+  const proceed = React.useCallback(() => {
+    if (!blocked) return;
+    blocked.unblock();
+    setBlocked(null);
+    // Blocks again if the page is still shown after the navigation.
+    setRegistration(count => count + 1);
+    blocked.retry();
+  }, [blocked]);
+
+  const reset = React.useCallback(() => setBlocked(null), []);
+
+  return { state: blocked ? 'blocked' : 'unblocked', location: blocked?.location ?? null, proceed, reset };
+}
+
+function useResolvedPath(to) {
+  const { pathnameBase } = React.useContext(RouteContext);
+  return resolvePath(to, pathnameBase);
+}
+
+function useLoaderData() {
+  return React.useContext(RouteContext).loaderData;
+}
+
+function useRouteError() {
+  return React.useContext(RouteContext).error;
+}
+
 // Route Component
-function Route({ path, component: Component, exact = false }) {
-  const { currentPath } = useRouter();
-  
-  const isMatch = exact 
-    ? currentPath === path 
-    : currentPath.startsWith(path);
+// <Route> only describes a route; <Routes> reads its props and renders the match.
+// Give it an `element` (or a `component`), `path` or `index`, and nested <Route>s.
+function Route() {
+  throw new Error('<Route> must be rendered inside <Routes>');
+}
+
+// Turns the <Route> tree into flat branches: one per route that can be the last
+// match, holding the chain of routes from the outermost layout down to it.
+function flattenRoutes(children, parentPath = '/', parents = [], branches = []) {
+  React.Children.forEach(children, (child) => {
+    if (!React.isValidElement(child)) return;
+    if (child.type === React.Fragment) {
+      flattenRoutes(child.props.children, parentPath, parents, branches);
+      return;
+    }
+
+    const { path = '', index = false, children: nested } = child.props;
+    const route = { ...child.props, path: joinPaths(parentPath, path) };
+    const chain = [...parents, route];
+
+    if (nested) {
+      flattenRoutes(nested, route.path, chain, branches);
+    }
+    if (path || index || !nested) {
+      branches.push({ path: route.path, score: scorePath(route.path, index), routes: chain });
+    }
+  });
+  return branches;
+}
+
+function matchBranch(branch, pathname) {
+  const matches = [];
+  for (const [depth, route] of branch.routes.entries()) {
+    const isLast = depth === branch.routes.length - 1;
+    const match = matchPath(route.path, pathname, { end: isLast });
+    if (!match) return null;
+    matches.push({ route, ...match });
+  }
+  return matches;
+}
 
-  return isMatch ? <Component /> : null;
+// Runs the `loader` of every matched route whenever the URL changes and keeps
+// one { status, data, error } result per match. Leaving the page aborts the
+// requests through `signal`, so a slow response never lands on the next page.
+function useRouteLoaders(matches, params, location) {
+  const [results, setResults] = useState({ key: null });
+  const matchesRef = React.useRef(matches);
+  matchesRef.current = matches;
+
+  // Changes whenever the matched loaders, their params or the search do.
+  const loaderPaths = (matches ?? []).filter(match => match.route.loader).map(match => match.route.path);
+  const loaderKey = loaderPaths.length ? [...loaderPaths, location.pathname + location.search].join('|') : null;
+
+  React.useEffect(() => {
+    if (!loaderKey) return undefined;
+
+    const controller = new AbortController();
+    const searchParams = new URLSearchParams(location.search);
+    setResults({ key: loaderKey });
+
+    matchesRef.current.forEach((match, index) => {
+      if (!match.route.loader) return;
+      Promise.resolve()
+        .then(() => match.route.loader({ params, searchParams, signal: controller.signal }))
+        .then(
+          data => ({ status: 'success', data }),
+          error => ({ status: 'error', error })
+        )
+        .then(result => {
+          if (controller.signal.aborted) return;
+          setResults(current => (current.key === loaderKey ? { ...current, [index]: result } : current));
+        });
+    });
+
+    return () => controller.abort();
+  }, [loaderKey]);
+
+  return (index) => (results.key === loaderKey ? results[index] : undefined) ?? { status: 'pending' };
+}
+
+// Routes Component
+// Picks the best-ranked branch, so <Route path="*"> only wins when no other
+// route matches. Nested <Routes> match the part of the URL below their parent.
+// A route with a `loader` shows its `pendingElement` until the data arrives,
+// and its `errorElement` if the loader throws.
+function Routes({ children }) {
+  const { location } = useRouter();
+  const parent = React.useContext(RouteContext);
+
+  const branches = React.useMemo(
+    () => flattenRoutes(children).sort((a, b) => b.score - a.score),
+    [children]
+  );
+
+  const localPathname = location.pathname.slice(parent.pathnameBase === '/' ? 0 : parent.pathnameBase.length) || '/';
+  let matches = null;
+  for (const branch of branches) {
+    matches = matchBranch(branch, localPathname);
+    if (matches) break;
+  }
+
+  const params = matches ? { ...parent.params, ...matches[matches.length - 1].params } : parent.params;
+  const getLoaderResult = useRouteLoaders(matches, params, location);
+  if (!matches) return null;
+
+  return matches.reduceRight((outlet, match, index) => {
+    const { element, component: Component, loader, pendingElement, errorElement } = match.route;
+    const loaderResult = loader ? getLoaderResult(index) : { status: 'success' };
+    const value = {
+      params,
+      outlet,
+      pathnameBase: joinPaths(parent.pathnameBase, match.pathnameBase),
+      loaderData: loaderResult.data,
+      error: loaderResult.error
+    };
+
+    let content = element ?? (Component ? <Component /> : <Outlet />);
+    if (loaderResult.status === 'pending') {
+      content = pendingElement ?? <p>Loading…</p>;
+    } else if (loaderResult.status === 'error') {
+      content = errorElement ?? <RouteErrorMessage />;
+    }
+
+    return (
+      <RouteContext.Provider value={value}>
+        {content}
+      </RouteContext.Provider>
+    );
+  }, null);
+}
+
+function RouteErrorMessage() {
+  const error = useRouteError();
+  return (
+    <div>
+      <h2>Something went wrong</h2>
+      <p>{error?.message ?? String(error)}</p>
+    </div>
+  );
+}
+
+// Outlet Component
+// Renders the matched child route of the layout it is placed in.
+function Outlet() {
+  return React.useContext(RouteContext).outlet;
+}
+
+// Navigate Component
+// Redirects as soon as it renders: <Route path="/old" element={<Navigate to="/new" replace />} />
+function Navigate({ to, replace = false, state = null }) {
+  const { navigate } = useRouter();
+  const href = useResolvedPath(to);
+  // Callers usually pass a new state object on every render ({ from: location }),
+  // so the state is read from a ref instead of re-running the redirect
+  const stateRef = React.useRef(state);
+  stateRef.current = state;
+
+  React.useEffect(() => {
+    navigate(href, { replace, state: stateRef.current });
+  }, [navigate, href, replace]);
+
+  return null;
 }
 
 // Link Component
 function Link({ to, children, style = {} }) {
-  const { navigate } = useRouter();
+  const { navigate, createHref } = useRouter();
+  const href = useResolvedPath(to);
 
   const handleClick = (e) => {
     e.preventDefault();
-    navigate(to);
+    navigate(href);
   };
 
   return (
     <a 
-      href={to} 
+      href={createHref(href)} 
       onClick={handleClick}
       style={{
         color: '#007bff',
@@ -73,20 +625,19 @@ function Link({ to, children, style = {} }) {
 
 // NavLink Component (with active state)
 function NavLink({ to, children, exact = false, style = {}, activeStyle = {} }) {
-  const { currentPath, navigate } = useRouter();
+  const { currentPath, navigate, createHref } = useRouter();
+  const href = useResolvedPath(to);
 
-  const isActive = exact 
-    ? currentPath === to 
-    : currentPath.startsWith(to);
+  const isActive = matchPath(href.split('?')[0], currentPath, { end: exact }) !== null;
 
   const handleClick = (e) => {
     e.preventDefault();
-    navigate(to);
+    navigate(href);
   };
 
   return (
     <a 
-      href={to} 
+      href={createHref(href)} 
       onClick={handleClick}
       style={{
         color: '#007bff',
@@ -100,6 +651,51 @@ function NavLink({ to, children, exact = false, style = {}, activeStyle = {} })
   );
 }
 
+// Authentication
+// A pretend sign-in: any name is accepted. A real app would call its API here.
+const AuthContext = React.createContext();
+
+function AuthProvider({ children }) {
+  const [user, setUser] = useState(null);
+
+  const value = React.useMemo(() => ({
+    user,
+    signIn: (name) => setUser({ name }),
+    signOut: () => setUser(null)
+  }), [user]);
+
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+    </AuthContext.Provider>
+  );
+}
+
+function useAuth() {
+  const context = React.useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+}
+
+// RequireAuth Component
+// Sends signed-out visitors to /login and keeps the page they asked for in the
+// location state, so LoginPage can bring them back after signing in.
+function RequireAuth({ children }) {
+  const { user } = useAuth();
+  const location = useLocation();
+
+  if (!user) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+  return children;
+}
+
+// Split into its own chunk: the code is only downloaded the first time
+// /reports renders, and <React.Suspense> shows a fallback meanwhile.
+const Reports = React.lazy(() => import('./14-routing-lazy-page'));
+
 // Page Components
 function Home() {
   return (
@@ -132,19 +728,83 @@ function About() {
   );
 }
 
+const PRODUCTS = [
+  { id: 1, name: 'Product A', price: 99, description: 'Amazing product A with great features!' },
+  { id: 2, name: 'Product B', price: 149, description: 'Premium product B with advanced capabilities!' },
+  { id: 3, name: 'Product C', price: 199, description: 'Ultimate product C with all features!' }
+];
+
+// Pretend API: answers after a short delay like a real request, and stops
+// early when the router aborts the request.
+function fetchProduct(id, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      const product = PRODUCTS.find(item => String(item.id) === id);
+      if (product) {
+        resolve(product);
+      } else {
+        reject(new Error(`Product ${id} doesn't exist.`));
+      }
+    }, 600);
+
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    });
+  });
+}
+
+// Route loader: runs before ProductDetail renders, which reads the result with useLoaderData().
+const productLoader = ({ params, signal }) => fetchProduct(params.id, signal);
+
 function Products() {
-  const products = [
-    { id: 1, name: 'Product A', price: '$99' },
-    { id: 2, name: 'Product B', price: '$149' },
-    { id: 3, name: 'Product C', price: '$199' }
-  ];
+  // The filter lives in the URL (/products?q=b&sort=price-desc), so it survives
+  // a refresh and can be shared as a link.
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = searchParams.get('q') ?? '';
+  const sort = searchParams.get('sort') ?? 'name';
+
+  const updateParam = (name, value, defaultValue) => {
+    setSearchParams((params) => {
+      if (value === defaultValue) params.delete(name);
+      else params.set(name, value);
+      return params;
+    }, { replace: true });
+  };
+
+  const visibleProducts = PRODUCTS
+    .filter(product => product.name.toLowerCase().includes(query.toLowerCase()))
+    .sort((a, b) => {
+      if (sort === 'price-asc') return a.price - b.price;
+      if (sort === 'price-desc') return b.price - a.price;
+      return a.name.localeCompare(b.name);
+    });
 
   return (
     <div>
       <h2>Products Page</h2>
       <p>Check out our amazing products!</p>
+      <div style={{ display: 'flex', gap: '10px', marginTop: '20px' }}>
+        <input
+          type="search"
+          placeholder="Search products"
+          value={query}
+          onChange={(e) => updateParam('q', e.target.value, '')}
+          style={{ padding: '8px', border: '1px solid #ccc', borderRadius: '4px' }}
+        />
+        <select
+          value={sort}
+          onChange={(e) => updateParam('sort', e.target.value, 'name')}
+          style={{ padding: '8px', border: '1px solid #ccc', borderRadius: '4px' }}
+        >
+          <option value="name">Name</option>
+          <option value="price-asc">Price: low to high</option>
+          <option value="price-desc">Price: high to low</option>
+        </select>
+      </div>
       <div style={{ marginTop: '20px' }}>
-        {products.map(product => (
+        {visibleProducts.length === 0 && <p>No products match "{query}".</p>}
+        {visibleProducts.map(product => (
           <div key={product.id} style={{ 
             border: '1px solid #ccc', 
             padding: '15px', 
@@ -152,7 +812,7 @@ function Products() {
             borderRadius: '5px'
           }}>
             <h3>{product.name}</h3>
-            <p>Price: {product.price}</p>
+            <p>Price: ${product.price}</p>
             <Link to={`/products/${product.id}`}>View Details</Link>
           </div>
         ))}
@@ -162,33 +822,14 @@ function Products() {
 }
 
 function ProductDetail() {
-  const { currentPath } = useRouter();
-  const productId = currentPath.split('/').pop();
-  
-  const products = {
-    1: { name: 'Product A', price: '$99', description: 'Amazing product A with great features!' },
-    2: { name: 'Product B', price: '$149', description: 'Premium product B with advanced capabilities!' },
-    3: { name: 'Product C', price: '$199', description: 'Ultimate product C with all features!' }
-  };
-
-  const product = products[productId];
-
-  if (!product) {
-    return (
-      <div>
-        <h2>Product Not Found</h2>
-        <p>The product you're looking for doesn't exist.</p>
-        <Link to="/products">← Back to Products</Link>
-      </div>
-    );
-  }
+  const product = useLoaderData();
 
   return (
     <div>
       <h2>Product Detail</h2>
       <div style={{ marginTop: '20px' }}>
         <h3>{product.name}</h3>
-        <p><strong>Price:</strong> {product.price}</p>
+        <p><strong>Price:</strong> ${product.price}</p>
         <p><strong>Description:</strong> {product.description}</p>
         <div style={{ marginTop: '20px' }}>
           <Link to="/products">← Back to Products</Link>
@@ -198,6 +839,19 @@ function ProductDetail() {
   );
 }
 
+// errorElement of the product route: shown when productLoader rejects.
+function ProductError() {
+  const error = useRouteError();
+
+  return (
+    <div>
+      <h2>Product Not Found</h2>
+      <p>{error.message}</p>
+      <Link to="/products">← Back to Products</Link>
+    </div>
+  );
+}
+
 function Contact() {
   const [formData, setFormData] = useState({
     name: '',
@@ -218,10 +872,37 @@ function Contact() {
     setFormData({ name: '', email: '', message: '' });
   };
 
+  // Typed but not sent: ask before any navigation throws the message away.
+  const hasUnsavedChanges = Object.values(formData).some(value => value.trim() !== '');
+  const blocker = useBlocker(hasUnsavedChanges);
+
   return (
     <div>
       <h2>Contact Page</h2>
       <p>Get in touch with us!</p>
+
+      {blocker.state === 'blocked' && (
+        <div
+          role="alertdialog"
+          aria-label="Unsaved changes"
+          style={{
+            border: '1px solid #ffc107',
+            backgroundColor: '#fff8e1',
+            padding: '15px',
+            borderRadius: '5px',
+            maxWidth: '500px'
+          }}
+        >
+          <p>
+            Your message hasn't been sent. Leave for <code>{blocker.location.pathname}</code> and
+            lose what you typed?
+          </p>
+          <div style={{ display: 'flex', gap: '10px' }}>
+            <button type="button" onClick={blocker.reset}>Stay on this page</button>
+            <button type="button" onClick={blocker.proceed}>Leave</button>
+          </div>
+        </div>
+      )}
       
       <form onSubmit={handleSubmit} style={{ maxWidth: '500px', marginTop: '20px' }}>
         <div style={{ marginBottom: '15px' }}>
@@ -300,20 +981,41 @@ function Contact() {
   );
 }
 
-function Users() {
-  const [users] = useState([
-    { id: 1, name: 'John Doe', email: 'john@example.com' },
-    { id: 2, name: 'Jane Smith', email: 'jane@example.com' },
-    { id: 3, name: 'Bob Johnson', email: 'bob@example.com' }
-  ]);
+const USERS = {
+  1: { name: 'John Doe', email: 'john@example.com', bio: 'Software developer with 5 years experience.' },
+  2: { name: 'Jane Smith', email: 'jane@example.com', bio: 'UI/UX designer passionate about creating beautiful interfaces.' },
+  3: { name: 'Bob Johnson', email: 'bob@example.com', bio: 'Full-stack developer and team lead.' }
+};
+
+const POSTS = {
+  1: [
+    { id: 1, title: 'Getting started with hooks', body: 'useState and useEffect cover most of what a component needs.' },
+    { id: 2, title: 'Why keys matter', body: 'Stable keys let React keep the right state with the right list item.' }
+  ],
+  2: [
+    { id: 3, title: 'Designing for touch', body: 'Buttons should be at least 44px tall to be easy to tap.' }
+  ],
+  3: []
+};
+
+// Layout for every /users page: the heading stays while <Outlet> swaps
+// between the user list and a profile.
+function UsersLayout() {
+  return (
+    <div>
+      <h2>Users</h2>
+      <Outlet />
+    </div>
+  );
+}
 
+function Users() {
   return (
     <div>
-      <h2>Users Page</h2>
       <p>Here are our users:</p>
       <div style={{ marginTop: '20px' }}>
-        {users.map(user => (
-          <div key={user.id} style={{ 
+        {Object.entries(USERS).map(([id, user]) => (
+          <div key={id} style={{ 
             border: '1px solid #ccc', 
             padding: '15px', 
             margin: '10px 0',
@@ -321,7 +1023,7 @@ function Users() {
           }}>
             <h3>{user.name}</h3>
             <p>Email: {user.email}</p>
-            <Link to={`/users/${user.id}`}>View Profile</Link>
+            <Link to={id}>View Profile</Link>
           </div>
         ))}
       </div>
@@ -329,39 +1031,136 @@ function Users() {
   );
 }
 
+// Matched by "/users/:id/*": the profile declares its own <Routes>, whose
+// paths are relative to /users/:id.
 function UserProfile() {
-  const { currentPath } = useRouter();
-  const userId = currentPath.split('/').pop();
-  
-  const users = {
-    1: { name: 'John Doe', email: 'john@example.com', bio: 'Software developer with 5 years experience.' },
-    2: { name: 'Jane Smith', email: 'jane@example.com', bio: 'UI/UX designer passionate about creating beautiful interfaces.' },
-    3: { name: 'Bob Johnson', email: 'bob@example.com', bio: 'Full-stack developer and team lead.' }
-  };
-
-  const user = users[userId];
+  const { id: userId } = useParams();
+  const user = USERS[userId];
 
   if (!user) {
     return (
       <div>
-        <h2>User Not Found</h2>
+        <h3>User Not Found</h3>
         <p>The user you're looking for doesn't exist.</p>
         <Link to="/users">← Back to Users</Link>
       </div>
     );
   }
 
+  const tabStyle = { padding: '6px 10px' };
+  const activeTabStyle = { borderBottom: '2px solid #007bff' };
+
   return (
     <div>
-      <h2>User Profile</h2>
+      <h3>{user.name}</h3>
+      <nav style={{ display: 'flex', gap: '10px', margin: '10px 0' }}>
+        <NavLink to="." exact style={tabStyle} activeStyle={activeTabStyle}>Profile</NavLink>
+        <NavLink to="posts" style={tabStyle} activeStyle={activeTabStyle}>Posts</NavLink>
+      </nav>
+
+      <Routes>
+        <Route index element={<UserOverview user={user} />} />
+        <Route path="posts/:postId?" element={<UserPosts />} />
+        <Route path="*" element={<p>This profile has no such tab.</p>} />
+      </Routes>
+
       <div style={{ marginTop: '20px' }}>
-        <h3>{user.name}</h3>
-        <p><strong>Email:</strong> {user.email}</p>
-        <p><strong>Bio:</strong> {user.bio}</p>
-        <div style={{ marginTop: '20px' }}>
-          <Link to="/users">← Back to Users</Link>
-        </div>
+        <Link to="/users">← Back to Users</Link>
+      </div>
+    </div>
+  );
+}
+
+function UserOverview({ user }) {
+  return (
+    <div>
+      <p><strong>Email:</strong> {user.email}</p>
+      <p><strong>Bio:</strong> {user.bio}</p>
+    </div>
+  );
+}
+
+// "/users/:id/posts" lists the posts; "/users/:id/posts/:postId" opens one.
+function UserPosts() {
+  const { id: userId, postId } = useParams();
+  const posts = POSTS[userId] ?? [];
+  const selectedPost = posts.find(post => String(post.id) === postId);
+
+  if (posts.length === 0) {
+    return <p>No posts yet.</p>;
+  }
+
+  return (
+    <div>
+      <ul>
+        {posts.map(post => (
+          <li key={post.id}>
+            <Link to={`/users/${userId}/posts/${post.id}`}>{post.title}</Link>
+          </li>
+        ))}
+      </ul>
+      {postId && (
+        selectedPost
+          ? <p style={{ padding: '10px', backgroundColor: '#f8f9fa' }}>{selectedPost.body}</p>
+          : <p>Post {postId} was not found.</p>
+      )}
+    </div>
+  );
+}
+
+function LoginPage() {
+  const { user, signIn } = useAuth();
+  const { navigate } = useRouter();
+  const location = useLocation();
+  const [name, setName] = useState('');
+
+  // Set by RequireAuth when it redirected here.
+  const from = location.state?.from;
+  const redirectTo = from ? from.pathname + from.search : '/dashboard';
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    signIn(name.trim());
+    navigate(redirectTo, { replace: true });
+  };
+
+  if (user) {
+    return (
+      <div>
+        <h2>Login</h2>
+        <p>You are signed in as {user.name}. <Link to="/dashboard">Go to the dashboard</Link></p>
       </div>
+    );
+  }
+
+  return (
+    <div>
+      <h2>Login</h2>
+      {from && <p>Please sign in to see <code>{from.pathname}</code>.</p>}
+      <form onSubmit={handleSubmit} style={{ display: 'flex', gap: '10px' }}>
+        <input
+          type="text"
+          placeholder="Your name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          style={{ padding: '8px', border: '1px solid #ccc', borderRadius: '4px' }}
+        />
+        <button type="submit" style={{ padding: '8px 16px' }}>Sign In</button>
+      </form>
+    </div>
+  );
+}
+
+function Dashboard() {
+  const { user, signOut } = useAuth();
+
+  return (
+    <div>
+      <h2>Dashboard</h2>
+      <p>Welcome back, {user.name}! Only signed-in users can see this page.</p>
+      <p><Link to="/reports">Open the reports</Link> (loaded on demand)</p>
+      <button onClick={signOut} style={{ padding: '8px 16px' }}>Sign Out</button>
     </div>
   );
 }
@@ -378,6 +1177,9 @@ function NotFound() {
 
 // Navigation Component
 function Navigation() {
+  const { user, signOut } = useAuth();
+  const { back, forward } = useRouter();
+
   return (
     <nav style={{ 
       backgroundColor: '#f8f9fa', 
@@ -386,6 +1188,10 @@ function Navigation() {
       borderRadius: '5px'
     }}>
       <div style={{ display: 'flex', gap: '20px', alignItems: 'center' }}>
+        <span style={{ display: 'flex', gap: '5px' }}>
+          <button onClick={back} aria-label="Back">←</button>
+          <button onClick={forward} aria-label="Forward">→</button>
+        </span>
         <Link to="/" style={{ fontSize: '18px', fontWeight: 'bold' }}>
           My App
         </Link>
@@ -425,33 +1231,92 @@ function Navigation() {
         >
           Users
         </NavLink>
+        <NavLink 
+          to="/dashboard" 
+          style={{ padding: '8px 12px' }}
+          activeStyle={{ backgroundColor: '#007bff', color: 'white', borderRadius: '4px' }}
+        >
+          Dashboard
+        </NavLink>
+        <span style={{ marginLeft: 'auto' }}>
+          {user ? (
+            <>
+              {user.name} <button onClick={signOut}>Sign Out</button>
+            </>
+          ) : (
+            <Link to="/login">Sign In</Link>
+          )}
+        </span>
       </div>
     </nav>
   );
 }
 
 // Main App Component
-function App() {
+// Opened from the file system there is no server to answer /products, so the
+// example switches to hash URLs (index.html#/products). Tests can pass their
+// own history, e.g. <App history={createMemoryHistory({ initialEntries: ['/contact'] })} />.
+function defaultHistoryMode() {
+  if (typeof window === 'undefined') return 'memory';
+  return window.location.protocol === 'file:' ? 'hash' : 'browser';
+}
+
+function App({ history }) {
   return (
-    <SimpleRouter>
-      <div style={{ padding: '20px' }}>
-        <h1>React Routing Examples</h1>
+    <SimpleRouter mode={defaultHistoryMode()} history={history}>
+      <AuthProvider>
+        <div style={{ padding: '20px' }}>
+          <h1>React Routing Examples</h1>
         
-        <Navigation />
+          <Navigation />
         
-        <div style={{ minHeight: '400px' }}>
-          <Route path="/" exact component={Home} />
-          <Route path="/about" component={About} />
-          <Route path="/products" exact component={Products} />
-          <Route path="/products/:id" component={ProductDetail} />
-          <Route path="/contact" component={Contact} />
-          <Route path="/users" exact component={Users} />
-          <Route path="/users/:id" component={UserProfile} />
-          <Route path="*" component={NotFound} />
+          <div style={{ minHeight: '400px' }}>
+            <Routes>
+              <Route path="/" element={<Home />} />
+              <Route path="/about" element={<About />} />
+              <Route path="/products" element={<Products />} />
+              <Route
+                path="/products/:id"
+                element={<ProductDetail />}
+                loader={productLoader}
+                pendingElement={<p>Loading product…</p>}
+                errorElement={<ProductError />}
+              />
+              {/* An old address that now redirects */}
+              <Route path="/shop" element={<Navigate to="/products" replace />} />
+              <Route path="/contact" element={<Contact />} />
+              <Route path="/users" element={<UsersLayout />}>
+                <Route index element={<Users />} />
+                <Route path=":id/*" element={<UserProfile />} />
+              </Route>
+              <Route path="/login" element={<LoginPage />} />
+              <Route
+                path="/dashboard"
+                element={
+                  <RequireAuth>
+                    <Dashboard />
+                  </RequireAuth>
+                }
+              />
+              <Route
+                path="/reports"
+                element={
+                  <RequireAuth>
+                    <React.Suspense fallback={<p>Loading reports…</p>}>
+                      <Reports />
+                    </React.Suspense>
+                  </RequireAuth>
+                }
+              />
+              {/* Ranked last, so it only renders when nothing else matched */}
+              <Route path="*" element={<NotFound />} />
+            </Routes>
+          </div>
         </div>
-      </div>
+      </AuthProvider>
     </SimpleRouter>
   );
 }
 
+export { createBrowserHistory, createHashHistory, createMemoryHistory };
 export default App;
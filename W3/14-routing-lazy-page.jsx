@@ -0,0 +1,42 @@
+import React from 'react';
+
+// Loaded with React.lazy from 14-routing-example.jsx. Bundlers put a file that
+// is only reached through import() into its own chunk, so visitors who never
+// open /reports never download this code.
+const monthlySales = [
+  { month: 'January', orders: 42, revenue: 5180 },
+  { month: 'February', orders: 38, revenue: 4720 },
+  { month: 'March', orders: 55, revenue: 6950 }
+];
+
+function Reports() {
+  const totalRevenue = monthlySales.reduce((sum, row) => sum + row.revenue, 0);
+
+  return (
+    <div>
+      <h2>Reports</h2>
+      <p>This page was loaded on demand.</p>
+      <table style={{ borderCollapse: 'collapse', marginTop: '20px' }}>
+        <thead>
+          <tr>
+            <th style={{ textAlign: 'left', padding: '8px', borderBottom: '2px solid #ccc' }}>Month</th>
+            <th style={{ textAlign: 'right', padding: '8px', borderBottom: '2px solid #ccc' }}>Orders</th>
+            <th style={{ textAlign: 'right', padding: '8px', borderBottom: '2px solid #ccc' }}>Revenue</th>
+          </tr>
+        </thead>
+        <tbody>
+          {monthlySales.map(row => (
+            <tr key={row.month}>
+              <td style={{ padding: '8px' }}>{row.month}</td>
+              <td style={{ padding: '8px', textAlign: 'right' }}>{row.orders}</td>
+              <td style={{ padding: '8px', textAlign: 'right' }}>${row.revenue.toLocaleString()}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p><strong>Total revenue:</strong> ${totalRevenue.toLocaleString()}</p>
+    </div>
+  );
+}
+
+export default Reports;
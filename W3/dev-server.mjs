@@ -0,0 +1,67 @@
+// Helpers for the stand-in servers of the examples (07, 10 and 13).
+// They only use node:http, so the servers run without installing anything.
+import http from 'node:http';
+
+// The React dev server runs on another port, so every reply allows cross-origin requests
+export const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+export function sendJson(res, status, body) {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// Answers preflight (OPTIONS) requests and passes every other request to the handler
+export function createDevServer(handler) {
+  return http.createServer((req, res) => {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+      return;
+    }
+    handler(req, res);
+  });
+}
+
+// Resolves with the body as an object ({} when it is empty). Rejects with an
+// error whose `status` is the HTTP status to answer with: 413 when the body
+// is larger than maxBytes, 400 when it is not a JSON object.
+// The rest of a body that is too large is read and dropped, so the client
+// still receives the reply.
+export function readJson(req, { maxBytes = 1024 * 1024 } = {}) {
+  return new Promise((resolve, reject) => {
+    const fail = (status, message) => reject(Object.assign(new Error(message), { status }));
+    let body = '';
+    let tooLarge = false;
+
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      if (tooLarge) return;
+      body += chunk;
+      if (body.length > maxBytes) {
+        tooLarge = true;
+        body = '';
+        fail(413, `The body is larger than ${Math.round(maxBytes / 1024)} KB`);
+      }
+    });
+    req.on('end', () => {
+      if (tooLarge) return;
+      let value;
+      try {
+        value = body ? JSON.parse(body) : {};
+      } catch {
+        fail(400, 'The body is not valid JSON');
+        return;
+      }
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        fail(400, 'The body must be a JSON object');
+        return;
+      }
+      resolve(value);
+    });
+    req.on('error', reject);
+  });
+}
@@ -0,0 +1,287 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+
+// Theme Engine
+// Shared by the data sharing (10) and styling (12) examples. A theme is a set
+// of design tokens: colors, spacing, typography and radius. Components read
+// them with useTheme(), or use the CSS custom properties the provider sets,
+// e.g. var(--color-primary) or var(--spacing-md).
+
+// Spacing, typography and radius are the same in every theme; palettes only
+// change the colors. Sizes are numbers in px.
+const baseTokens = {
+  spacing: { xs: 4, sm: 8, md: 16, lg: 24, xl: 32 },
+  typography: {
+    fontFamily: 'Arial, sans-serif',
+    fontSize: { sm: 14, md: 16, lg: 20, xl: 24 },
+    fontWeight: { normal: 400, bold: 700 },
+    lineHeight: 1.5
+  },
+  radius: { sm: 4, md: 8, pill: 999 }
+};
+
+// Every palette needs these colors
+const COLOR_NAMES = ['background', 'surface', 'text', 'textMuted', 'primary', 'onPrimary', 'secondary', 'onSecondary', 'border'];
+
+// Token Types
+// Each token group has a type, and createTheme() rejects values of the wrong
+// type, so a typo like primary: 'blu' fails when the theme is defined.
+const isHexColor = (value) => typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value);
+const isSize = (value) => Number.isFinite(value) && value >= 0;
+
+function checkTokens(themeName, tokens) {
+  const fail = (path, expected, value) => {
+    throw new TypeError(`Theme "${themeName}": ${path} must be ${expected}, got ${JSON.stringify(value)}`);
+  };
+
+  COLOR_NAMES.forEach(name => {
+    if (!isHexColor(tokens.color[name])) fail(`color.${name}`, 'a hex color', tokens.color[name]);
+  });
+  Object.entries(tokens.spacing).forEach(([name, value]) => {
+    if (!isSize(value)) fail(`spacing.${name}`, 'a size in px', value);
+  });
+  Object.entries(tokens.radius).forEach(([name, value]) => {
+    if (!isSize(value)) fail(`radius.${name}`, 'a size in px', value);
+  });
+  Object.entries(tokens.typography.fontSize).forEach(([name, value]) => {
+    if (!isSize(value)) fail(`typography.fontSize.${name}`, 'a size in px', value);
+  });
+  if (typeof tokens.typography.fontFamily !== 'string') {
+    fail('typography.fontFamily', 'a string', tokens.typography.fontFamily);
+  }
+}
+
+// Contrast Checker
+// WCAG AA asks for a contrast ratio of at least 4.5:1 for normal text.
+// See https://www.w3.org/TR/WCAG21/#contrast-minimum
+const WCAG_AA_NORMAL_TEXT = 4.5;
+
+const CONTRAST_PAIRS = [
+  ['text', 'background'],
+  ['textMuted', 'background'],
+  ['text', 'surface'],
+  ['textMuted', 'surface'],
+  ['onPrimary', 'primary'],
+  ['onSecondary', 'secondary']
+];
+
+function relativeLuminance(hex) {
+  const digits = hex.slice(1).length === 3
+    ? hex.slice(1).split('').map(digit => digit + digit).join('')
+    : hex.slice(1);
+  const [r, g, b] = [0, 2, 4]
+    .map(index => parseInt(digits.slice(index, index + 2), 16) / 255)
+    .map(channel => (channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4));
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function contrastRatio(foreground, background) {
+  const [lighter, darker] = [relativeLuminance(foreground), relativeLuminance(background)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+// One entry per text/background pair: { foreground, background, ratio, passes }
+function checkContrast(colors) {
+  return CONTRAST_PAIRS.map(([foreground, background]) => {
+    const ratio = contrastRatio(colors[foreground], colors[background]);
+    return { foreground, background, ratio, passes: ratio >= WCAG_AA_NORMAL_TEXT };
+  });
+}
+
+function createTheme(name, { color, ...overrides }) {
+  const tokens = {
+    ...baseTokens,
+    ...overrides,
+    typography: { ...baseTokens.typography, ...overrides.typography },
+    color
+  };
+  checkTokens(name, tokens);
+
+  checkContrast(color)
+    .filter(result => !result.passes)
+    .forEach(({ foreground, background, ratio }) => {
+      console.warn(
+        `Theme "${name}": ${foreground} on ${background} has a contrast ratio of ${ratio.toFixed(2)}:1, ` +
+        `WCAG AA needs ${WCAG_AA_NORMAL_TEXT}:1.`
+      );
+    });
+
+  return { name, tokens };
+}
+
+const defaultThemes = {
+  light: createTheme('light', {
+    color: {
+      background: '#ffffff',
+      surface: '#f8f9fa',
+      text: '#333333',
+      textMuted: '#5a6268',
+      primary: '#0069d9',
+      onPrimary: '#ffffff',
+      secondary: '#6c757d',
+      onSecondary: '#ffffff',
+      border: '#cccccc'
+    }
+  }),
+  dark: createTheme('dark', {
+    color: {
+      background: '#1a1a1a',
+      surface: '#2b2b2b',
+      text: '#ffffff',
+      textMuted: '#adb5bd',
+      primary: '#0d6efd',
+      onPrimary: '#ffffff',
+      secondary: '#6c757d',
+      onSecondary: '#ffffff',
+      border: '#444444'
+    }
+  }),
+  blue: createTheme('blue', {
+    color: {
+      background: '#e3f2fd',
+      surface: '#ffffff',
+      text: '#1565c0',
+      textMuted: '#37474f',
+      primary: '#1976d2',
+      onPrimary: '#ffffff',
+      secondary: '#0277bd',
+      onSecondary: '#ffffff',
+      border: '#90caf9'
+    }
+  })
+};
+
+// CSS Custom Properties
+// { color: { textMuted: '#5a6268' }, spacing: { md: 16 } }
+//   → { '--color-text-muted': '#5a6268', '--spacing-md': '16px' }
+const toKebabCase = (text) => text.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+
+// Unitless tokens; every other number is a size in px
+const UNITLESS_TOKENS = ['typography-font-weight', 'typography-line-height'];
+
+function toCssVariables(tokens, prefix = '') {
+  return Object.entries(tokens).reduce((variables, [key, value]) => {
+    const name = prefix ? `${prefix}-${toKebabCase(key)}` : toKebabCase(key);
+    if (value !== null && typeof value === 'object') {
+      return { ...variables, ...toCssVariables(value, name) };
+    }
+    const isUnitless = UNITLESS_TOKENS.some(token => name.startsWith(token));
+    return { ...variables, [`--${name}`]: typeof value === 'number' && !isUnitless ? `${value}px` : value };
+  }, {});
+}
+
+// System Preference
+const DARK_SCHEME_QUERY = '(prefers-color-scheme: dark)';
+
+function usePrefersDark() {
+  const getMatch = () => typeof window !== 'undefined' && window.matchMedia?.(DARK_SCHEME_QUERY).matches === true;
+  const [prefersDark, setPrefersDark] = useState(getMatch);
+
+  // Follows the operating system setting while the page is open
+  useEffect(() => {
+    const query = window.matchMedia?.(DARK_SCHEME_QUERY);
+    if (!query) return undefined;
+
+    const handleChange = (e) => setPrefersDark(e.matches);
+    setPrefersDark(query.matches);
+    query.addEventListener('change', handleChange);
+    return () => query.removeEventListener('change', handleChange);
+  }, []);
+
+  return prefersDark;
+}
+
+// Persistence
+// The stored value is the mode the user picked: a theme name or 'system'.
+function loadMode(storageKey, availableModes) {
+  try {
+    const saved = localStorage.getItem(storageKey);
+    return availableModes.includes(saved) ? saved : null;
+  } catch (error) {
+    console.warn('Could not read the saved theme.', error);
+    return null;
+  }
+}
+
+function saveMode(storageKey, mode) {
+  try {
+    localStorage.setItem(storageKey, mode);
+  } catch (error) {
+    console.warn('Could not save the theme.', error);
+  }
+}
+
+// Theme Provider
+const ThemeContext = createContext(null);
+
+// mode is 'system' or one of the theme names. 'system' picks the light or dark
+// theme from prefers-color-scheme. The CSS variables are set on a wrapper
+// element, so two providers on one page don't affect each other.
+function ThemeProvider({ children, themes = defaultThemes, defaultMode = 'system', storageKey = 'theme-preference' }) {
+  const modes = ['system', ...Object.keys(themes)];
+  const [mode, setModeState] = useState(() => loadMode(storageKey, modes) ?? defaultMode);
+  const prefersDark = usePrefersDark();
+
+  const themeName = mode === 'system'
+    ? (prefersDark && themes.dark ? 'dark' : 'light')
+    : mode;
+  const { tokens } = themes[themeName] ?? Object.values(themes)[0];
+
+  const setMode = (nextMode) => {
+    if (!modes.includes(nextMode)) {
+      throw new Error(`Unknown theme mode "${nextMode}". Use one of: ${modes.join(', ')}`);
+    }
+    setModeState(nextMode);
+    saveMode(storageKey, nextMode);
+  };
+
+  const toggleTheme = () => {
+    setMode(themeName === 'dark' ? 'light' : 'dark');
+  };
+
+  const cssVariables = useMemo(() => toCssVariables(tokens), [tokens]);
+
+  const value = {
+    mode,
+    modes,
+    setMode,
+    theme: themeName,
+    toggleTheme,
+    tokens,
+    contrast: checkContrast(tokens.color)
+  };
+
+  return (
+    <ThemeContext.Provider value={value}>
+      <div
+        data-theme={themeName}
+        style={{
+          ...cssVariables,
+          colorScheme: themeName === 'dark' ? 'dark' : 'light',
+          backgroundColor: 'var(--color-background)',
+          color: 'var(--color-text)',
+          fontFamily: 'var(--typography-font-family)'
+        }}
+      >
+        {children}
+      </div>
+    </ThemeContext.Provider>
+  );
+}
+
+function useTheme() {
+  const context = useContext(ThemeContext);
+  if (!context) {
+    throw new Error('useTheme must be used within a ThemeProvider');
+  }
+  return context;
+}
+
+export {
+  ThemeProvider,
+  useTheme,
+  createTheme,
+  defaultThemes,
+  checkContrast,
+  contrastRatio,
+  toCssVariables
+};